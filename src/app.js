@@ -16,10 +16,22 @@ import subscriptionRoutes from "./routes/subscription.route.js";
 import tweetRoutes from "./routes/tweet.route.js";
 import likeRoutes from "./routes/like.route.js";
 import databaseRoutes from "./routes/database.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import feedRoutes from "./routes/feed.route.js";
+import notificationRoutes from "./routes/notification.route.js";
+import realtimeRoutes from "./routes/realtime.route.js";
+import reportRoutes from "./routes/report.route.js";
+import trashRoutes from "./routes/trash.route.js";
+
+// Register the listeners of the app events
+import "./listeners/index.js";
 
 // Import error middleware
 import errorMiddleware from "./middlewares/error.middleware.js";
 
+// Import the media middleware
+import { serveLocalMedia } from "./middlewares/media.middleware.js";
+
 const app = express();
 
 // Initialize all the middlewares
@@ -43,6 +55,8 @@ app.use(
     })
 );
 
+// Files of the local storage driver, the videos are served through GET /api/v1/videos/:videoId/file
+app.use("/uploads", serveLocalMedia);
 app.use(express.static("public")); // Serve static files
 app.use(cookieParser()); // Parse cookies
 
@@ -56,6 +70,12 @@ app.use("/api/v1/playlists", playlistRoutes);
 app.use("/api/v1/subscriptions", subscriptionRoutes);
 app.use("/api/v1/tweets", tweetRoutes);
 app.use("/api/v1/likes", likeRoutes);
+app.use("/api/v1/feed", feedRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/realtime", realtimeRoutes);
+app.use("/api/v1/reports", reportRoutes);
+app.use("/api/v1/trash", trashRoutes);
+app.use("/api/v1/admin", adminRoutes);
 app.use("/api/v1/database", databaseRoutes); // Use the new database routes
 
 /**
@@ -88,6 +108,20 @@ const swaggerOptions = {
                 name: "📺 Subscriptions",
                 description: "Endpoints related to subscriptions",
             },
+            {
+                name: "📰 Feed",
+                description:
+                    "Endpoints related to the feed of the subscribed channels",
+            },
+            {
+                name: "🔔 Notifications",
+                description: "Endpoints related to notifications",
+            },
+            {
+                name: "📡 Realtime",
+                description:
+                    "Server-sent event stream of notifications, live counters and upload status",
+            },
             {
                 name: "👍 Likes",
                 description: "Endpoints related to likes",
@@ -104,6 +138,21 @@ const swaggerOptions = {
                 name: "🎞️ Playlists",
                 description: "Endpoints related to playlists",
             },
+            {
+                name: "🗑️ Trash",
+                description:
+                    "Endpoints related to restoring deleted content before it is purged",
+            },
+            {
+                name: "🚩 Reports",
+                description:
+                    "Endpoints related to reporting content and the moderation queue",
+            },
+            {
+                name: "🛡️ Admin",
+                description:
+                    "Endpoints related to managing users and content, for moderators and admins",
+            },
             {
                 name: "❌ Danger Zone",
                 description: "Endpoints related to emptying the database",
@@ -19,6 +19,58 @@ dotenv.config(); // Load environment variables from .env file
  * @property {string} tokens.accessTokenExpiration - Access token expiration
  * @property {string} tokens.refreshTokenSecret - Refresh token secret
  * @property {string} tokens.refreshTokenExpiration - Refresh token expiration
+ * @property {string} tokens.actionTokenSecret - Secret used to sign the email verification and password reset tokens
+ * @property {string} tokens.emailVerificationExpiration - Email verification token expiration
+ * @property {string} tokens.passwordResetExpiration - Password reset token expiration
+ * @property {string} tokens.twoFactorChallengeExpiration - Expiration of the challenge token returned by the first login step when 2FA is enabled
+ * @property {string} app_name - Name of the app, shown in the authenticator apps
+ * @property {string} app_url - URL of the app the links in the emails point to
+ * @property {Object} mail - Mailer configuration
+ * @property {string} mail.transport - Transport the emails are sent with (smtp, file, console)
+ * @property {string} mail.from - Sender address of the emails
+ * @property {Object} mail.smtp - SMTP server configuration ({ host, port, secure, user, pass })
+ * @property {string} mail.outboxDir - Directory the file transport writes the emails to
+ * @property {Object} views - View counting configuration
+ * @property {number} views.dedupWindowMinutes - A viewer counts as one view per video within this window from their last counted view
+ * @property {number} views.rollupIntervalSeconds - How often the new views are added to the view counts of the videos
+ * @property {number} views.eventRetentionDays - Days the view events are kept
+ * @property {Object} trending - Trending videos configuration
+ * @property {string} trending.regionHeader - Request header holding the country code of the client, set by the proxy or CDN
+ * @property {number} trending.windowHours - How far back the engagement is counted
+ * @property {number} trending.halfLifeHours - Age at which an engagement counts half
+ * @property {Object} trending.weights - Weight of each engagement type in the score
+ * @property {number} trending.size - Number of videos kept per list
+ * @property {number} trending.maxRegions - Number of regions, with the most engagement, which get their own lists
+ * @property {number} trending.intervalMinutes - How often the lists are recomputed
+ * @property {Object} realtime - Server-sent events configuration
+ * @property {number} realtime.heartbeatSeconds - How often a comment is sent to keep the idle streams open through proxies
+ * @property {number} realtime.maxStreamsPerUser - Number of streams a user can keep open at the same time
+ * @property {number} realtime.counterIntervalSeconds - Minimum time between two pushes of the counters of a video
+ * @property {Object} trash - Soft delete configuration
+ * @property {number} trash.retentionDays - Days the deleted videos, comments, tweets and playlists can be restored before they are purged
+ * @property {number} trash.purgeIntervalMinutes - How often the documents past the retention period are purged
+ * @property {Object} publishing - Scheduled publishing configuration
+ * @property {number} publishing.intervalSeconds - How often the videos which are due are made public
+ * @property {Object} search - Video search configuration
+ * @property {string} search.driver - Search driver to use (text for the MongoDB text index, atlas for Atlas Search)
+ * @property {string} search.atlasIndex - Name of the Atlas Search index of the videos
+ * @property {Object} storage - Media storage configuration
+ * @property {string} storage.driver - Storage driver to use (cloudinary, local)
+ * @property {string} storage.rootFolder - Root folder all the media is stored under
+ * @property {string} storage.localDir - Directory the local driver stores the media in, outside of the public folder
+ * @property {string} storage.signingSecret - Secret used to sign local media URLs
+ * @property {Object} uploads - Resumable upload configuration
+ * @property {number} uploads.maxFileSize - Maximum size of an uploaded video in bytes
+ * @property {number} uploads.chunkSize - Maximum size of a single upload chunk in bytes
+ * @property {number} uploads.sessionExpiryHours - Hours an unfinished upload session is kept
+ * @property {number} uploads.cleanupIntervalMinutes - How often the expired upload sessions and their part files are removed
+ * @property {Object} media - Media tooling configuration
+ * @property {string} media.ffprobePath - Path of the ffprobe binary used to read video metadata
+ * @property {string} media.ffmpegPath - Path of the ffmpeg binary used to segment videos for streaming
+ * @property {Object} streaming - Adaptive streaming configuration
+ * @property {string} streaming.profile - Cloudinary streaming profile the manifests are built with
+ * @property {number} streaming.segmentDuration - Duration in seconds of the segments created with ffmpeg
+ * @property {Array<Object>} streaming.renditions - Renditions ({ name, height, videoBitrate, audioBitrate }) created with ffmpeg
  */
 const DATA = {
     port: process.env.PORT || 8000,
@@ -38,6 +90,98 @@ const DATA = {
         accessTokenExpiration: process.env.ACCESS_TOKEN_EXPIRY,
         refreshTokenSecret: process.env.REFRESH_TOKEN_SECRET,
         refreshTokenExpiration: process.env.REFRESH_TOKEN_EXPIRY,
+        actionTokenSecret:
+            process.env.ACTION_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET,
+        emailVerificationExpiration: "24h",
+        passwordResetExpiration: "1h",
+        twoFactorChallengeExpiration: "5m",
+    },
+    app_name: "PlayNex",
+    app_url: process.env.APP_URL || process.env.SERVER_URL,
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || "console",
+        from: process.env.MAIL_FROM || "PlayNex <no-reply@playnex.local>",
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+        },
+        outboxDir: "temp/mails",
+    },
+    views: {
+        dedupWindowMinutes: Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30,
+        rollupIntervalSeconds: 60,
+        eventRetentionDays: 90,
+    },
+    trending: {
+        regionHeader: process.env.REGION_HEADER || "cf-ipcountry",
+        windowHours: 72,
+        halfLifeHours: 24,
+        weights: { view: 1, like: 4, dislike: -2, comment: 6 },
+        size: 50,
+        maxRegions: 20,
+        intervalMinutes: 15,
+    },
+    realtime: {
+        heartbeatSeconds: 25,
+        maxStreamsPerUser: 5,
+        counterIntervalSeconds: 2,
+    },
+    publishing: {
+        intervalSeconds: 60,
+    },
+    trash: {
+        retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+        purgeIntervalMinutes: 60,
+    },
+    search: {
+        driver: process.env.SEARCH_DRIVER || "text",
+        atlasIndex: process.env.ATLAS_SEARCH_INDEX || "videos",
+    },
+    storage: {
+        driver: process.env.STORAGE_DRIVER || "cloudinary",
+        rootFolder: "yt-clone-backend",
+        localDir: process.env.LOCAL_STORAGE_DIR || "uploads",
+        signingSecret:
+            process.env.STORAGE_SIGNING_SECRET ||
+            process.env.ACCESS_TOKEN_SECRET,
+    },
+    uploads: {
+        maxFileSize: 1024 * 1024 * 1024, // 1GB
+        chunkSize: Number(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024, // 8MB
+        sessionExpiryHours: 24,
+        cleanupIntervalMinutes: 60,
+    },
+    media: {
+        ffprobePath: process.env.FFPROBE_PATH || "ffprobe",
+        ffmpegPath: process.env.FFMPEG_PATH || "ffmpeg",
+    },
+    streaming: {
+        profile: process.env.STREAMING_PROFILE || "auto",
+        segmentDuration: 6,
+        renditions: [
+            {
+                name: "1080p",
+                height: 1080,
+                videoBitrate: 5000,
+                audioBitrate: 192,
+            },
+            {
+                name: "720p",
+                height: 720,
+                videoBitrate: 2800,
+                audioBitrate: 128,
+            },
+            {
+                name: "480p",
+                height: 480,
+                videoBitrate: 1400,
+                audioBitrate: 128,
+            },
+            { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+        ], // Highest first, bitrates in kbps
     },
 };
 
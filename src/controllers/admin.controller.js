@@ -0,0 +1,377 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { USER_ROLES, User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Session } from "../models/session.model.js";
+import { cascadeUserDeletion } from "../utils/cascade.js";
+
+/**
+ * Checks that an admin action does not target the admin who performs it
+ * @param {Object} req - Express request object
+ * @param {string} userId - The ID of the targeted user
+ * @throws {ApiError} - If the admin targets their own account
+ */
+const ensureNotSelf = (req, userId) => {
+    if (req.user._id.toString() === userId) {
+        throw new ApiError(400, "You cannot perform this action on yourself");
+    }
+};
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    Lists the users, newest first
+ * @param   {Number} page The page number for pagination (default: 1).
+ * @param   {Number} limit The number of users per page (default: 20).
+ * @param   {String} query Text searched in the username, full name and email.
+ * @param   {String} role Only list the users with this role.
+ * @param   {Boolean} suspended Only list the suspended (true) or active (false) users.
+ * @returns {Promise<void>} A promise that resolves with the users and the pagination details.
+ * @throws  {ApiError} If the role is invalid or the users could not be fetched.
+ */
+const getUsers = asyncHandler(async (req, res) => {
+    try {
+        const { page = 1, limit = 20, query, role, suspended } = req.query;
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const filter = {};
+        if (query) {
+            const regex = new RegExp(
+                query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+                "i"
+            );
+            filter.$or = [
+                { username: regex },
+                { fullName: regex },
+                { email: regex },
+            ];
+        }
+        if (role) {
+            if (!USER_ROLES.includes(role)) {
+                throw new ApiError(400, "Invalid role");
+            }
+            filter.role = role;
+        }
+        if (suspended !== undefined) {
+            filter.suspendedAt =
+                suspended === "true" ? { $ne: null } : { $eq: null };
+        }
+
+        const [users, totalUsers] = await Promise.all([
+            User.find(filter)
+                .select("-password")
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * limitNumber)
+                .limit(limitNumber),
+            User.countDocuments(filter),
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Users fetched successfully", {
+                users,
+                totalUsers,
+                page: pageNumber,
+                totalPages: Math.ceil(totalUsers / limitNumber),
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/suspend
+ * @desc    Suspends a user, who is logged out of every device and cannot log in again.
+ *          Sending suspended=false lifts the suspension.
+ * @param   {String} userId The ID of the user.
+ * @param   {Boolean} suspended Whether the user is suspended (default: true).
+ * @param   {String} reason Why the user is suspended.
+ * @returns {Promise<void>} A promise that resolves with the updated user.
+ * @throws  {ApiError} If the user ID is invalid, the user is not found or is the admin themselves.
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { suspended = true, reason } = req.body;
+
+        if (!isValidObjectId(userId)) {
+            throw new ApiError(400, "Invalid User ID");
+        }
+        ensureNotSelf(req, userId);
+
+        const isSuspended = suspended !== false && suspended !== "false";
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            isSuspended
+                ? {
+                      $set: {
+                          suspendedAt: new Date(),
+                          suspensionReason: reason,
+                      },
+                  }
+                : { $unset: { suspendedAt: 1, suspensionReason: 1 } },
+            { new: true }
+        ).select("-password");
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        if (isSuspended) {
+            await Session.updateMany(
+                { user: user._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+            );
+        }
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    isSuspended
+                        ? "User suspended successfully"
+                        : "User suspension lifted successfully",
+                    user
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/role
+ * @desc    Changes the role of a user.
+ * @param   {String} userId The ID of the user.
+ * @param   {String} role The new role (user, moderator, admin).
+ * @returns {Promise<void>} A promise that resolves with the updated user.
+ * @throws  {ApiError} If the user ID or role is invalid, the user is not found or is the admin themselves.
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        if (!isValidObjectId(userId)) {
+            throw new ApiError(400, "Invalid User ID");
+        }
+        if (!USER_ROLES.includes(role)) {
+            throw new ApiError(
+                400,
+                `Role must be one of: ${USER_ROLES.join(", ")}`
+            );
+        }
+        ensureNotSelf(req, userId);
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { $set: { role } },
+            { new: true }
+        ).select("-password");
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "User role updated successfully", user));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId
+ * @desc    Deletes a user together with their videos, tweets, comments, likes, playlists,
+ *          subscriptions, sessions and stored files, including the content in their trash.
+ *          Their comments with replies of other users are kept as "[deleted]" placeholders.
+ * @param   {String} userId The ID of the user.
+ * @returns {Promise<void>} A promise that resolves with a success message.
+ * @throws  {ApiError} If the user ID is invalid, the user is not found or is the admin themselves.
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!isValidObjectId(userId)) {
+            throw new ApiError(400, "Invalid User ID");
+        }
+        ensureNotSelf(req, userId);
+
+        const user = await User.findByIdAndDelete(userId);
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        await cascadeUserDeletion(user);
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "User deleted successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   PATCH /api/v1/admin/videos/:videoId/unpublish
+ * @desc    Unpublishes a video and locks it, so that the owner cannot publish it again.
+ *          Sending locked=false lifts the lock, the video stays unpublished until the owner publishes it.
+ * @param   {String} videoId The ID of the video.
+ * @param   {Boolean} locked Whether the video is force-unpublished (default: true).
+ * @param   {String} reason Why the video is unpublished.
+ * @returns {Promise<void>} A promise that resolves with the updated video.
+ * @throws  {ApiError} If the video ID is invalid or the video is not found.
+ */
+const forceUnpublishVideo = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { locked = true, reason } = req.body;
+
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
+        }
+
+        const isLocked = locked !== false && locked !== "false";
+
+        const video = await Video.findByIdAndUpdate(
+            videoId,
+            isLocked
+                ? {
+                      $set: {
+                          visibility: "private",
+                          publishLock: {
+                              lockedAt: new Date(),
+                              lockedBy: req.user._id,
+                              reason,
+                          },
+                      },
+                      $unset: { publishAt: 1 }, // Cancel the schedule
+                  }
+                : { $unset: { publishLock: 1 } },
+            { new: true }
+        );
+
+        if (!video) {
+            throw new ApiError(404, "Video not found");
+        }
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    isLocked
+                        ? "Video unpublished successfully"
+                        : "Video lock lifted successfully",
+                    video
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/admin/comments/:commentId
+ * @desc    Deletes any comment, a comment with replies is replaced by a "[deleted]" placeholder.
+ * @param   {String} commentId The ID of the comment.
+ * @returns {Promise<void>} A promise that resolves with a success message.
+ * @throws  {ApiError} If the comment ID is invalid or the comment is not found.
+ */
+const deleteAnyComment = asyncHandler(async (req, res) => {
+    try {
+        const { commentId } = req.params;
+
+        if (!isValidObjectId(commentId)) {
+            throw new ApiError(400, "Invalid Comment ID");
+        }
+
+        const comment = await Comment.findById(commentId);
+
+        if (!comment || comment.isDeleted) {
+            throw new ApiError(404, "Comment not found");
+        }
+
+        // A comment with replies leaves a placeholder, so that the replies survive
+        await comment.deleteKeepingReplies();
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Comment deleted successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/admin/tweets/:tweetId
+ * @desc    Deletes any tweet.
+ * @param   {String} tweetId The ID of the tweet.
+ * @returns {Promise<void>} A promise that resolves with a success message.
+ * @throws  {ApiError} If the tweet ID is invalid or the tweet is not found.
+ */
+const deleteAnyTweet = asyncHandler(async (req, res) => {
+    try {
+        const { tweetId } = req.params;
+
+        if (!isValidObjectId(tweetId)) {
+            throw new ApiError(400, "Invalid Tweet ID");
+        }
+
+        const tweet = await Tweet.findByIdAndDelete(tweetId);
+
+        if (!tweet) {
+            throw new ApiError(404, "Tweet not found");
+        }
+
+        await Like.deleteMany({ target: tweet._id, targetType: "Tweet" });
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Tweet deleted successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export {
+    getUsers,
+    suspendUser,
+    updateUserRole,
+    deleteUser,
+    forceUnpublishVideo,
+    deleteAnyComment,
+    deleteAnyTweet,
+};
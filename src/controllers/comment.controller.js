@@ -1,58 +1,212 @@
 import mongoose from "mongoose";
-import { Comment } from "../models/comment.model.js";
+import { Comment, DELETED_COMMENT_CONTENT } from "../models/comment.model.js";
 import { Video } from "../models/video.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import { getRequestRegion, recordEngagement } from "../utils/engagement.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { getPurgeDate } from "../utils/trash.js";
+
+const COMMENT_SORTS = {
+    top: { likesCount: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+};
+
+/**
+ * Fetches a page of comments with their owners, deleted comments with replies are shown as placeholders
+ * @param {Object} match - The comments to fetch
+ * @param {Object} viewer - The user fetching the comments, the comments of the users they blocked or muted are hidden
+ * @param {Object} options
+ * @param {string} options.sortBy - The sort order (top, newest, oldest)
+ * @param {number} options.page - The page number
+ * @param {number} options.limit - The number of comments per page
+ * @returns {Promise<Object>} - The comments and the pagination details
+ */
+const fetchComments = async (match, viewer, { sortBy, page, limit }) => {
+    // Comments taken down by the moderators are hidden, deleted ones only stay for their replies
+    const visible = {
+        ...match,
+        "takedown.takenDownAt": null,
+        $or: [
+            { deletedAt: null, isDeleted: { $ne: true } },
+            { repliesCount: { $gt: 0 } },
+        ],
+    };
+    const hiddenUserIds = await UserRelation.getHiddenUserIds(viewer?._id);
+    if (hiddenUserIds.length) {
+        visible.owner = { $nin: hiddenUserIds };
+    }
+    const totalComments = await Comment.countDocuments(visible);
+
+    const comments = await Comment.aggregate([
+        { $match: visible },
+        { $sort: COMMENT_SORTS[sortBy] },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    { $project: { fullName: 1, username: 1, avatar: 1 } },
+                ],
+            },
+        },
+        // Comments in the trash look like the placeholders until they are purged
+        {
+            $addFields: {
+                isDeleted: {
+                    $or: [
+                        "$isDeleted",
+                        { $gt: [{ $ifNull: ["$deletedAt", null] }, null] },
+                    ],
+                },
+            },
+        },
+        {
+            $addFields: {
+                content: {
+                    $cond: ["$isDeleted", DELETED_COMMENT_CONTENT, "$content"],
+                },
+                owner: {
+                    $cond: ["$isDeleted", null, { $first: "$owner" }],
+                },
+            },
+        },
+        { $project: { deletedAt: 0 } },
+    ]);
+
+    return {
+        comments,
+        pagination: {
+            total: totalComments,
+            page,
+            limit,
+            totalPages: Math.ceil(totalComments / limit),
+        },
+    };
+};
+
+/**
+ * Reads and validates the pagination and sort query parameters of a comments listing
+ * @param {Object} query - The request query
+ * @param {string} defaultSort - The sort order used when none is given
+ * @returns {Object} - The options ({ sortBy, page, limit })
+ * @throws {ApiError} - If the sort order is invalid
+ */
+const getListingOptions = (query, defaultSort) => {
+    const { page = 1, limit = 10, sortBy = defaultSort } = query;
+
+    if (!COMMENT_SORTS[sortBy]) {
+        throw new ApiError(
+            400,
+            `sortBy must be one of: ${Object.keys(COMMENT_SORTS).join(", ")}`
+        );
+    }
+
+    return {
+        sortBy,
+        page: Math.max(Number(page) || 1, 1),
+        limit: Math.min(Math.max(Number(limit) || 10, 1), 100),
+    };
+};
 
 /**
  * @route GET /api/v1/comments/:videoId
- * @desc Get all comments for a specific video
+ * @desc Get the top-level comments of a specific video, replies are fetched per comment
  * @param {string} videoId - The ID of the video
  * @param {number} page - The page number for pagination (default: 1)
  * @param {number} limit - The number of comments per page (default: 10)
+ * @param {string} sortBy - The sort order: top (most liked), newest or oldest (default: newest)
  * @returns {Promise<void>} - A promise that resolves to the response object
  * @throws {ApiError} - If an error occurs while fetching comments
  */
 const getVideoComments = asyncHandler(async (req, res) => {
     try {
         const { videoId } = req.params;
-        const { page = 1, limit = 10 } = req.query;
+        const options = getListingOptions(req.query, "newest");
 
         // Validate videoId
         if (!mongoose.isValidObjectId(videoId)) {
             throw new ApiError(400, "Invalid Video ID");
         }
 
-        // Check if the video exists
+        // Check if the video exists and the user can see it
         const videoExists = await Video.findById(videoId);
-        if (!videoExists) {
+        if (!videoExists || !videoExists.isVisibleTo(req.user)) {
             throw new ApiError(404, "Video not found");
         }
 
-        // Pagination calculations
-        const skip = (Number(page) - 1) * Number(limit);
-        const totalComments = await Comment.countDocuments({ video: videoId });
-        const totalPages = Math.ceil(totalComments / limit);
+        const result = await fetchComments(
+            {
+                video: new mongoose.Types.ObjectId(videoId),
+                parentComment: null,
+            },
+            req.user,
+            options
+        );
 
-        // Fetch comments with pagination and populate owner details
-        const comments = await Comment.find({ video: videoId })
-            .sort({ createdAt: -1 }) // Latest comments first
-            .skip(skip)
-            .limit(Number(limit))
-            .populate("owner", "fullName username avatar"); // Populate comment author details
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(200, "Comments fetched successfully", result)
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
 
-        return res.status(200).json(
-            new ApiResponse(200, "Comments fetched successfully", {
-                comments,
-                pagination: {
-                    total: totalComments,
-                    page: Number(page),
-                    limit: Number(limit),
-                    totalPages,
-                },
-            })
+/**
+ * @route GET /api/v1/comments/c/:commentId/replies
+ * @desc Get the replies to a comment
+ * @param {string} commentId - The ID of the comment
+ * @param {number} page - The page number for pagination (default: 1)
+ * @param {number} limit - The number of replies per page (default: 10)
+ * @param {string} sortBy - The sort order: top (most liked), newest or oldest (default: oldest)
+ * @returns {Promise<void>} - A promise that resolves to the response object
+ * @throws {ApiError} - If an error occurs while fetching the replies
+ */
+const getCommentReplies = asyncHandler(async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const options = getListingOptions(req.query, "oldest");
+
+        // Validate commentId
+        if (!mongoose.isValidObjectId(commentId)) {
+            throw new ApiError(400, "Invalid Comment ID");
+        }
+
+        // The replies of a comment in the trash are still listed under its placeholder
+        const parentComment = await Comment.findById(commentId)
+            .withDeleted()
+            .select("video");
+        if (!parentComment) {
+            throw new ApiError(404, "Comment not found");
+        }
+
+        // The replies are hidden with the video, like its comments
+        const video = await Video.findById(parentComment.video);
+        if (!video || !video.isVisibleTo(req.user)) {
+            throw new ApiError(404, "Comment not found");
+        }
+
+        const result = await fetchComments(
+            { parentComment: new mongoose.Types.ObjectId(commentId) },
+            req.user,
+            options
         );
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Replies fetched successfully", result));
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -84,11 +238,14 @@ const addComment = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid Video ID");
         }
 
-        // Check if the video exists
+        // Check if the video exists and the user can see it
         const videoExists = await Video.findById(videoId);
-        if (!videoExists) {
+        if (!videoExists || !videoExists.isVisibleTo(req.user)) {
             throw new ApiError(404, "Video not found");
         }
+        if (await UserRelation.isBlocked(videoExists.owner, req.user._id)) {
+            throw new ApiError(403, "You cannot comment on this video");
+        }
 
         // Create and save the new comment
         const comment = await Comment.create({
@@ -101,6 +258,19 @@ const addComment = asyncHandler(async (req, res) => {
             throw new ApiError(500, "Failed to add comment");
         }
 
+        await recordEngagement({
+            channel: videoExists.owner,
+            video: videoId,
+            actor: req.user._id,
+            type: "comment",
+            region: getRequestRegion(req),
+        });
+        publishEvent(APP_EVENTS.COMMENT_CREATED, {
+            comment,
+            video: videoExists,
+        });
+        publishEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, { videoId });
+
         // Optionally, you can populate the owner details before sending the response
         await comment.populate("owner", "fullName username avatar");
 
@@ -115,6 +285,92 @@ const addComment = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/v1/comments/c/:commentId/replies
+ * @desc Reply to a comment
+ * @param {string} commentId - The ID of the comment
+ * @param {string} content - The content of the reply
+ * @returns {Promise<void>} - A promise that resolves to the response object
+ * @throws {ApiError} - If an error occurs while adding the reply
+ */
+const addReply = asyncHandler(async (req, res) => {
+    try {
+        const { commentId } = req.params;
+        const { content } = req.body;
+
+        // Validate input
+        if (!content || !content.trim()) {
+            throw new ApiError(400, "Comment content is required");
+        }
+
+        // Validate commentId
+        if (!mongoose.isValidObjectId(commentId)) {
+            throw new ApiError(400, "Invalid Comment ID");
+        }
+
+        // Check if the parent comment exists
+        const parentComment = await Comment.findById(commentId);
+        if (!parentComment) {
+            throw new ApiError(404, "Comment not found");
+        }
+        if (parentComment.isDeleted) {
+            throw new ApiError(400, "Cannot reply to a deleted comment");
+        }
+
+        // Neither the owner of the video nor the author of the comment may have blocked the user
+        const video = await Video.findById(parentComment.video).select(
+            "owner visibility"
+        );
+        if (!video || !video.isVisibleTo(req.user)) {
+            throw new ApiError(404, "Video not found");
+        }
+        const [blockedByOwner, blockedByAuthor] = await Promise.all([
+            UserRelation.isBlocked(video.owner, req.user._id),
+            UserRelation.isBlocked(parentComment.owner, req.user._id),
+        ]);
+        if (blockedByOwner || blockedByAuthor) {
+            throw new ApiError(403, "You cannot reply to this comment");
+        }
+
+        const reply = await Comment.create({
+            content: content.trim(),
+            video: parentComment.video,
+            owner: req.user._id,
+            parentComment: parentComment._id,
+        });
+
+        await Comment.updateOne(
+            { _id: parentComment._id },
+            { $inc: { repliesCount: 1 } }
+        );
+
+        await recordEngagement({
+            channel: video?.owner,
+            video: parentComment.video,
+            actor: req.user._id,
+            type: "comment",
+            region: getRequestRegion(req),
+        });
+        if (video) {
+            publishEvent(APP_EVENTS.COMMENT_CREATED, { comment: reply, video });
+        }
+        publishEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, {
+            videoId: parentComment.video,
+        });
+
+        await reply.populate("owner", "fullName username avatar");
+
+        return res
+            .status(201)
+            .json(new ApiResponse(201, "Reply added successfully", reply));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
 /**
  * @route PATCH /api/v1/comments/:commentId
  * @desc Edit an existing comment
@@ -138,9 +394,9 @@ const editComment = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid Comment ID");
         }
 
-        // Find the comment
+        // Find the comment, deleted placeholders cannot be edited
         const comment = await Comment.findById(commentId);
-        if (!comment) {
+        if (!comment || comment.isDeleted) {
             throw new ApiError(404, "Comment not found");
         }
 
@@ -172,7 +428,7 @@ const editComment = asyncHandler(async (req, res) => {
 /**
  * Delete a comment
  * @route DELETE /api/v1/comments/:commentId
- * @desc Delete a comment
+ * @desc Move a comment to the trash, a comment with replies shows as a "[deleted]" placeholder until it is restored or purged
  * @param {string} commentId - The ID of the comment
  * @returns {Promise<void>} - A promise that resolves to the response object
  * @throws {ApiError} - If an error occurs while deleting the comment
@@ -188,7 +444,7 @@ const deleteComment = asyncHandler(async (req, res) => {
 
         // Find the comment
         const comment = await Comment.findById(commentId);
-        if (!comment) {
+        if (!comment || comment.isDeleted) {
             throw new ApiError(404, "Comment not found");
         }
 
@@ -197,12 +453,17 @@ const deleteComment = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Unauthorized to delete this comment");
         }
 
-        // Delete the comment
-        await comment.deleteOne();
+        // Move the comment to the trash, a comment with replies shows as a placeholder
+        await comment.softDelete();
+        publishEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, {
+            videoId: comment.video,
+        });
 
-        return res
-            .status(200)
-            .json(new ApiResponse(200, "Comment deleted successfully"));
+        return res.status(200).json(
+            new ApiResponse(200, "Comment moved to the trash", {
+                purgeAt: getPurgeDate(comment.deletedAt),
+            })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -211,4 +472,11 @@ const deleteComment = asyncHandler(async (req, res) => {
     }
 });
 
-export { getVideoComments, addComment, editComment, deleteComment };
+export {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    addReply,
+    editComment,
+    deleteComment,
+};
@@ -1,44 +1,204 @@
 import mongoose from "mongoose";
 import { Video } from "../models/video.model.js";
 import { Subscription } from "../models/subscription.model.js";
-import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import {
+    EngagementEvent,
+    ENGAGEMENT_TYPES,
+} from "../models/engagementEvent.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 
+const ANALYTICS_GRANULARITIES = ["day", "week", "month"];
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_BUCKETS = 400;
+
 /**
  * @route GET /api/v1/dashboard/stats
- * @desc Get the channel stats like total video views, total subscribers, total videos, total likes etc.
+ * @desc Get the channel stats: the videos of the channel and the views, likes, dislikes, comments and subscribers it received
  * @returns {Promise<void>} - A promise that resolves to the response object
  * @throws {ApiError} - If an error occurs while fetching channel stats
  */
 const getChannelStats = asyncHandler(async (req, res) => {
     try {
-        const userId = req.user?._id;
-
-        // Get total videos
-        const totalVideos = await Video.countDocuments({ owner: userId });
+        const userId = new mongoose.Types.ObjectId(String(req.user?._id));
 
-        // Get total views
-        const totalViews = await Video.aggregate([
-            { $match: { owner: new mongoose.Types.ObjectId(userId) } },
-            { $group: { _id: null, totalViews: { $sum: "$views" } } },
+        // Views and reactions are counted on the videos themselves
+        const [videoStats] = await Video.aggregate([
+            { $match: { owner: userId } },
+            {
+                $group: {
+                    _id: null,
+                    totalVideos: { $sum: 1 },
+                    totalViews: { $sum: "$views" },
+                    totalLikes: { $sum: "$likesCount" },
+                    totalDislikes: { $sum: "$dislikesCount" },
+                    videoIds: { $push: "$_id" },
+                },
+            },
         ]);
 
-        // Get total subscribers
-        const totalSubscribers = await Subscription.countDocuments({
-            channel: userId,
-        });
-
-        // Get total likes
-        const totalLikes = await Like.countDocuments({ likedBy: userId });
+        const [totalComments, totalSubscribers] = await Promise.all([
+            Comment.countDocuments({
+                video: { $in: videoStats?.videoIds || [] },
+                isDeleted: { $ne: true },
+            }),
+            Subscription.countDocuments({ channel: userId }),
+        ]);
 
         res.status(200).json(
             new ApiResponse(200, "Channel stats fetched successfully", {
-                totalVideos,
-                totalViews: totalViews[0]?.totalViews || 0,
+                totalVideos: videoStats?.totalVideos || 0,
+                totalViews: videoStats?.totalViews || 0,
+                totalLikes: videoStats?.totalLikes || 0,
+                totalDislikes: videoStats?.totalDislikes || 0,
+                totalComments,
                 totalSubscribers,
-                totalLikes,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * Truncates a date to the start of its bucket, in UTC like $dateTrunc.
+ * Weeks start on monday.
+ * @param {Date} date - The date
+ * @param {string} granularity - The bucket size (day, week, month)
+ * @returns {Date} - The start of the bucket
+ */
+const truncateDate = (date, granularity) => {
+    const start = new Date(
+        Date.UTC(
+            date.getUTCFullYear(),
+            date.getUTCMonth(),
+            granularity === "month" ? 1 : date.getUTCDate()
+        )
+    );
+    if (granularity === "week") {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    return start;
+};
+
+/**
+ * Returns the start of the bucket after the given one
+ * @param {Date} date - The start of a bucket
+ * @param {string} granularity - The bucket size (day, week, month)
+ * @returns {Date} - The start of the next bucket
+ */
+const nextBucket = (date, granularity) => {
+    const next = new Date(date);
+    if (granularity === "month") {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + (granularity === "week" ? 7 : 1));
+    }
+    return next;
+};
+
+/**
+ * @route GET /api/v1/dashboard/analytics
+ * @desc Get the engagement the channel received over time, as one entry per bucket (UTC) with the views,
+ *       the net likes, dislikes and subscribers, and the new comments
+ * @param {string} from - The start of the range, an ISO date (default: 30 days before to)
+ * @param {string} to - The end of the range, an ISO date (default: now)
+ * @param {string} granularity - The bucket size, day, week or month (default: day)
+ * @returns {Promise<void>} - A promise that resolves to the response object
+ * @throws {ApiError} - If the range is invalid or an error occurs while fetching the analytics
+ */
+const getChannelAnalytics = asyncHandler(async (req, res) => {
+    try {
+        const { granularity = "day" } = req.query;
+
+        if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+            throw new ApiError(
+                400,
+                `Granularity must be one of: ${ANALYTICS_GRANULARITIES.join(", ")}`
+            );
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(
+                  to.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000
+              );
+
+        if (isNaN(from) || isNaN(to)) {
+            throw new ApiError(400, "from and to must be valid dates");
+        }
+        if (from > to) {
+            throw new ApiError(400, "from must be before to");
+        }
+
+        const buckets = [];
+        for (
+            let bucket = truncateDate(from, granularity);
+            bucket <= to;
+            bucket = nextBucket(bucket, granularity)
+        ) {
+            buckets.push(bucket);
+            if (buckets.length > MAX_ANALYTICS_BUCKETS) {
+                throw new ApiError(
+                    400,
+                    `The range cannot have more than ${MAX_ANALYTICS_BUCKETS} buckets, use a larger granularity`
+                );
+            }
+        }
+
+        const counts = await EngagementEvent.aggregate([
+            {
+                $match: {
+                    channel: new mongoose.Types.ObjectId(String(req.user._id)),
+                    createdAt: { $gte: from, $lte: to },
+                },
+            },
+            {
+                $group: {
+                    _id: {
+                        bucket: {
+                            $dateTrunc: {
+                                date: "$createdAt",
+                                unit: granularity,
+                                startOfWeek: "monday",
+                            },
+                        },
+                        type: "$type",
+                    },
+                    count: { $sum: "$delta" },
+                },
+            },
+        ]);
+
+        const emptyCounts = () =>
+            Object.fromEntries(ENGAGEMENT_TYPES.map((type) => [type, 0]));
+        const series = new Map(
+            buckets.map((bucket) => [
+                bucket.getTime(),
+                { date: bucket, ...emptyCounts() },
+            ])
+        );
+        const totals = emptyCounts();
+
+        for (const { _id, count } of counts) {
+            const entry = series.get(new Date(_id.bucket).getTime());
+            if (entry) entry[_id.type] += count;
+            totals[_id.type] += count;
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, "Channel analytics fetched successfully", {
+                from,
+                to,
+                granularity,
+                totals,
+                series: [...series.values()],
             })
         );
     } catch (error) {
@@ -73,4 +233,4 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     }
 });
 
-export { getChannelStats, getChannelVideos };
+export { getChannelStats, getChannelAnalytics, getChannelVideos };
@@ -2,7 +2,7 @@ import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import { deleteAllFilesFromCloudinary } from "../utils/fileUpload.js";
+import { deleteAllFiles } from "../utils/fileUpload.js";
 
 /**
  * @route   DELETE /api/v1/database/empty
@@ -21,8 +21,8 @@ const emptyDatabase = asyncHandler(async (req, res) => {
             }
         }
 
-        // Delete all the resources from the cloudinary
-        await deleteAllFilesFromCloudinary();
+        // Delete all the resources from the storage
+        await deleteAllFiles();
 
         return res
             .status(200)
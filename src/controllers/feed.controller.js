@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+/**
+ * Encodes the position after the last item of a page, and the last visit the items are compared to
+ * @param {Object} item - The last item of the page
+ * @param {Date|null} seenAt - The last visit of the user before the first page was fetched
+ * @returns {string} - The opaque cursor
+ */
+const encodeCursor = (item, seenAt) =>
+    Buffer.from(
+        JSON.stringify({
+            createdAt: item.createdAt,
+            id: item._id,
+            seenAt,
+        })
+    ).toString("base64url");
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * @param {string} cursor - The opaque cursor
+ * @returns {Object} - The position ({ createdAt, id }) and the last visit (seenAt)
+ * @throws {ApiError} - If the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { createdAt, id, seenAt } = JSON.parse(
+            Buffer.from(cursor, "base64url").toString()
+        );
+        const decoded = {
+            createdAt: new Date(createdAt),
+            id: new mongoose.Types.ObjectId(String(id)),
+            seenAt: seenAt ? new Date(seenAt) : null,
+        };
+        if (isNaN(decoded.createdAt)) throw new Error("Invalid date");
+        return decoded;
+    } catch {
+        throw new ApiError(400, "Invalid cursor");
+    }
+};
+
+/**
+ * Builds the pipeline stages which select the items of the channels after the cursor position
+ * @param {string} ownerField - The field holding the channel of the item
+ * @param {Array<Object>} channelIds - The IDs of the channels
+ * @param {Object|null} position - The cursor position ({ createdAt, id })
+ * @returns {Array<Object>} - The pipeline stages
+ */
+const getFeedMatch = (ownerField, channelIds, position) => [
+    { $match: { [ownerField]: { $in: channelIds } } },
+    ...(position
+        ? [
+              {
+                  $match: {
+                      $or: [
+                          { createdAt: { $lt: position.createdAt } },
+                          {
+                              createdAt: position.createdAt,
+                              _id: { $lt: position.id },
+                          },
+                      ],
+                  },
+              },
+          ]
+        : []),
+];
+
+/**
+ * @route GET /api/v1/feed/subscriptions
+ * @desc Get the published videos and the tweets of the subscribed channels, newest first.
+ *       Items posted before the previous visit have isSeen set, the first page records the visit.
+ * @param {string} cursor - The nextCursor of the previous page, omitted for the first page
+ * @param {number} limit - The number of items per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the items and the cursor of the next page
+ * @throws {ApiError} - If the cursor is invalid or an error occurs while fetching the feed
+ */
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+    try {
+        const { cursor } = req.query;
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+        const position = cursor ? decodeCursor(cursor) : null;
+
+        // The first page compares the items to the previous visit and records this one,
+        // the next pages keep comparing them to the visit the first page was compared to
+        let seenAt = position?.seenAt ?? null;
+        if (!position) {
+            // Returns the user as it was before the update, with the previous visit
+            const user = await User.findByIdAndUpdate(
+                req.user._id,
+                { $set: { feedLastSeenAt: new Date() } },
+                { timestamps: false }
+            ).select("feedLastSeenAt");
+            seenAt = user?.feedLastSeenAt || null;
+        }
+
+        const [channelIds, hiddenUserIds] = await Promise.all([
+            Subscription.distinct("channel", { subscriber: req.user._id }),
+            UserRelation.getHiddenUserIds(req.user._id),
+        ]);
+
+        const items = await Video.aggregate([
+            // Videos created before the processing status existed have no status and are ready
+            {
+                $match: {
+                    visibility: "public",
+                    status: { $in: ["ready", null] },
+                },
+            },
+            // Scheduled videos are placed in the feed when they are published
+            {
+                $set: {
+                    createdAt: { $ifNull: ["$publishedAt", "$createdAt"] },
+                },
+            },
+            ...getFeedMatch("owner", channelIds, position),
+            {
+                $project: {
+                    type: { $literal: "video" },
+                    createdAt: 1,
+                    owner: 1,
+                    title: 1,
+                    thumbnail: 1,
+                    duration: 1,
+                    views: 1,
+                },
+            },
+            {
+                $unionWith: {
+                    coll: "tweets",
+                    pipeline: [
+                        ...getFeedMatch("author", channelIds, position),
+                        {
+                            $match: {
+                                deletedAt: null,
+                                "takedown.takenDownAt": null,
+                                author: { $nin: hiddenUserIds },
+                            },
+                        },
+                        {
+                            $project: {
+                                type: { $literal: "tweet" },
+                                createdAt: 1,
+                                owner: "$author",
+                                content: 1,
+                                likesCount: 1,
+                            },
+                        },
+                    ],
+                },
+            },
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $limit: limit + 1 },
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "channel",
+                    pipeline: [
+                        { $project: { fullName: 1, username: 1, avatar: 1 } },
+                    ],
+                },
+            },
+            {
+                $addFields: {
+                    channel: { $first: "$channel" },
+                    isSeen: seenAt ? { $lte: ["$createdAt", seenAt] } : false,
+                },
+            },
+            { $project: { owner: 0 } },
+        ]);
+
+        const hasMore = items.length > limit;
+        const page = items.slice(0, limit);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Subscription feed fetched successfully", {
+                items: page,
+                lastSeenAt: seenAt,
+                nextCursor: hasMore
+                    ? encodeCursor(page[page.length - 1], seenAt)
+                    : null,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export { getSubscriptionFeed };
@@ -1,46 +1,170 @@
 import { isValidObjectId } from "mongoose";
-import { Like } from "../models/like.model.js";
+import {
+    Like,
+    REACTIONS,
+    REACTION_COUNT_FIELDS,
+} from "../models/like.model.js";
 import { Video } from "../models/video.model.js";
 import { Comment } from "../models/comment.model.js";
 import { Tweet } from "../models/tweet.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import { getRequestRegion, recordEngagement } from "../utils/engagement.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+import { UserRelation } from "../models/userRelation.model.js";
+
+const TARGET_MODELS = { Video, Comment, Tweet };
+
+/**
+ * Checks that the owner of the content did not block the user reacting to it
+ * @param {Object} ownerId - The ID of the owner of the content
+ * @param {Object} userId - The ID of the user reacting
+ * @throws {ApiError} - If the owner blocked the user
+ */
+const ensureNotBlocked = async (ownerId, userId) => {
+    if (await UserRelation.isBlocked(ownerId, userId)) {
+        throw new ApiError(403, "You cannot react to this content");
+    }
+};
+
+/**
+ * Toggles the reaction of a user to a target and keeps the counters of the target in sync.
+ * Reacting again with the same reaction removes it, reacting with the other one switches it.
+ * @param {string} userId - The ID of the user
+ * @param {string} targetType - The type of the target (Video, Comment, Tweet)
+ * @param {string} targetId - The ID of the target
+ * @param {string} reaction - The reaction (like, dislike)
+ * @returns {Promise<Object>} - The reaction of the user after the toggle, null if it was removed,
+ *                               and the changes applied to the counters per reaction (e.g. { like: -1, dislike: 1 })
+ */
+const toggleReaction = async (userId, targetType, targetId, reaction) => {
+    const Target = TARGET_MODELS[targetType];
+    const key = { likedBy: userId, target: targetId, targetType };
+    const existing = await Like.findOne(key);
+
+    // The conditional updates below only change the counters for the request which changed the reaction
+    if (existing?.reaction === reaction) {
+        const deleted = await Like.findOneAndDelete({ ...key, reaction });
+        if (!deleted) return { reaction: null, changes: {} };
+
+        await Target.updateOne(
+            { _id: targetId },
+            { $inc: { [REACTION_COUNT_FIELDS[reaction]]: -1 } }
+        );
+        return { reaction: null, changes: { [reaction]: -1 } };
+    }
+
+    if (existing) {
+        const switched = await Like.findOneAndUpdate(
+            { ...key, reaction: existing.reaction },
+            { $set: { reaction } }
+        );
+        if (!switched) return { reaction, changes: {} };
+
+        await Target.updateOne(
+            { _id: targetId },
+            {
+                $inc: {
+                    [REACTION_COUNT_FIELDS[existing.reaction]]: -1,
+                    [REACTION_COUNT_FIELDS[reaction]]: 1,
+                },
+            }
+        );
+        return {
+            reaction,
+            changes: { [existing.reaction]: -1, [reaction]: 1 },
+        };
+    }
+
+    try {
+        await Like.create({ ...key, reaction });
+    } catch (error) {
+        // A concurrent request already added the reaction
+        if (error?.code === 11000) return { reaction, changes: {} };
+        throw error;
+    }
+    await Target.updateOne(
+        { _id: targetId },
+        { $inc: { [REACTION_COUNT_FIELDS[reaction]]: 1 } }
+    );
+    return { reaction, changes: { [reaction]: 1 } };
+};
 
 /**
  * @route POST /api/v1/likes/toggle/v/:videoId
- * @desc Like or unlike a video
- * @param {string} videoId - ID of the video to like/unlike
- * @returns {Promise<void>} - Returns a response with the status and message
- * @throws {ApiError} - If an error occurs while liking/unliking the video
+ * @desc Like, dislike or remove the reaction to a video
+ * @param {string} videoId - ID of the video to react to
+ * @param {string} reaction - The reaction, like or dislike (default: like)
+ * @returns {Promise<void>} - Returns a response with the reaction and the counts of the video
+ * @throws {ApiError} - If an error occurs while reacting to the video
  */
 const toggleVideoLike = asyncHandler(async (req, res) => {
     try {
         const { videoId } = req.params;
+        const { reaction = "like" } = req.body || {};
+
         if (!isValidObjectId(videoId)) {
             throw new ApiError(400, "Invalid Video ID");
         }
+        if (!REACTIONS.includes(reaction)) {
+            throw new ApiError(
+                400,
+                `Reaction must be one of: ${REACTIONS.join(", ")}`
+            );
+        }
 
-        const video = await Video.findById(videoId);
-        if (!video) {
+        const video = await Video.findById(videoId).select("owner visibility");
+        if (!video || !video.isVisibleTo(req.user)) {
             throw new ApiError(404, "Video not found");
         }
+        await ensureNotBlocked(video.owner, req.user._id);
 
-        let userLikes = await Like.findOne({ likedBy: req.user._id });
-        if (!userLikes) {
-            userLikes = await Like.create({ likedBy: req.user._id });
+        const { reaction: userReaction, changes } = await toggleReaction(
+            req.user._id,
+            "Video",
+            videoId,
+            reaction
+        );
+        await recordEngagement(
+            Object.entries(changes).map(([type, delta]) => ({
+                channel: video.owner,
+                video: videoId,
+                actor: req.user._id,
+                type,
+                delta,
+                region: getRequestRegion(req),
+            }))
+        );
+        publishEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, { videoId });
+        if (changes.like === 1) {
+            publishEvent(APP_EVENTS.VIDEO_LIKED, {
+                video,
+                actor: req.user._id,
+            });
         }
+        const counts = await Video.findById(videoId).select(
+            "likesCount dislikesCount"
+        );
 
-        const index = userLikes.videos.indexOf(videoId);
-        if (index >= 0) {
-            userLikes.videos.splice(index, 1);
-            await userLikes.save();
-            return res.status(200).json(new ApiResponse(200, "Video unliked"));
-        }
+        const data = {
+            reaction: userReaction,
+            likesCount: counts?.likesCount || 0,
+            dislikesCount: counts?.dislikesCount || 0,
+        };
 
-        userLikes.videos.push(videoId);
-        await userLikes.save();
-        res.status(201).json(new ApiResponse(201, "Video liked", userLikes));
+        if (!userReaction) {
+            return res
+                .status(200)
+                .json(new ApiResponse(200, "Video reaction removed", data));
+        }
+        res.status(201).json(
+            new ApiResponse(
+                201,
+                userReaction === "like" ? "Video liked" : "Video disliked",
+                data
+            )
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -53,7 +177,7 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
  * @route POST /api/v1/likes/toggle/c/:commentId
  * @desc Like or unlike a comment
  * @param {string} commentId - ID of the comment to like/unlike
- * @returns {Promise<void>} - Returns a response with the status and message
+ * @returns {Promise<void>} - Returns a response with the status and the like count of the comment
  * @throws {ApiError} - If an error occurs while liking/unliking the comment
  */
 const toggleCommentLike = asyncHandler(async (req, res) => {
@@ -63,28 +187,32 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid Comment ID");
         }
 
-        const comment = await Comment.findById(commentId);
-        if (!comment) {
+        // Comments in the trash are not found, the taken down ones are hidden
+        const comment = await Comment.findById(commentId).select(
+            "isDeleted owner takedown"
+        );
+        if (!comment || comment.isDeleted || comment.takedown?.takenDownAt) {
             throw new ApiError(404, "Comment not found");
         }
+        await ensureNotBlocked(comment.owner, req.user._id);
 
-        let userLikes = await Like.findOne({ likedBy: req.user._id });
-        if (!userLikes) {
-            userLikes = await Like.create({ likedBy: req.user._id });
-        }
+        const { reaction: userReaction } = await toggleReaction(
+            req.user._id,
+            "Comment",
+            commentId,
+            "like"
+        );
+        const { likesCount = 0 } =
+            (await Comment.findById(commentId).select("likesCount")) || {};
 
-        const index = userLikes.comments.indexOf(commentId);
-        if (index >= 0) {
-            userLikes.comments.splice(index, 1);
-            await userLikes.save();
+        if (!userReaction) {
             return res
                 .status(200)
-                .json(new ApiResponse(200, "Comment unliked"));
+                .json(new ApiResponse(200, "Comment unliked", { likesCount }));
         }
-
-        userLikes.comments.push(commentId);
-        await userLikes.save();
-        res.status(201).json(new ApiResponse(201, "Comment liked", userLikes));
+        res.status(201).json(
+            new ApiResponse(201, "Comment liked", { likesCount })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -97,7 +225,7 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
  * @route POST /api/v1/likes/toggle/t/:tweetId
  * @desc Like or unlike a tweet
  * @param {string} tweetId - ID of the tweet to like/unlike
- * @returns {Promise<void>} - Returns a response with the status and message
+ * @returns {Promise<void>} - Returns a response with the status and the like count of the tweet
  * @throws {ApiError} - If an error occurs while liking/unliking the tweet
  */
 const toggleTweetLike = asyncHandler(async (req, res) => {
@@ -107,26 +235,30 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid Tweet ID");
         }
 
-        const tweet = await Tweet.findById(tweetId);
-        if (!tweet) {
+        // Tweets in the trash are not found, the taken down ones are hidden
+        const tweet = await Tweet.findById(tweetId).select("author takedown");
+        if (!tweet || tweet.takedown?.takenDownAt) {
             throw new ApiError(404, "Tweet not found");
         }
+        await ensureNotBlocked(tweet.author, req.user._id);
 
-        let userLikes = await Like.findOne({ likedBy: req.user._id });
-        if (!userLikes) {
-            userLikes = await Like.create({ likedBy: req.user._id });
-        }
+        const { reaction: userReaction } = await toggleReaction(
+            req.user._id,
+            "Tweet",
+            tweetId,
+            "like"
+        );
+        const { likesCount = 0 } =
+            (await Tweet.findById(tweetId).select("likesCount")) || {};
 
-        const index = userLikes.tweets.indexOf(tweetId);
-        if (index >= 0) {
-            userLikes.tweets.splice(index, 1);
-            await userLikes.save();
-            return res.status(200).json(new ApiResponse(200, "Tweet unliked"));
+        if (!userReaction) {
+            return res
+                .status(200)
+                .json(new ApiResponse(200, "Tweet unliked", { likesCount }));
         }
-
-        userLikes.tweets.push(tweetId);
-        await userLikes.save();
-        res.status(201).json(new ApiResponse(201, "Tweet liked", userLikes));
+        res.status(201).json(
+            new ApiResponse(201, "Tweet liked", { likesCount })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -137,21 +269,46 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 
 /**
  * @route GET /api/v1/likes/videos
- * @desc Get all liked videos by the current user
- * @returns {Promise<void>} - Returns a response with the status and liked videos
+ * @desc Get the videos liked by the current user, most recently liked first
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of likes per page (default: 20)
+ * @returns {Promise<void>} - Returns a response with the status, the liked videos and the pagination details
  * @throws {ApiError} - If an error occurs while fetching liked videos
  */
 const getLikedVideos = asyncHandler(async (req, res) => {
     try {
-        const userLikes = await Like.findOne({
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+        const filter = {
             likedBy: req.user._id,
-        }).populate("videos");
+            targetType: "Video",
+            reaction: "like",
+        };
 
-        // Return an empty array if the user has no like document
-        const likedVideos = userLikes?.videos || [];
-        return res
-            .status(200)
-            .json(new ApiResponse(200, "Liked videos fetched", likedVideos));
+        const [likes, total] = await Promise.all([
+            Like.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("target"),
+            Like.countDocuments(filter),
+        ]);
+
+        // Skip the likes of videos which do not exist anymore or were made private
+        const likedVideos = likes
+            .map((like) => like.target)
+            .filter((video) => video?.isVisibleTo(req.user));
+        return res.status(200).json(
+            new ApiResponse(200, "Liked videos fetched", {
+                videos: likedVideos,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit),
+                },
+            })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -0,0 +1,257 @@
+import { isValidObjectId } from "mongoose";
+import {
+    Notification,
+    NOTIFICATION_TYPES,
+} from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+/**
+ * Returns the notification preferences of a user, every type is on unless turned off
+ * @param {Object} user - The user document
+ * @returns {Object} - Notification type => whether the user gets it
+ */
+const getPreferences = (user) =>
+    Object.fromEntries(
+        NOTIFICATION_TYPES.map((type) => [
+            type,
+            user.settings?.notifications?.[type] !== false,
+        ])
+    );
+
+/**
+ * @route GET /api/v1/notifications
+ * @desc Get the notifications of the current user, newest first, with the number of unread ones
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of notifications per page (default: 20)
+ * @param {boolean} unread - Only return the unread notifications (default: false)
+ * @returns {Promise<void>} - A promise that resolves with the notifications, the unread count and the pagination details
+ * @throws {ApiError} - If an error occurs while fetching the notifications
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+    try {
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+        const filter = { recipient: req.user._id };
+        if (req.query.unread === "true") {
+            filter.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("actor", "fullName username avatar")
+                .populate("video", "title thumbnail"),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({
+                recipient: req.user._id,
+                readAt: null,
+            }),
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Notifications fetched successfully", {
+                notifications,
+                unreadCount,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit),
+                },
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/notifications/unread-count
+ * @desc Get the number of unread notifications of the current user
+ * @returns {Promise<void>} - A promise that resolves with the unread count
+ * @throws {ApiError} - If an error occurs while counting the notifications
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({
+            recipient: req.user._id,
+            readAt: null,
+        });
+
+        return res.status(200).json(
+            new ApiResponse(200, "Unread count fetched successfully", {
+                unreadCount,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route PATCH /api/v1/notifications/:notificationId/read
+ * @desc Mark a notification of the current user as read
+ * @param {string} notificationId - The ID of the notification
+ * @returns {Promise<void>} - A promise that resolves with the notification
+ * @throws {ApiError} - If the notification ID is invalid or the notification is not found
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+
+        if (!isValidObjectId(notificationId)) {
+            throw new ApiError(400, "Invalid Notification ID");
+        }
+
+        // Keep the time it was first read at
+        const notification =
+            (await Notification.findOneAndUpdate(
+                { _id: notificationId, recipient: req.user._id, readAt: null },
+                { $set: { readAt: new Date() } },
+                { new: true }
+            )) ||
+            (await Notification.findOne({
+                _id: notificationId,
+                recipient: req.user._id,
+            }));
+
+        if (!notification) {
+            throw new ApiError(404, "Notification not found");
+        }
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    "Notification marked as read",
+                    notification
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route PATCH /api/v1/notifications/read-all
+ * @desc Mark all the notifications of the current user as read
+ * @returns {Promise<void>} - A promise that resolves with the number of notifications marked as read
+ * @throws {ApiError} - If an error occurs while updating the notifications
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    try {
+        const { modifiedCount } = await Notification.updateMany(
+            { recipient: req.user._id, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        return res.status(200).json(
+            new ApiResponse(200, "All notifications marked as read", {
+                modifiedCount,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/notifications/preferences
+ * @desc Get which types of notifications the current user gets
+ * @returns {Promise<void>} - A promise that resolves with the preferences
+ */
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                "Notification preferences fetched successfully",
+                getPreferences(req.user)
+            )
+        );
+});
+
+/**
+ * @route PATCH /api/v1/notifications/preferences
+ * @desc Turn types of notifications on or off for the current user, the types which are not sent are kept
+ * @param {Object} body - Notification type => boolean, e.g. { "like": false }
+ * @returns {Promise<void>} - A promise that resolves with the updated preferences
+ * @throws {ApiError} - If a type is unknown or a value is not a boolean
+ */
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    try {
+        const changes = req.body || {};
+        const entries = Object.entries(changes);
+
+        if (!entries.length) {
+            throw new ApiError(400, "No preferences to update");
+        }
+        for (const [type, enabled] of entries) {
+            if (!NOTIFICATION_TYPES.includes(type)) {
+                throw new ApiError(
+                    400,
+                    `Unknown notification type "${type}", expected one of: ${NOTIFICATION_TYPES.join(", ")}`
+                );
+            }
+            if (typeof enabled !== "boolean") {
+                throw new ApiError(400, `${type} must be true or false`);
+            }
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            {
+                $set: Object.fromEntries(
+                    entries.map(([type, enabled]) => [
+                        `settings.notifications.${type}`,
+                        enabled,
+                    ])
+                ),
+            },
+            { new: true }
+        ).select("settings");
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    "Notification preferences updated successfully",
+                    getPreferences(user)
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+};
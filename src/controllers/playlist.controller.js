@@ -4,6 +4,7 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import { getPurgeDate } from "../utils/trash.js";
 
 /**
  * @route POST /api/v1/playlists
@@ -90,8 +91,17 @@ const getPlaylistById = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid playlist ID");
         }
 
-        // Finds the playlist by its ID and populates the "videos" field
-        const playlist = await Playlist.findById(playlistId).populate("videos");
+        // Finds the playlist by its ID and populates the "videos" field,
+        // without the private videos of other users
+        const playlist = await Playlist.findById(playlistId).populate({
+            path: "videos",
+            match: {
+                $or: [
+                    { visibility: { $ne: "private" } },
+                    { owner: req.user._id },
+                ],
+            },
+        });
         if (!playlist) {
             throw new ApiError(404, "Playlist not found");
         }
@@ -196,7 +206,7 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
 
 /**
  * @route DELETE /api/v1/playlists/:playlistId
- * @desc Deletes a playlist by its ID.
+ * @desc Moves a playlist to the trash, it can be restored until it is purged.
  * @param {Object} req Express request object containing playlistId in params.
  * @param {Object} playlistId The ID of the playlist.
  * @returns {Promise<void>} A promise that resolves with a success message.
@@ -220,8 +230,12 @@ const deletePlaylist = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Unauthorized access");
         }
 
-        await playlist.deleteOne();
-        res.status(200).json(new ApiResponse(200, "Playlist deleted", null));
+        await playlist.softDelete();
+        res.status(200).json(
+            new ApiResponse(200, "Playlist moved to the trash", {
+                purgeAt: getPurgeDate(playlist.deletedAt),
+            })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
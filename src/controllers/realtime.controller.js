@@ -0,0 +1,63 @@
+import { isValidObjectId } from "mongoose";
+import DATA from "../config.js";
+import { Notification } from "../models/notification.model.js";
+import { Video } from "../models/video.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { countStreams, openEventStream, sendEvent } from "../utils/realtime.js";
+import { getVideoCounters } from "../utils/videoCounters.js";
+import ApiError from "../utils/ApiError.js";
+
+/**
+ * @route GET /api/v1/realtime/events
+ * @desc Open a server-sent event stream of the current user, which receives:
+ * - notifications.unread: { unreadCount }, once when the stream opens
+ * - notification: a new notification, shaped like in GET /api/v1/notifications
+ * - video.status: { videoId, status, processingError, streamingStatus } when the processing of an upload of the user moves on
+ * - counters: { videoId, views, likes, dislikes, comments } of the video being watched, when one is given
+ * @param {string} videoId - The video being watched, to receive its live counters (optional)
+ * @returns {Promise<void>} - A promise that resolves once the stream is open
+ * @throws {ApiError} - If the video is not found or the user has too many streams open
+ */
+const streamEvents = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.query;
+        const userChannel = `user:${req.user._id}`;
+
+        if (countStreams(userChannel) >= DATA.realtime.maxStreamsPerUser) {
+            throw new ApiError(429, "Too many open event streams");
+        }
+
+        const channels = [userChannel];
+        let counters;
+        if (videoId) {
+            if (!isValidObjectId(videoId)) {
+                throw new ApiError(400, "Invalid Video ID");
+            }
+
+            const video =
+                await Video.findById(videoId).select("owner visibility");
+            if (!video || !video.isVisibleTo(req.user)) {
+                throw new ApiError(404, "Video not found");
+            }
+
+            channels.push(`video:${video._id}`);
+            counters = await getVideoCounters(video._id);
+        }
+
+        const unreadCount = await Notification.countDocuments({
+            recipient: req.user._id,
+            readAt: null,
+        });
+
+        openEventStream(req, res, channels);
+        sendEvent(res, "notifications.unread", { unreadCount });
+        if (counters) sendEvent(res, "counters", counters);
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export { streamEvents };
@@ -0,0 +1,618 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+    PENDING_REPORT_STATUSES,
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    REPORT_TARGET_TYPES,
+    Report,
+} from "../models/report.model.js";
+import {
+    MODERATION_ACTIONS,
+    ModerationAction,
+} from "../models/moderationAction.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+
+// Model and owner field of each reportable content type
+const TARGETS = {
+    Video: { model: Video, ownerField: "owner" },
+    Comment: { model: Comment, ownerField: "owner" },
+    Tweet: { model: Tweet, ownerField: "author" },
+};
+
+// Statuses a moderator can move a report to by hand, and the action recorded for it.
+// Reports are actioned by taking the content down.
+const STATUS_ACTIONS = {
+    open: "release",
+    reviewing: "review",
+    dismissed: "dismiss",
+};
+
+/**
+ * Checks a content type and ID sent by the client
+ * @param {string} targetType - The content type (Video, Comment, Tweet)
+ * @param {string} targetId - The ID of the content
+ * @throws {ApiError} - If the type or the ID is invalid
+ */
+const validateTarget = (targetType, targetId) => {
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+        throw new ApiError(
+            400,
+            `Target type must be one of: ${REPORT_TARGET_TYPES.join(", ")}`
+        );
+    }
+    if (!isValidObjectId(targetId)) {
+        throw new ApiError(400, `Invalid ${targetType} ID`);
+    }
+};
+
+/**
+ * Returns whether a content is taken down
+ * @param {string} targetType - The content type
+ * @param {Object} content - The content document
+ * @returns {boolean}
+ */
+const isTakenDown = (targetType, content) =>
+    targetType === "Video"
+        ? Boolean(content.publishLock?.lockedAt)
+        : Boolean(content.takedown?.takenDownAt);
+
+/**
+ * Takes a content down, including content in the trash. Videos are force-unpublished and locked,
+ * like with PATCH /admin/videos/:videoId/unpublish, comments and tweets are hidden from the listings.
+ * @param {string} targetType - The content type
+ * @param {string} targetId - The ID of the content
+ * @param {Object} moderator - The moderator taking the content down
+ * @param {string} reason - Why the content is taken down
+ * @returns {Promise<Object|null>} - The content, null if it does not exist
+ */
+const takeDownContent = async (targetType, targetId, moderator, reason) => {
+    const update =
+        targetType === "Video"
+            ? {
+                  visibility: "private",
+                  publishLock: {
+                      lockedAt: new Date(),
+                      lockedBy: moderator._id,
+                      reason,
+                  },
+              }
+            : {
+                  takedown: {
+                      takenDownAt: new Date(),
+                      takenDownBy: moderator._id,
+                      reason,
+                  },
+              };
+
+    // Content in the trash is taken down as well, so that it stays down if it is restored
+    return await TARGETS[targetType].model
+        .findByIdAndUpdate(
+            targetId,
+            // Cancel the schedule of a video
+            targetType === "Video"
+                ? { $set: update, $unset: { publishAt: 1 } }
+                : { $set: update },
+            { new: true }
+        )
+        .withDeleted();
+};
+
+/**
+ * Records a moderator decision in the audit trail
+ * @param {Object} req - Express request object, req.user is the moderator
+ * @param {string} action - The action, one of MODERATION_ACTIONS
+ * @param {Object} details - { report, target, targetType, targetOwner, note }
+ * @returns {Promise<Object>} - The recorded action
+ */
+const recordModerationAction = async (req, action, details) => {
+    return await ModerationAction.create({
+        moderator: req.user._id,
+        action,
+        ...details,
+    });
+};
+
+/**
+ * @route POST /api/v1/reports
+ * @desc Report a video, comment or tweet to the moderators
+ * @param {string} targetType - The content type (Video, Comment, Tweet)
+ * @param {string} targetId - The ID of the content
+ * @param {string} reason - The reason code, one of REPORT_REASONS
+ * @param {string} details - More details about the report (optional, max 500 characters)
+ * @returns {Promise<void>} - A promise that resolves with the report
+ * @throws {ApiError} - If the input is invalid, the content is not found, is the user's own or was already reported by them
+ */
+const createReport = asyncHandler(async (req, res) => {
+    try {
+        const { targetType, targetId, reason, details } = req.body;
+
+        validateTarget(targetType, targetId);
+        if (!REPORT_REASONS.includes(reason)) {
+            throw new ApiError(
+                400,
+                `Reason must be one of: ${REPORT_REASONS.join(", ")}`
+            );
+        }
+        if (details !== undefined && typeof details !== "string") {
+            throw new ApiError(400, "Details must be a string");
+        }
+        if (details?.trim().length > 500) {
+            throw new ApiError(400, "Details must be at most 500 characters");
+        }
+
+        const { model, ownerField } = TARGETS[targetType];
+        const content = await model.findById(targetId);
+        // Private videos are reported as missing to everyone except the owner, like in getVideoById
+        if (
+            !content ||
+            isTakenDown(targetType, content) ||
+            (targetType === "Video" && !content.isVisibleTo(req.user))
+        ) {
+            throw new ApiError(404, `${targetType} not found`);
+        }
+        if (content[ownerField].toString() === req.user._id.toString()) {
+            throw new ApiError(400, "You cannot report your own content");
+        }
+
+        let report;
+        try {
+            report = await Report.create({
+                reporter: req.user._id,
+                target: content._id,
+                targetType,
+                targetOwner: content[ownerField],
+                reason,
+                details: details?.trim() || undefined,
+            });
+        } catch (error) {
+            if (error?.code === 11000) {
+                throw new ApiError(
+                    409,
+                    `You have already reported this ${targetType.toLowerCase()}`
+                );
+            }
+            throw error;
+        }
+
+        return res
+            .status(201)
+            .json(
+                new ApiResponse(201, "Report submitted successfully", report)
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/reports
+ * @desc Get the moderator queue, oldest reports first
+ * @param {string} status - Only the reports with this status (default: open)
+ * @param {string} targetType - Only the reports of this content type
+ * @param {string} reason - Only the reports with this reason
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of reports per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the reports and the pagination details
+ * @throws {ApiError} - If a filter is invalid
+ */
+const getReports = asyncHandler(async (req, res) => {
+    try {
+        const { status = "open", targetType, reason } = req.query;
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+        if (!REPORT_STATUSES.includes(status)) {
+            throw new ApiError(
+                400,
+                `Status must be one of: ${REPORT_STATUSES.join(", ")}`
+            );
+        }
+        const filter = { status };
+        if (targetType) {
+            if (!REPORT_TARGET_TYPES.includes(targetType)) {
+                throw new ApiError(400, "Invalid target type");
+            }
+            filter.targetType = targetType;
+        }
+        if (reason) {
+            if (!REPORT_REASONS.includes(reason)) {
+                throw new ApiError(400, "Invalid reason");
+            }
+            filter.reason = reason;
+        }
+
+        const [reports, total] = await Promise.all([
+            Report.find(filter)
+                .sort({ createdAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("reporter", "fullName username avatar")
+                .populate("targetOwner", "fullName username avatar")
+                .populate("assignedTo", "fullName username")
+                .populate("target"),
+            Report.countDocuments(filter),
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Reports fetched successfully", {
+                reports,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit),
+                },
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/reports/:reportId
+ * @desc Get a report with the other reports of the same content and the decisions taken on it
+ * @param {string} reportId - The ID of the report
+ * @returns {Promise<void>} - A promise that resolves with the report, the reports of the content and its actions
+ * @throws {ApiError} - If the report ID is invalid or the report is not found
+ */
+const getReport = asyncHandler(async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        if (!isValidObjectId(reportId)) {
+            throw new ApiError(400, "Invalid Report ID");
+        }
+
+        const report = await Report.findById(reportId)
+            .populate("reporter", "fullName username avatar")
+            .populate("targetOwner", "fullName username avatar")
+            .populate("assignedTo", "fullName username")
+            .populate("resolvedBy", "fullName username")
+            .populate("target");
+        if (!report) {
+            throw new ApiError(404, "Report not found");
+        }
+
+        const target = { target: report.target?._id || report.target };
+        const [reportsOfTarget, actions] = await Promise.all([
+            Report.find({ ...target, targetType: report.targetType })
+                .sort({ createdAt: 1 })
+                .select("reporter reason details status createdAt")
+                .populate("reporter", "fullName username"),
+            ModerationAction.find(target)
+                .sort({ createdAt: -1 })
+                .populate("moderator", "fullName username"),
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Report fetched successfully", {
+                report,
+                reportsOfTarget,
+                actions,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route PATCH /api/v1/reports/:reportId/status
+ * @desc Move a report through the review workflow: pick it up (reviewing), put it back in
+ *       the queue (open) or dismiss it (dismissed). Actioned and dismissed reports are final.
+ * @param {string} reportId - The ID of the report
+ * @param {string} status - The new status (open, reviewing, dismissed)
+ * @param {string} note - Why, recorded in the audit trail (optional)
+ * @returns {Promise<void>} - A promise that resolves with the updated report
+ * @throws {ApiError} - If the status is invalid, the report is not found or already resolved
+ */
+const updateReportStatus = asyncHandler(async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { status, note } = req.body;
+
+        if (!isValidObjectId(reportId)) {
+            throw new ApiError(400, "Invalid Report ID");
+        }
+        if (!STATUS_ACTIONS[status]) {
+            throw new ApiError(
+                400,
+                `Status must be one of: ${Object.keys(STATUS_ACTIONS).join(", ")}`
+            );
+        }
+
+        const update =
+            status === "dismissed"
+                ? {
+                      $set: {
+                          status,
+                          resolvedBy: req.user._id,
+                          resolvedAt: new Date(),
+                          resolutionNote: note,
+                      },
+                  }
+                : status === "reviewing"
+                  ? { $set: { status, assignedTo: req.user._id } }
+                  : { $set: { status }, $unset: { assignedTo: 1 } };
+
+        // Only pending reports which are not already in that status can move
+        const report = await Report.findOneAndUpdate(
+            {
+                _id: reportId,
+                status: {
+                    $in: PENDING_REPORT_STATUSES.filter(
+                        (pending) => pending !== status
+                    ),
+                },
+            },
+            update,
+            { new: true }
+        );
+
+        if (!report) {
+            const current = await Report.findById(reportId).select("status");
+            if (!current) {
+                throw new ApiError(404, "Report not found");
+            }
+            throw new ApiError(
+                409,
+                `A report which is ${current.status} cannot be moved to ${status}`
+            );
+        }
+
+        await recordModerationAction(req, STATUS_ACTIONS[status], {
+            report: report._id,
+            target: report.target,
+            targetType: report.targetType,
+            targetOwner: report.targetOwner,
+            note,
+        });
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    "Report status updated successfully",
+                    report
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/reports/:reportId/takedown
+ * @desc Take the reported content down. All the pending reports of the content are actioned.
+ * @param {string} reportId - The ID of the report
+ * @param {string} note - Why, shown as the takedown reason and recorded in the audit trail (default: the report reason)
+ * @returns {Promise<void>} - A promise that resolves with the report
+ * @throws {ApiError} - If the report is not found or already resolved, or the content no longer exists
+ */
+const takeDownReportedContent = asyncHandler(async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { note } = req.body;
+
+        if (!isValidObjectId(reportId)) {
+            throw new ApiError(400, "Invalid Report ID");
+        }
+
+        const report = await Report.findById(reportId);
+        if (!report) {
+            throw new ApiError(404, "Report not found");
+        }
+        if (!PENDING_REPORT_STATUSES.includes(report.status)) {
+            throw new ApiError(409, `The report is already ${report.status}`);
+        }
+
+        const content = await takeDownContent(
+            report.targetType,
+            report.target,
+            req.user,
+            note || report.reason
+        );
+        if (!content) {
+            throw new ApiError(404, `${report.targetType} no longer exists`);
+        }
+
+        await Report.updateMany(
+            {
+                target: report.target,
+                targetType: report.targetType,
+                status: { $in: PENDING_REPORT_STATUSES },
+            },
+            {
+                $set: {
+                    status: "actioned",
+                    resolvedBy: req.user._id,
+                    resolvedAt: new Date(),
+                    resolutionNote: note,
+                },
+            }
+        );
+        await recordModerationAction(req, "takedown", {
+            report: report._id,
+            target: report.target,
+            targetType: report.targetType,
+            targetOwner: report.targetOwner,
+            note,
+        });
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    `${report.targetType} taken down successfully`,
+                    await Report.findById(report._id)
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route PATCH /api/v1/reports/targets/:targetType/:targetId/reinstate
+ * @desc Put taken down content back. Videos stay unpublished until their owner publishes them again.
+ * @param {string} targetType - The content type (Video, Comment, Tweet)
+ * @param {string} targetId - The ID of the content
+ * @param {string} note - Why, recorded in the audit trail (optional)
+ * @returns {Promise<void>} - A promise that resolves with the content
+ * @throws {ApiError} - If the content is not found or not taken down
+ */
+const reinstateContent = asyncHandler(async (req, res) => {
+    try {
+        const { targetType, targetId } = req.params;
+        const { note } = req.body;
+
+        validateTarget(targetType, targetId);
+
+        const { model, ownerField } = TARGETS[targetType];
+        const takedownField =
+            targetType === "Video"
+                ? "publishLock.lockedAt"
+                : "takedown.takenDownAt";
+        const content = await model.findOneAndUpdate(
+            { _id: targetId, [takedownField]: { $ne: null } },
+            {
+                $unset:
+                    targetType === "Video"
+                        ? { publishLock: 1 }
+                        : { takedown: 1 },
+            },
+            { new: true }
+        );
+
+        if (!content) {
+            const exists = await model.exists({ _id: targetId });
+            throw exists
+                ? new ApiError(
+                      409,
+                      `The ${targetType.toLowerCase()} is not taken down`
+                  )
+                : new ApiError(404, `${targetType} not found`);
+        }
+
+        await recordModerationAction(req, "reinstate", {
+            target: content._id,
+            targetType,
+            targetOwner: content[ownerField],
+            note,
+        });
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    `${targetType} reinstated successfully`,
+                    content
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/reports/actions
+ * @desc Get the audit trail of the moderator decisions, newest first
+ * @param {string} targetId - Only the decisions on this content
+ * @param {string} moderator - Only the decisions of this moderator (user ID)
+ * @param {string} action - Only this action
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of actions per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the actions and the pagination details
+ * @throws {ApiError} - If a filter is invalid
+ */
+const getModerationActions = asyncHandler(async (req, res) => {
+    try {
+        const { targetId, moderator, action } = req.query;
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+        const filter = {};
+        if (targetId) {
+            if (!isValidObjectId(targetId)) {
+                throw new ApiError(400, "Invalid target ID");
+            }
+            filter.target = targetId;
+        }
+        if (moderator) {
+            if (!isValidObjectId(moderator)) {
+                throw new ApiError(400, "Invalid moderator ID");
+            }
+            filter.moderator = moderator;
+        }
+        if (action) {
+            if (!MODERATION_ACTIONS.includes(action)) {
+                throw new ApiError(400, "Invalid action");
+            }
+            filter.action = action;
+        }
+
+        const [actions, total] = await Promise.all([
+            ModerationAction.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("moderator", "fullName username")
+                .populate("targetOwner", "fullName username"),
+            ModerationAction.countDocuments(filter),
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Moderation actions fetched successfully", {
+                actions,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit),
+                },
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export {
+    createReport,
+    getReports,
+    getReport,
+    updateReportStatus,
+    takeDownReportedContent,
+    reinstateContent,
+    getModerationActions,
+};
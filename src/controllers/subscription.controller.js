@@ -4,6 +4,9 @@ import { Subscription } from "../models/subscription.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import { recordEngagement } from "../utils/engagement.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+import { UserRelation } from "../models/userRelation.model.js";
 
 /**
  * @route POST /api/v1/subscriptions/:channelId
@@ -41,17 +44,35 @@ const toggleSubscription = asyncHandler(async (req, res) => {
         if (existingSubscription) {
             // Unsubscribe
             await existingSubscription.deleteOne();
+            await recordEngagement({
+                channel: channelId,
+                actor: req.user._id,
+                type: "subscriber",
+                delta: -1,
+            });
 
             return res
                 .status(200)
                 .json(new ApiResponse(200, "Unsubscribed successfully"));
         }
 
-        // Subscribe
+        // Subscribe, unless the channel blocked the user
+        if (await UserRelation.isBlocked(channel._id, req.user._id)) {
+            throw new ApiError(403, "You cannot subscribe to this channel");
+        }
         const newSubscription = await Subscription.create({
             subscriber: req.user?._id,
             channel: channelId,
         });
+        await recordEngagement({
+            channel: channelId,
+            actor: req.user._id,
+            type: "subscriber",
+        });
+        publishEvent(APP_EVENTS.SUBSCRIPTION_CREATED, {
+            subscriber: req.user._id,
+            channel: channel._id,
+        });
 
         return res
             .status(201)
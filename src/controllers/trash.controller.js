@@ -0,0 +1,156 @@
+import { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+import { getPurgeDate } from "../utils/trash.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+// Model, owner field and listed fields of each content type which goes to the trash
+const TRASH_TYPES = {
+    videos: {
+        model: Video,
+        ownerField: "owner",
+        label: "Video",
+        fields: "title thumbnail duration visibility status deletedAt",
+    },
+    comments: {
+        model: Comment,
+        ownerField: "owner",
+        label: "Comment",
+        fields: "content video parentComment repliesCount deletedAt",
+    },
+    tweets: {
+        model: Tweet,
+        ownerField: "author",
+        label: "Tweet",
+        fields: "content deletedAt",
+    },
+    playlists: {
+        model: Playlist,
+        ownerField: "owner",
+        label: "Playlist",
+        fields: "title description videos deletedAt",
+    },
+};
+
+/**
+ * Returns the trash configuration of a content type sent by the client
+ * @param {string} type - The content type (videos, comments, tweets, playlists)
+ * @returns {Object} - The model, owner field, label and listed fields
+ * @throws {ApiError} - If the type is unknown
+ */
+const getTrashType = (type) => {
+    if (!Object.hasOwn(TRASH_TYPES, type)) {
+        throw new ApiError(
+            400,
+            `Type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`
+        );
+    }
+    return TRASH_TYPES[type];
+};
+
+/**
+ * @route GET /api/v1/trash/:type
+ * @desc Get the videos, comments, tweets or playlists the current user deleted, most recently deleted first,
+ *       with the date each one is purged at
+ * @param {string} type - The content type (videos, comments, tweets, playlists)
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of items per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the items and the pagination details
+ * @throws {ApiError} - If the type is unknown or an error occurs while fetching the trash
+ */
+const getTrash = asyncHandler(async (req, res) => {
+    try {
+        const { model, ownerField, fields } = getTrashType(req.params.type);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+        const filter = {
+            [ownerField]: req.user._id,
+            deletedAt: { $ne: null },
+        };
+
+        const [items, total] = await Promise.all([
+            model
+                .find(filter)
+                .sort({ deletedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select(fields)
+                .lean(),
+            model.countDocuments(filter),
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Trash fetched successfully", {
+                items: items.map((item) => ({
+                    ...item,
+                    purgeAt: getPurgeDate(item.deletedAt),
+                })),
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit),
+                },
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route PATCH /api/v1/trash/:type/:id/restore
+ * @desc Restore a video, comment, tweet or playlist of the current user from the trash.
+ *       A restored video whose publishAt went by in the trash is published by the next scheduled run.
+ * @param {string} type - The content type (videos, comments, tweets, playlists)
+ * @param {string} id - The ID of the content
+ * @returns {Promise<void>} - A promise that resolves with the restored content
+ * @throws {ApiError} - If the type or the ID is invalid, or the content is not in the trash of the user
+ */
+const restoreFromTrash = asyncHandler(async (req, res) => {
+    try {
+        const { model, ownerField, label } = getTrashType(req.params.type);
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, `Invalid ${label} ID`);
+        }
+
+        const content = await model.findOneAndUpdate(
+            { _id: id, [ownerField]: req.user._id, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null } },
+            { new: true }
+        );
+
+        if (!content) {
+            throw new ApiError(404, `${label} not found in the trash`);
+        }
+
+        if (model === Comment) {
+            publishEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, {
+                videoId: content.video,
+            });
+        }
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(200, `${label} restored successfully`, content)
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export { getTrash, restoreFromTrash };
@@ -4,6 +4,7 @@ import { User } from "../models/user.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import { getPurgeDate } from "../utils/trash.js";
 
 /**
  * @route   POST /api/v1/tweets
@@ -67,14 +68,17 @@ const getUserTweets = asyncHandler(async (req, res) => {
         const pageNumber = parseInt(page, 10);
         const limitNumber = parseInt(limit, 10);
 
+        // Tweets taken down by the moderators are hidden
+        const filter = { author: userId, "takedown.takenDownAt": null };
+
         // Calculate total number of tweets
-        const totalTweets = await Tweet.countDocuments({ author: userId });
+        const totalTweets = await Tweet.countDocuments(filter);
 
         // Calculate total pages
         const totalPages = Math.ceil(totalTweets / limitNumber);
 
         // Fetch tweets with pagination and populate author details
-        const tweets = await Tweet.find({ author: userId })
+        const tweets = await Tweet.find(filter)
             .sort({ createdAt: -1 }) // Latest tweets first
             .skip((pageNumber - 1) * limitNumber)
             .limit(limitNumber)
@@ -150,7 +154,7 @@ const updateTweet = asyncHandler(async (req, res) => {
 
 /**
  * @route   DELETE /api/v1/tweets/:tweetId
- * @desc    Delete a tweet
+ * @desc    Move a tweet to the trash, it can be restored until it is purged
  * @param   {string} tweetId - ID of the tweet to be deleted
  * @returns {Promise<void>} - A promise that resolves with a success message
  * @throws  {ApiError} - If tweetId is invalid, tweet not found, or unauthorized
@@ -175,12 +179,14 @@ const deleteTweet = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Unauthorized to delete this tweet");
         }
 
-        // Delete the tweet
-        await tweet.deleteOne();
+        // Move the tweet to the trash, its likes are removed when it is purged
+        await tweet.softDelete();
 
-        return res
-            .status(200)
-            .json(new ApiResponse(200, "Tweet deleted successfully"));
+        return res.status(200).json(
+            new ApiResponse(200, "Tweet moved to the trash", {
+                purgeAt: getPurgeDate(tweet.deletedAt),
+            })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -0,0 +1,458 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { Video } from "../models/video.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { queueVideoProcessing } from "../jobs/videoProcessing.job.js";
+import { CHUNKS_DIR, getPartPath } from "../utils/uploadParts.js";
+import {
+    parseVideoCategory,
+    parseVideoTags,
+    parseVideoVisibility,
+} from "../utils/videoMetadata.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import DATA from "../config.js";
+
+const CHUNK_LOCK_TIMEOUT_MS = 60 * 1000; // Chunk writes older than this are considered crashed
+
+// Extension the assembled file is stored with for each accepted mime type
+const VIDEO_EXTENSIONS = {
+    "video/mp4": ".mp4",
+    "video/quicktime": ".mov",
+    "video/x-matroska": ".mkv",
+    "video/webm": ".webm",
+    "video/x-msvideo": ".avi",
+    "video/x-m4v": ".m4v",
+};
+
+/**
+ * Finds an active upload session owned by the current user
+ * @param {string} uploadId - The ID of the upload session
+ * @param {Object} user - The current user
+ * @returns {Promise<Object>} - The upload session
+ * @throws {ApiError} - If the ID is invalid, the session is not found or is owned by someone else
+ */
+const findActiveSession = async (uploadId, user) => {
+    if (!isValidObjectId(uploadId)) {
+        throw new ApiError(400, "Invalid Upload ID");
+    }
+
+    const session = await UploadSession.findOne({
+        _id: uploadId,
+        status: "active",
+    });
+
+    if (!session || session.expiresAt < new Date()) {
+        throw new ApiError(404, "Upload session not found or expired");
+    }
+
+    if (session.owner.toString() !== user?._id.toString()) {
+        throw new ApiError(401, "Unauthorized Request");
+    }
+
+    return session;
+};
+
+/**
+ * Calculates the sha256 hash of a file
+ * @param {string} filePath - The path of the file
+ * @returns {Promise<string>} - The hex encoded hash
+ */
+const hashFile = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (data) => hash.update(data))
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+};
+
+/**
+ * @route   POST /api/v1/videos/uploads
+ * @desc    Starts a resumable video upload session.
+ * @param   {String} fileName The original name of the video file.
+ * @param   {Number} fileSize The size of the video file in bytes.
+ * @param   {String} mimeType The mime type of the video file.
+ * @param   {String} checksum The sha256 (hex) of the whole video file (optional).
+ * @returns {Promise<void>} A promise that resolves with the upload session.
+ * @throws  {ApiError} If the file details are missing or the file is too large.
+ */
+const initVideoUpload = asyncHandler(async (req, res) => {
+    try {
+        const { fileName, fileSize, mimeType, checksum } = req.body;
+
+        if (!fileName?.trim()) {
+            throw new ApiError(400, "File name is required");
+        }
+
+        if (!Object.hasOwn(VIDEO_EXTENSIONS, mimeType ?? "")) {
+            throw new ApiError(
+                400,
+                `Mime type must be one of: ${Object.keys(VIDEO_EXTENSIONS).join(", ")}`
+            );
+        }
+
+        const totalSize = Number(fileSize);
+        if (!Number.isInteger(totalSize) || totalSize <= 0) {
+            throw new ApiError(400, "File size is required");
+        }
+
+        if (totalSize > DATA.uploads.maxFileSize) {
+            throw new ApiError(413, "Video file is too large");
+        }
+
+        if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+            throw new ApiError(400, "Checksum must be a sha256 hex digest");
+        }
+
+        const session = await UploadSession.create({
+            owner: req.user?._id,
+            fileName: path.basename(fileName.trim()),
+            mimeType,
+            totalSize,
+            checksum: checksum?.toLowerCase(),
+            expiresAt: new Date(
+                Date.now() + DATA.uploads.sessionExpiryHours * 60 * 60 * 1000
+            ),
+        });
+
+        // Create the empty part file the chunks are written into
+        await fs.promises.mkdir(CHUNKS_DIR, { recursive: true });
+        await fs.promises.writeFile(getPartPath(session), "");
+
+        return res.status(201).json(
+            new ApiResponse(201, "Upload session created", {
+                uploadId: session._id,
+                offset: session.receivedBytes,
+                totalSize: session.totalSize,
+                chunkSize: DATA.uploads.chunkSize,
+                expiresAt: session.expiresAt,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/uploads/:uploadId
+ * @desc    Fetches the offset an interrupted upload has to be resumed from.
+ * @param   {String} uploadId The ID of the upload session.
+ * @returns {Promise<void>} A promise that resolves with the upload session status.
+ * @throws  {ApiError} If the upload session is not found.
+ */
+const getVideoUploadStatus = asyncHandler(async (req, res) => {
+    try {
+        const session = await findActiveSession(req.params.uploadId, req.user);
+
+        return res
+            .status(200)
+            .set("Upload-Offset", String(session.receivedBytes))
+            .set("Upload-Length", String(session.totalSize))
+            .json(
+                new ApiResponse(200, "Upload session found", {
+                    uploadId: session._id,
+                    offset: session.receivedBytes,
+                    totalSize: session.totalSize,
+                    chunkSize: DATA.uploads.chunkSize,
+                    expiresAt: session.expiresAt,
+                })
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   PATCH /api/v1/videos/uploads/:uploadId
+ * @desc    Appends a chunk to an upload. The chunk is sent as the raw request body with
+ *          the `Upload-Offset` header set to the current offset and the
+ *          `Upload-Checksum` header set to `sha256 <base64 digest of the chunk>`.
+ * @param   {String} uploadId The ID of the upload session.
+ * @returns {Promise<void>} A promise that resolves with the new offset.
+ * @throws  {ApiError} If the offset does not match, the checksum fails or the chunk is too large.
+ */
+const appendVideoChunk = asyncHandler(async (req, res) => {
+    try {
+        const session = await findActiveSession(req.params.uploadId, req.user);
+
+        const chunk = req.body;
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+            throw new ApiError(
+                400,
+                "Chunk is required as application/offset+octet-stream"
+            );
+        }
+
+        const offset = Number(req.get("Upload-Offset"));
+        if (offset !== session.receivedBytes) {
+            res.set("Upload-Offset", String(session.receivedBytes));
+            throw new ApiError(
+                409,
+                `Upload offset mismatch, expected ${session.receivedBytes}`
+            );
+        }
+
+        if (offset + chunk.length > session.totalSize) {
+            throw new ApiError(413, "Chunk exceeds the declared file size");
+        }
+
+        const [algorithm, digest] = (req.get("Upload-Checksum") || "").split(
+            " "
+        );
+        if (algorithm !== "sha256" || !digest) {
+            throw new ApiError(
+                400,
+                "Upload-Checksum header is required as 'sha256 <base64 digest>'"
+            );
+        }
+
+        const chunkDigest = crypto
+            .createHash("sha256")
+            .update(chunk)
+            .digest("base64");
+        if (chunkDigest !== digest) {
+            throw new ApiError(460, "Chunk checksum mismatch"); // 460 is used by tus for checksum mismatches
+        }
+
+        // Claim the offset before writing, so that concurrent requests cannot write the same
+        // range and the upload cannot be completed until the chunk is written
+        const lockedAt = new Date();
+        const claimedSession = await UploadSession.findOneAndUpdate(
+            {
+                _id: session._id,
+                status: "active",
+                receivedBytes: offset,
+                $or: [
+                    { lockedAt: null },
+                    {
+                        lockedAt: {
+                            $lte: new Date(lockedAt - CHUNK_LOCK_TIMEOUT_MS),
+                        },
+                    },
+                ],
+            },
+            { $set: { lockedAt } }
+        );
+
+        if (!claimedSession) {
+            throw new ApiError(409, "Another chunk is being written");
+        }
+
+        let updatedSession;
+        try {
+            // Write the chunk at its offset so a retried chunk overwrites itself
+            const partFile = await fs.promises.open(getPartPath(session), "r+");
+            try {
+                await partFile.write(chunk, 0, chunk.length, offset);
+            } finally {
+                await partFile.close();
+            }
+
+            updatedSession = await UploadSession.findOneAndUpdate(
+                { _id: session._id, lockedAt },
+                {
+                    $set: { receivedBytes: offset + chunk.length },
+                    $unset: { lockedAt: 1 },
+                },
+                { new: true }
+            );
+        } catch (error) {
+            await UploadSession.updateOne(
+                { _id: session._id, lockedAt },
+                { $unset: { lockedAt: 1 } }
+            );
+            throw error;
+        }
+
+        // The lock timed out and was taken over by a retry of the chunk
+        if (!updatedSession) {
+            throw new ApiError(409, "Chunk was already written");
+        }
+
+        return res
+            .status(200)
+            .set("Upload-Offset", String(updatedSession.receivedBytes))
+            .json(
+                new ApiResponse(200, "Chunk uploaded", {
+                    uploadId: updatedSession._id,
+                    offset: updatedSession.receivedBytes,
+                    totalSize: updatedSession.totalSize,
+                })
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   POST /api/v1/videos/uploads/:uploadId/complete
+ * @desc    Finalizes a completed upload and queues the assembled video for processing.
+ * @param   {String} uploadId The ID of the upload session.
+ * @param   {String} title The title of the video.
+ * @param   {String} description The description of the video.
+ * @param   {Array<String>|String} tags The tags of the video, an array or a comma separated string (optional).
+ * @param   {String} category The category of the video (optional).
+ * @param   {String} visibility Who can see the video: public, unlisted or private (default: public, private when scheduled).
+ * @param   {Date} publishAt When the video becomes public, for scheduled videos (optional).
+ * @param   {Boolean} isPublished Replaced by visibility, false makes the video private (optional).
+ * @param   {File} thumbnail The thumbnail image to upload.
+ * @returns {Promise<void>} A promise that resolves with the accepted video.
+ * @throws  {ApiError} If the upload is incomplete or the checksum fails.
+ */
+const completeVideoUpload = asyncHandler(async (req, res) => {
+    const { title, description, tags, category } = req.body;
+    const thumbnailLocalPath = req.file?.path;
+
+    try {
+        if ([title, description].some((field) => !field?.trim())) {
+            throw new ApiError(400, "Title and Description are required");
+        }
+
+        if (!thumbnailLocalPath) {
+            throw new ApiError(400, "Thumbnail is required");
+        }
+
+        const videoTags = tags !== undefined ? parseVideoTags(tags) : [];
+        const videoCategory = category
+            ? parseVideoCategory(category)
+            : undefined;
+        const { visibility, publishAt } = parseVideoVisibility(req.body);
+
+        const session = await findActiveSession(req.params.uploadId, req.user);
+
+        if (session.receivedBytes !== session.totalSize) {
+            throw new ApiError(
+                409,
+                `Upload is incomplete, received ${session.receivedBytes} of ${session.totalSize} bytes`
+            );
+        }
+
+        // Claim the session, so that a submit sent twice cannot create two videos
+        const claimedSession = await UploadSession.findOneAndUpdate(
+            {
+                _id: session._id,
+                status: "active",
+                receivedBytes: session.totalSize,
+                lockedAt: null,
+            },
+            { $set: { status: "completing" } }
+        );
+
+        if (!claimedSession) {
+            throw new ApiError(409, "Upload is already being completed");
+        }
+
+        let video;
+        try {
+            const partPath = getPartPath(session);
+            if (
+                session.checksum &&
+                (await hashFile(partPath)) !== session.checksum
+            ) {
+                throw new ApiError(422, "File checksum mismatch");
+            }
+
+            // Give the assembled file the extension of its mime type, not the one of the client file name.
+            // Sessions started before the mime types were checked fall back to mp4.
+            const videoFileLocalPath = path.join(
+                path.dirname(partPath),
+                `${session._id}${VIDEO_EXTENSIONS[session.mimeType] || ".mp4"}`
+            );
+            await fs.promises.rename(partPath, videoFileLocalPath);
+
+            // save video details in the database, the files are added once processed
+            try {
+                video = await Video.create({
+                    title,
+                    description,
+                    tags: videoTags,
+                    category: videoCategory,
+                    visibility,
+                    publishAt: publishAt || undefined,
+                    publishedAt:
+                        visibility === "public" ? new Date() : undefined,
+                    owner: req.user?._id,
+                    status: "uploading",
+                });
+                await queueVideoProcessing(video, {
+                    videoFileLocalPath,
+                    thumbnailLocalPath,
+                });
+            } catch (error) {
+                await video?.deleteOne();
+                await fs.promises.rename(videoFileLocalPath, partPath);
+                throw error;
+            }
+        } catch (error) {
+            // Keep the upload session resumable
+            await UploadSession.updateOne(
+                { _id: session._id, status: "completing" },
+                { $set: { status: "active" } }
+            );
+            throw error;
+        }
+
+        await UploadSession.updateOne(
+            { _id: session._id },
+            { $set: { status: "completed", video: video._id } }
+        );
+
+        return res
+            .status(202)
+            .json(new ApiResponse(202, "Video accepted for processing", video));
+    } catch (error) {
+        // Remove the thumbnail as the video was not queued
+        if (thumbnailLocalPath && fs.existsSync(thumbnailLocalPath)) {
+            fs.unlinkSync(thumbnailLocalPath);
+        }
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/videos/uploads/:uploadId
+ * @desc    Aborts an upload and removes the uploaded chunks.
+ * @param   {String} uploadId The ID of the upload session.
+ * @returns {Promise<void>} A promise that resolves with a success message.
+ * @throws  {ApiError} If the upload session is not found.
+ */
+const abortVideoUpload = asyncHandler(async (req, res) => {
+    try {
+        const session = await findActiveSession(req.params.uploadId, req.user);
+
+        await fs.promises.rm(getPartPath(session), { force: true });
+        await session.deleteOne();
+
+        return res.status(200).json(new ApiResponse(200, "Upload aborted"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+export {
+    initVideoUpload,
+    getVideoUploadStatus,
+    appendVideoChunk,
+    completeVideoUpload,
+    abortVideoUpload,
+};
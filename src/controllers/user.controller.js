@@ -1,24 +1,79 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import {
-    deleteFromCloudinary,
-    uploadOnCloudinary,
-} from "../utils/fileUpload.js";
+import { Session } from "../models/session.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { recordEngagement } from "../utils/engagement.js";
+import { deleteFile, uploadFile } from "../utils/fileUpload.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import jwt from "jsonwebtoken";
 import DATA from "../config.js";
-import mongoose from "mongoose";
+import mongoose, { isValidObjectId } from "mongoose";
+import crypto from "crypto";
+import requestIp from "request-ip";
+import bcrypt from "bcrypt";
+import { createActionToken, consumeActionToken } from "../utils/actionToken.js";
+import {
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+} from "../utils/mailer.js";
+import { generateTotpSecret, getTotpUri, verifyTotp } from "../utils/totp.js";
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+};
 
-const generateAccessAndRefreshTokens = async (userId) => {
+/**
+ * Generates an access token and a refresh token. Without a rotation a new session is created
+ * for the device of the request, otherwise the refresh token of the session is rotated, which
+ * only succeeds if the rotated token is still the current token of the session.
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request object, the device details are read from it
+ * @param {Object} [rotation] - The refresh token being rotated
+ * @param {string} rotation.sessionId - The ID of the session
+ * @param {string} rotation.tokenId - The ID (jti) of the refresh token
+ * @returns {Promise<Object>} - The generated tokens ({ accessToken, refreshToken })
+ * @throws {ApiError} - If the session is revoked or the token was already rotated
+ */
+const generateAccessAndRefreshTokens = async (user, req, rotation) => {
     try {
-        const user = await User.findById(userId);
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
+        const sessionId = rotation?.sessionId || new mongoose.Types.ObjectId();
+        const tokenId = crypto.randomUUID();
+
+        const accessToken = user.generateAccessToken(sessionId);
+        const refreshToken = user.generateRefreshToken(sessionId, tokenId);
+
+        const sessionDetails = {
+            tokenId,
+            userAgent: req.get("User-Agent"),
+            ip: requestIp.getClientIp(req),
+            lastUsedAt: new Date(),
+            expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+        };
 
-        // Save the generated refresh token to the database
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
+        if (!rotation) {
+            await Session.create({
+                _id: sessionId,
+                user: user._id,
+                ...sessionDetails,
+            });
+        } else {
+            const session = await Session.findOneAndUpdate(
+                {
+                    _id: sessionId,
+                    tokenId: rotation.tokenId,
+                    revokedAt: null,
+                },
+                { $set: sessionDetails }
+            );
+
+            if (!session) {
+                throw new ApiError(401, "Invalid refresh token");
+            }
+        }
 
         return { accessToken, refreshToken };
     } catch (error) {
@@ -29,6 +84,132 @@ const generateAccessAndRefreshTokens = async (userId) => {
     }
 };
 
+/**
+ * Revokes sessions of a user
+ * @param {Object} filter - The sessions to revoke, in addition to the user
+ * @param {string} userId - The ID of the user
+ * @param {string} reason - Why the sessions are revoked
+ * @returns {Promise<number>} - The number of revoked sessions
+ */
+const revokeSessions = async (filter, userId, reason) => {
+    const result = await Session.updateMany(
+        { ...filter, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Creates a session for the device of the request, sets the token cookies and responds with the logged in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - The user who logged in
+ * @returns {Promise<Object>} - The response
+ */
+const sendLoginResponse = async (req, res, user) => {
+    // Generate access token and refresh token for a new session of this device
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
+        user,
+        req
+    );
+
+    // Send cookies with access token and refresh token and return the response
+    const loggedInUser = await User.findById(user._id).select("-password");
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .json(
+            new ApiResponse(200, "User LoggedIn Successfully", {
+                user: loggedInUser,
+                accessToken,
+                refreshToken,
+            })
+        );
+};
+
+/**
+ * Generates new recovery codes for two-factor authentication
+ * @returns {Promise<Object>} - The plain codes, shown once to the user, and their bcrypt hashes ({ codes, hashes })
+ */
+const generateRecoveryCodes = async () => {
+    const codes = Array.from({ length: 10 }, () => {
+        const hex = crypto.randomBytes(5).toString("hex");
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    const hashes = await Promise.all(
+        codes.map((code) => bcrypt.hash(code, 10))
+    );
+    return { codes, hashes };
+};
+
+/**
+ * Verifies a second factor of a user with 2FA enabled and uses it up: a TOTP code cannot be
+ * accepted twice and a recovery code is removed.
+ * @param {string} userId - The ID of the user
+ * @param {Object} factor
+ * @param {string} [factor.code] - The TOTP code from the authenticator app
+ * @param {string} [factor.recoveryCode] - One of the recovery codes
+ * @returns {Promise<boolean>} - True if the factor is valid
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const user = await User.findById(userId).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+    );
+    if (!user?.twoFactor?.enabled) return false;
+
+    if (code) {
+        const step = verifyTotp(user.twoFactor.secret, code);
+        if (step === null) return false;
+
+        // Only accept the step once, concurrent requests with the same code race on this update
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { "twoFactor.lastUsedStep": { $lt: step } },
+                    { "twoFactor.lastUsedStep": null },
+                ],
+            },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+        const normalizedCode = recoveryCode.trim().toLowerCase();
+        for (const hash of user.twoFactor.recoveryCodes) {
+            if (await bcrypt.compare(normalizedCode, hash)) {
+                const result = await User.updateOne(
+                    { _id: user._id, "twoFactor.recoveryCodes": hash },
+                    { $pull: { "twoFactor.recoveryCodes": hash } }
+                );
+                return result.modifiedCount === 1;
+            }
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Sends a new email verification link to a user. Failures are only logged, as the user can
+ * ask for another link.
+ * @param {Object} user - The user
+ * @returns {Promise<boolean>} - True if the email was sent
+ */
+const sendEmailVerification = async (user) => {
+    try {
+        const token = await createActionToken(user._id, "verify-email");
+        await sendVerificationEmail(user, token);
+        return true;
+    } catch (error) {
+        console.log("Failed to send the verification email: ", error);
+        return false;
+    }
+};
+
 /**
  * @route POST /api/v1/auth/register
  * @desc Registers a new user
@@ -81,7 +262,7 @@ const registerUser = asyncHandler(async (req, res) => {
             throw new ApiError(409, "User already exists");
         }
 
-        // if images exist, upload to cloudinary
+        // if images exist, upload to the storage
         let coverImageLocalPath;
         if (
             req.files &&
@@ -96,11 +277,8 @@ const registerUser = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Avatar is required");
         }
 
-        const avatar = await uploadOnCloudinary(avatarLocalPath, "avatar"); // upload the avatar to cloudinary
-        const coverImage = await uploadOnCloudinary(
-            coverImageLocalPath,
-            "coverImage"
-        ); // upload the cover image to cloudinary
+        const avatar = await uploadFile(avatarLocalPath, "avatar"); // upload the avatar to the storage
+        const coverImage = await uploadFile(coverImageLocalPath, "coverImage"); // upload the cover image to the storage
 
         if (!avatar) {
             throw new ApiError(500, "Avatar upload failed");
@@ -112,21 +290,22 @@ const registerUser = asyncHandler(async (req, res) => {
             username: username.toLowerCase(),
             email: email.toLowerCase(),
             password,
-            avatar: avatar.secure_url,
-            avatarPublicId: avatar.public_id,
-            coverImage: coverImage?.secure_url || "",
-            coverImagePublicId: coverImage?.public_id || "",
+            avatar: avatar.url,
+            avatarPublicId: avatar.publicId,
+            coverImage: coverImage?.url || "",
+            coverImagePublicId: coverImage?.publicId || "",
         });
 
-        // remove the sensitive data from the user object like password, refreshToken
-        const createdUser = await User.findById(user._id).select(
-            "-password -refreshToken"
-        );
+        // remove the sensitive data from the user object like password
+        const createdUser = await User.findById(user._id).select("-password");
 
         if (!createdUser) {
             throw new ApiError(500, "User creation failed");
         }
 
+        // The account can be used right away, but publishing needs a verified email
+        await sendEmailVerification(createdUser);
+
         // return the response
         return res
             .status(201)
@@ -143,10 +322,11 @@ const registerUser = asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/v1/auth/login
- * @desc Logs in a user
+ * @desc Logs in a user. When 2FA is enabled, only a challenge token is returned
+ *       and the login has to be completed with POST /api/v1/users/login/2fa
  * @param {string} email - The email of the user
  * @param {string} password - The password of the user
- * @returns {Promise<void>} - A promise that resolves with the logged in user
+ * @returns {Promise<void>} - A promise that resolves with the logged in user or the 2FA challenge token
  * @throws {ApiError} - If login fails or user not found
  */
 const loginUser = asyncHandler(async (req, res) => {
@@ -187,31 +367,27 @@ const loginUser = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Invalid user Credentials");
         }
 
-        // Generate access token and refresh token
-        const { accessToken, refreshToken } =
-            await generateAccessAndRefreshTokens(user._id);
-
-        // Send cookies with access token and refresh token and return the response
-        const loggedInUser = await User.findById(user._id).select(
-            "-password -refreshToken"
-        );
+        if (user.suspendedAt) {
+            throw new ApiError(403, "Account is suspended");
+        }
 
-        const options = {
-            httpOnly: true,
-            secure: true,
-        };
+        // With 2FA the login is completed by POST /users/login/2fa with the challenge token
+        if (user.twoFactor?.enabled) {
+            const challengeToken = jwt.sign(
+                { _id: user._id, purpose: "2fa-challenge" },
+                DATA.tokens.actionTokenSecret,
+                { expiresIn: DATA.tokens.twoFactorChallengeExpiration }
+            );
 
-        return res
-            .status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", refreshToken, options)
-            .json(
-                new ApiResponse(200, "User LoggedIn Successfully", {
-                    user: loggedInUser,
-                    accessToken,
-                    refreshToken,
+            return res.status(200).json(
+                new ApiResponse(200, "Two-factor authentication required", {
+                    twoFactorRequired: true,
+                    challengeToken,
                 })
             );
+        }
+
+        return await sendLoginResponse(req, res, user);
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -222,41 +398,27 @@ const loginUser = asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/v1/auth/logout
- * @desc Logs out a user
+ * @desc Logs out a user by revoking the current session
  * @returns {Promise<void>} - A promise that resolves with a success message
  * @throws {ApiError} - If logout fails or user not found
  */
 const logoutUser = asyncHandler(async (req, res) => {
-    // Clear the cookies and refresh token from the database
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1, // this removes the field from document
-            },
-        },
-        {
-            new: true,
-        }
-    );
-
-    const options = {
-        httpOnly: true,
-        secure: true,
-    };
+    // Clear the cookies and revoke the session of this device
+    await revokeSessions({ _id: req.sessionId }, req.user._id, "logout");
 
     return res
         .status(200)
-        .clearCookie("accessToken", options)
-        .clearCookie("refreshToken", options)
+        .clearCookie("accessToken", cookieOptions)
+        .clearCookie("refreshToken", cookieOptions)
         .json(new ApiResponse(200, "User Logged Out Successfully"));
 });
 
 /**
  * @route POST /api/v1/auth/refresh-token
- * @desc Refreshes the access token
+ * @desc Refreshes the access token and rotates the refresh token. Reusing a refresh token which
+ *       was already rotated revokes its session, as the token may have been stolen.
  * @returns {Promise<void>} - A promise that resolves with the new access token
- * @throws {ApiError} - If refresh token is invalid or user not found
+ * @throws {ApiError} - If refresh token is invalid, reused or user not found
  */
 const refreshAccessToken = asyncHandler(async (req, res) => {
     // Get the refresh token from the request cookies
@@ -269,37 +431,57 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     }
 
     try {
-        // Verify the refresh token which returns the user id
+        // Verify the refresh token which returns the user id and the session id
         const decoded = jwt.verify(
             incomingRefreshToken,
             DATA.tokens.refreshTokenSecret
         );
 
+        if (!decoded?.sid || !decoded?.jti) {
+            throw new ApiError(401, "Invalid refresh token");
+        }
+
+        // Find the session the refresh token belongs to
+        const session = await Session.findOne({
+            _id: decoded.sid,
+            user: decoded._id,
+        });
+
+        if (!session || session.revokedAt) {
+            throw new ApiError(401, "Session has been revoked");
+        }
+
+        // Only the latest token of the rotation family can be used, an older one is being replayed
+        if (session.tokenId !== decoded.jti) {
+            await revokeSessions({ _id: session._id }, decoded._id, "reuse");
+            throw new ApiError(
+                401,
+                "Refresh token has already been used, the session has been revoked"
+            );
+        }
+
         // Find the user in the database by id
-        const user = await User.findById(decoded?._id);
+        const user = await User.findById(decoded._id);
 
         // Check if the user exists in the database
         if (!user) {
             throw new ApiError(404, "User not found");
         }
 
-        // Compare the refresh token with the one in the database
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, "Invalid refresh token");
+        if (user.suspendedAt) {
+            throw new ApiError(403, "Account is suspended");
         }
 
         const { accessToken, refreshToken } =
-            await generateAccessAndRefreshTokens(user?._id);
-
-        const options = {
-            httpOnly: true,
-            secure: true,
-        };
+            await generateAccessAndRefreshTokens(user, req, {
+                sessionId: session._id,
+                tokenId: decoded.jti,
+            });
 
         return res
             .status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", refreshToken, options)
+            .cookie("accessToken", accessToken, cookieOptions)
+            .cookie("refreshToken", refreshToken, cookieOptions)
             .json(
                 new ApiResponse(200, "Access Token Refreshed Successfully", {
                     accessToken,
@@ -361,6 +543,13 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
         // Save the updated user object to the database
         await user.save({ validateBeforeSave: false });
 
+        // Sign out every other device, the current session stays logged in
+        await revokeSessions(
+            { _id: { $ne: req.sessionId } },
+            user._id,
+            "password-change"
+        );
+
         // return the response
         return res
             .status(200)
@@ -410,6 +599,10 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Full name or email are required");
         }
 
+        // A new email address has to be verified again
+        const isEmailChanged =
+            email !== undefined && email.toLowerCase() !== req.user?.email;
+
         // Check if the user already exists in the database and update the full name or email
         const updateduser = await User.findByIdAndUpdate(
             req.user?._id,
@@ -417,10 +610,15 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
                 $set: {
                     fullName,
                     email,
+                    ...(isEmailChanged && { isEmailVerified: false }),
                 },
             },
             { new: true }
-        ).select("-password -refreshToken");
+        ).select("-password");
+
+        if (isEmailChanged) {
+            await sendEmailVerification(updateduser);
+        }
 
         // return the response
         return res
@@ -449,17 +647,17 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
  */
 const updateUserAvatar = asyncHandler(async (req, res) => {
     try {
-        // if images exist, and upload to cloudinary
+        // if images exist, and upload to the storage
         const avatarLocalPath = req.file?.path;
         if (!avatarLocalPath) {
             throw new ApiError(400, "Avatar is required");
         }
 
-        // Delete the old avatar from cloudinary
+        // Delete the old avatar from the storage
         const oldAvatarPublicID = await User.findById(req.user?._id).select(
             "avatarPublicId"
         );
-        const deleteAvatar = await deleteFromCloudinary(
+        const deleteAvatar = await deleteFile(
             oldAvatarPublicID?.avatarPublicId
         );
 
@@ -467,7 +665,7 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
             throw new ApiError(500, "Avatar delete failed");
         }
 
-        const avatar = await uploadOnCloudinary(avatarLocalPath, "avatar"); // upload the avatar to cloudinary
+        const avatar = await uploadFile(avatarLocalPath, "avatar"); // upload the avatar to the storage
 
         if (!avatar) {
             throw new ApiError(500, "Avatar upload failed");
@@ -478,12 +676,12 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
             req.user?._id,
             {
                 $set: {
-                    avatar: avatar.secure_url || "",
-                    avatarPublicId: avatar.public_id || "",
+                    avatar: avatar.url || "",
+                    avatarPublicId: avatar.publicId || "",
                 },
             },
             { new: true }
-        ).select("-password -refreshToken");
+        ).select("-password");
 
         // return the response
         return res
@@ -509,21 +707,21 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
  */
 const updateUserCoverImage = asyncHandler(async (req, res) => {
     try {
-        // if images exist, and upload to cloudinary
+        // if images exist, and upload to the storage
         const coverImagePath = req.file?.path;
 
         if (!coverImagePath) {
             throw new ApiError(400, "Cover image is required");
         }
 
-        // Delete the old cover image from cloudinary
+        // Delete the old cover image from the storage
         const oldCoverImagePublicId = await User.findById(req.user?._id).select(
             "coverImagePublicId"
         );
 
         console.log(oldCoverImagePublicId?.coverImagePublicId);
 
-        const deleteCoverImage = await deleteFromCloudinary(
+        const deleteCoverImage = await deleteFile(
             oldCoverImagePublicId?.coverImagePublicId
         );
 
@@ -531,10 +729,7 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
             throw new ApiError(500, "Cover image delete failed");
         }
 
-        const coverImage = await uploadOnCloudinary(
-            coverImagePath,
-            "coverImage"
-        ); // upload the avatar to cloudinary
+        const coverImage = await uploadFile(coverImagePath, "coverImage"); // upload the avatar to the storage
 
         if (!coverImage) {
             throw new ApiError(500, "Cover image upload failed");
@@ -545,12 +740,12 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
             req.user?._id,
             {
                 $set: {
-                    coverImage: coverImage.secure_url || "",
-                    coverImagePublicId: coverImage.public_id || "",
+                    coverImage: coverImage.url || "",
+                    coverImagePublicId: coverImage.publicId || "",
                 },
             },
             { new: true }
-        ).select("-password -refreshToken");
+        ).select("-password");
 
         // return the response
         return res
@@ -650,26 +845,44 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 });
 
 /**
- * @route GET /api/v1/users/watch-history
- * @desc Retrieves the user's watch history
- * @returns {Promise<void>} - A promise that resolves with the user's watch history
+ * @route GET /api/v1/users/watchHistory
+ * @desc Retrieves a page of the user's watch history, most recently watched first
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of entries per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the entries, their videos and the pagination details
  * @throws {ApiError} - If watch history retrieval fails
  */
 const getWatchHistory = asyncHandler(async (req, res) => {
     try {
-        const user = await User.aggregate([
-            {
-                $match: {
-                    _id: new mongoose.Types.ObjectId(req.user?._id),
-                },
-            },
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+        const match = {
+            user: new mongoose.Types.ObjectId(String(req.user._id)),
+        };
+
+        const total = await WatchHistory.countDocuments(match);
+        const history = await WatchHistory.aggregate([
+            { $match: match },
+            { $sort: { lastWatchedAt: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
             {
                 $lookup: {
                     from: "videos",
-                    localField: "watchHistory",
+                    localField: "video",
                     foreignField: "_id",
-                    as: "watchedVideosHistory",
+                    as: "video",
                     pipeline: [
+                        // Deleted videos and the private videos of other users are hidden
+                        {
+                            $match: {
+                                deletedAt: null,
+                                $or: [
+                                    { visibility: { $ne: "private" } },
+                                    { owner: match.user },
+                                ],
+                            },
+                        },
                         {
                             $lookup: {
                                 from: "users",
@@ -697,17 +910,876 @@ const getWatchHistory = asyncHandler(async (req, res) => {
                     ],
                 },
             },
+            { $addFields: { video: { $first: "$video" } } },
+            { $project: { user: 0, __v: 0 } },
         ]);
 
+        res.status(200).json(
+            new ApiResponse(200, "Users watch history fetched successfully", {
+                history,
+                paused: Boolean(req.user.settings?.watchHistoryPaused),
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit),
+                },
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route DELETE /api/v1/users/watchHistory
+ * @desc Clears the user's watch history
+ * @returns {Promise<void>} - A promise that resolves with the number of removed entries
+ * @throws {ApiError} - If the watch history could not be cleared
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    try {
+        const { deletedCount } = await WatchHistory.deleteMany({
+            user: req.user._id,
+        });
+
+        res.status(200).json(
+            new ApiResponse(200, "Watch history cleared successfully", {
+                deletedCount,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route DELETE /api/v1/users/watchHistory/:videoId
+ * @desc Removes a video from the user's watch history
+ * @param {string} videoId - The ID of the video to remove
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If the video ID is invalid or the video is not in the watch history
+ */
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
+        }
+
+        const entry = await WatchHistory.findOneAndDelete({
+            user: req.user._id,
+            video: videoId,
+        });
+        if (!entry) {
+            throw new ApiError(404, "Video not found in the watch history");
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, "Video removed from the watch history")
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route PATCH /api/v1/users/watchHistory/pause
+ * @desc Pauses or resumes the recording of the user's watch history, the existing entries are kept
+ * @param {boolean} paused - Whether the watch history is paused
+ * @returns {Promise<void>} - A promise that resolves with the new setting
+ * @throws {ApiError} - If paused is not a boolean
+ */
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+    try {
+        const { paused } = req.body;
+
+        if (typeof paused !== "boolean") {
+            throw new ApiError(400, "paused must be true or false");
+        }
+
+        await User.updateOne(
+            { _id: req.user._id },
+            { $set: { "settings.watchHistoryPaused": paused } }
+        );
+
         res.status(200).json(
             new ApiResponse(
                 200,
-                "Users watch history fetched successfully",
-                user[0]?.watchedVideosHistory
+                paused ? "Watch history paused" : "Watch history resumed",
+                { paused }
             )
         );
     } catch (error) {
-        throw new ApiError(500, error.message);
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * Adds or removes a block or a mute of another user by the current user.
+ * A blocked user is also unsubscribed from the channel of the current user.
+ * @param {Object} req - Express request object, req.params.userId is the other user
+ * @param {string} type - The relation type (block, mute)
+ * @param {boolean} enabled - Whether the relation is added or removed
+ * @returns {Promise<Object>} - The other user
+ * @throws {ApiError} - If the user ID is invalid, the user is not found or is the current user
+ */
+const setUserRelation = async (req, type, enabled) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid User ID");
+    }
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, `You cannot ${type} yourself`);
+    }
+
+    const target = await User.findById(userId).select(
+        "fullName username avatar"
+    );
+    if (!target) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const relation = { user: req.user._id, target: target._id, type };
+    if (!enabled) {
+        await UserRelation.deleteOne(relation);
+        return target;
+    }
+
+    try {
+        await UserRelation.updateOne(
+            relation,
+            { $setOnInsert: relation },
+            { upsert: true }
+        );
+    } catch (error) {
+        // A concurrent request added the same relation first
+        if (error?.code !== 11000) throw error;
+    }
+
+    if (type === "block") {
+        const subscription = await Subscription.findOneAndDelete({
+            subscriber: target._id,
+            channel: req.user._id,
+        });
+        if (subscription) {
+            await recordEngagement({
+                channel: req.user._id,
+                actor: target._id,
+                type: "subscriber",
+                delta: -1,
+            });
+        }
+    }
+    return target;
+};
+
+/**
+ * Fetches a page of the users the current user blocked or muted, most recent first
+ * @param {Object} req - Express request object
+ * @param {string} type - The relation type (block, mute)
+ * @returns {Promise<Object>} - The users and the pagination details
+ */
+const listUserRelations = async (req, type) => {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const filter = { user: req.user._id, type };
+
+    const [relations, total] = await Promise.all([
+        UserRelation.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate("target", "fullName username avatar"),
+        UserRelation.countDocuments(filter),
+    ]);
+
+    return {
+        users: relations
+            .filter((relation) => relation.target)
+            .map((relation) => ({
+                ...relation.target.toObject(),
+                since: relation.createdAt,
+            })),
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        },
+    };
+};
+
+/**
+ * @route POST /api/v1/users/block/:userId
+ * @desc Blocks a user, who can no longer comment on, like or subscribe to the current user's content.
+ *       Their subscription is removed and their comments and tweets are hidden from the current user.
+ * @param {string} userId - The ID of the user to block
+ * @returns {Promise<void>} - A promise that resolves with the blocked user
+ * @throws {ApiError} - If the user ID is invalid, the user is not found or is the current user
+ */
+const blockUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await setUserRelation(req, "block", true);
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "User blocked successfully", user));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route DELETE /api/v1/users/block/:userId
+ * @desc Unblocks a user
+ * @param {string} userId - The ID of the user to unblock
+ * @returns {Promise<void>} - A promise that resolves with the unblocked user
+ * @throws {ApiError} - If the user ID is invalid or the user is not found
+ */
+const unblockUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await setUserRelation(req, "block", false);
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "User unblocked successfully", user));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/users/block
+ * @desc Lists the users blocked by the current user
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of users per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the users and the pagination details
+ * @throws {ApiError} - If the users could not be fetched
+ */
+const getBlockedUsers = asyncHandler(async (req, res) => {
+    try {
+        const result = await listUserRelations(req, "block");
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    "Blocked users fetched successfully",
+                    result
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/mute/:userId
+ * @desc Mutes a user, whose comments and tweets are hidden from the current user
+ * @param {string} userId - The ID of the user to mute
+ * @returns {Promise<void>} - A promise that resolves with the muted user
+ * @throws {ApiError} - If the user ID is invalid, the user is not found or is the current user
+ */
+const muteUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await setUserRelation(req, "mute", true);
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "User muted successfully", user));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route DELETE /api/v1/users/mute/:userId
+ * @desc Unmutes a user
+ * @param {string} userId - The ID of the user to unmute
+ * @returns {Promise<void>} - A promise that resolves with the unmuted user
+ * @throws {ApiError} - If the user ID is invalid or the user is not found
+ */
+const unmuteUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await setUserRelation(req, "mute", false);
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "User unmuted successfully", user));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/users/mute
+ * @desc Lists the users muted by the current user
+ * @param {number} page - The page number (default: 1)
+ * @param {number} limit - The number of users per page (default: 20)
+ * @returns {Promise<void>} - A promise that resolves with the users and the pagination details
+ * @throws {ApiError} - If the users could not be fetched
+ */
+const getMutedUsers = asyncHandler(async (req, res) => {
+    try {
+        const result = await listUserRelations(req, "mute");
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(200, "Muted users fetched successfully", result)
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route GET /api/v1/users/sessions
+ * @desc Lists the active sessions (logged in devices) of the current user
+ * @returns {Promise<void>} - A promise that resolves with the sessions, the current one is flagged
+ * @throws {ApiError} - If the sessions could not be fetched
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select("userAgent ip lastUsedAt createdAt expiresAt")
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                "Sessions fetched successfully",
+                sessions.map((session) => ({
+                    ...session,
+                    isCurrent: session._id.toString() === req.sessionId,
+                }))
+            )
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route DELETE /api/v1/users/sessions
+ * @desc Revokes every session of the current user except the current one
+ * @returns {Promise<void>} - A promise that resolves with the number of revoked sessions
+ * @throws {ApiError} - If the sessions could not be revoked
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    try {
+        const revokedCount = await revokeSessions(
+            { _id: { $ne: req.sessionId } },
+            req.user._id,
+            "revoked"
+        );
+
+        return res.status(200).json(
+            new ApiResponse(200, "Sessions revoked successfully", {
+                revokedCount,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route DELETE /api/v1/users/sessions/:sessionId
+ * @desc Revokes a session of the current user, revoking the current session logs out
+ * @param {string} sessionId - The ID of the session
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If the session ID is invalid or the session is not found
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!isValidObjectId(sessionId)) {
+            throw new ApiError(400, "Invalid Session ID");
+        }
+
+        const revokedCount = await revokeSessions(
+            { _id: sessionId },
+            req.user._id,
+            "revoked"
+        );
+
+        if (!revokedCount) {
+            throw new ApiError(404, "Session not found");
+        }
+
+        // The cookies of the current device are of no use anymore
+        if (sessionId === req.sessionId) {
+            res.clearCookie("accessToken", cookieOptions).clearCookie(
+                "refreshToken",
+                cookieOptions
+            );
+        }
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Session revoked successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/verify-email/request
+ * @desc Sends a new email verification link to the current user
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If the email is already verified or could not be sent
+ */
+const requestEmailVerification = asyncHandler(async (req, res) => {
+    try {
+        if (req.user.isEmailVerified) {
+            throw new ApiError(400, "Email is already verified");
+        }
+
+        const isSent = await sendEmailVerification(req.user);
+        if (!isSent) {
+            throw new ApiError(500, "Failed to send the verification email");
+        }
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Verification email sent successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/verify-email
+ * @desc Verifies the email address of a user with the token of the verification link
+ * @param {string} token - The email verification token
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If the token is invalid, expired or already used
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            throw new ApiError(400, "Token is required");
+        }
+
+        const userId = await consumeActionToken(token, "verify-email");
+
+        const user = await User.findByIdAndUpdate(userId, {
+            $set: { isEmailVerified: true },
+        });
+
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Email verified successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/forgot-password
+ * @desc Sends a password reset link to the email address, if an account uses it.
+ *       The response is the same either way, so that it does not reveal which emails are registered.
+ * @param {string} email - The email of the user
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If the email is missing
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            throw new ApiError(400, "Email is required");
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        if (user) {
+            try {
+                const token = await createActionToken(
+                    user._id,
+                    "reset-password"
+                );
+                await sendPasswordResetEmail(user, token);
+            } catch (error) {
+                console.log("Failed to send the password reset email: ", error);
+            }
+        }
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    "If an account with this email exists, a password reset link has been sent"
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/reset-password
+ * @desc Sets a new password with the token of the password reset link and logs out every device
+ * @param {string} token - The password reset token
+ * @param {string} newPassword - The new password of the user
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If the token is invalid, expired or already used, or the password is too weak
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token) {
+            throw new ApiError(400, "Token is required");
+        } else if (!newPassword) {
+            throw new ApiError(400, "New Password is required");
+        }
+
+        // Check the password before the token is used up
+        const passwordRegex = new RegExp(
+            "^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])(?=.{8,})"
+        );
+        if (!passwordRegex.test(newPassword)) {
+            throw new ApiError(
+                400,
+                "Password should be at least 8 characters long, and contain at least one uppercase, one lowercase, one digit, and one special character"
+            );
+        }
+
+        const userId = await consumeActionToken(token, "reset-password");
+
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+
+        user.password = newPassword;
+        user.isEmailVerified = true; // The link could only be opened from the inbox
+        await user.save({ validateBeforeSave: false });
+
+        // Whoever knew the old password is logged out
+        await revokeSessions({}, user._id, "password-change");
+
+        return res
+            .status(200)
+            .clearCookie("accessToken", cookieOptions)
+            .clearCookie("refreshToken", cookieOptions)
+            .json(new ApiResponse(200, "Password reset successfully"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/login/2fa
+ * @desc Completes the login of a user with 2FA enabled with a TOTP code or a recovery code
+ * @param {string} challengeToken - The challenge token returned by the first login step
+ * @param {string} code - The TOTP code from the authenticator app
+ * @param {string} recoveryCode - One of the recovery codes, instead of the code
+ * @returns {Promise<void>} - A promise that resolves with the logged in user
+ * @throws {ApiError} - If the challenge token is invalid or expired, or the code is wrong
+ */
+const completeTwoFactorLogin = asyncHandler(async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken) {
+            throw new ApiError(400, "Challenge token is required");
+        } else if (!code && !recoveryCode) {
+            throw new ApiError(400, "Code or recovery code is required");
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, DATA.tokens.actionTokenSecret);
+        } catch (error) {
+            throw new ApiError(401, "Invalid or expired challenge token");
+        }
+        if (decoded?.purpose !== "2fa-challenge") {
+            throw new ApiError(401, "Invalid or expired challenge token");
+        }
+
+        const isValid = await verifySecondFactor(decoded._id, {
+            code,
+            recoveryCode,
+        });
+        if (!isValid) {
+            throw new ApiError(401, "Invalid two-factor authentication code");
+        }
+
+        const user = await User.findById(decoded._id);
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+        if (user.suspendedAt) {
+            throw new ApiError(403, "Account is suspended");
+        }
+
+        return await sendLoginResponse(req, res, user);
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/2fa/setup
+ * @desc Starts the 2FA enrollment by generating a new secret, which is only used once it is confirmed
+ * @returns {Promise<void>} - A promise that resolves with the secret and the otpauth URI for the authenticator app
+ * @throws {ApiError} - If 2FA is already enabled
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            throw new ApiError(
+                400,
+                "Two-factor authentication is already enabled"
+            );
+        }
+
+        const secret = generateTotpSecret();
+        await User.findByIdAndUpdate(req.user._id, {
+            $set: { "twoFactor.pendingSecret": secret },
+        });
+
+        return res.status(200).json(
+            new ApiResponse(200, "Two-factor authentication setup started", {
+                secret,
+                otpauthUri: getTotpUri(secret, req.user.email, DATA.app_name),
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/2fa/enable
+ * @desc Confirms the 2FA enrollment with a code from the authenticator app and enables 2FA
+ * @param {string} code - The TOTP code generated with the new secret
+ * @returns {Promise<void>} - A promise that resolves with the recovery codes, which are only shown once
+ * @throws {ApiError} - If no enrollment was started or the code is wrong
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            throw new ApiError(400, "Code is required");
+        }
+
+        const user = await User.findById(req.user._id).select(
+            "+twoFactor.pendingSecret"
+        );
+
+        if (user.twoFactor?.enabled) {
+            throw new ApiError(
+                400,
+                "Two-factor authentication is already enabled"
+            );
+        }
+        if (!user.twoFactor?.pendingSecret) {
+            throw new ApiError(400, "Two-factor authentication setup required");
+        }
+
+        const step = verifyTotp(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            throw new ApiError(401, "Invalid two-factor authentication code");
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    "twoFactor.enabled": true,
+                    "twoFactor.secret": user.twoFactor.pendingSecret,
+                    "twoFactor.recoveryCodes": hashes,
+                    "twoFactor.lastUsedStep": step,
+                    "twoFactor.enabledAt": new Date(),
+                },
+                $unset: { "twoFactor.pendingSecret": 1 },
+            }
+        );
+
+        return res.status(200).json(
+            new ApiResponse(200, "Two-factor authentication enabled", {
+                recoveryCodes: codes,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/2fa/disable
+ * @desc Disables 2FA, which needs the password and a code or recovery code
+ * @param {string} password - The password of the user
+ * @param {string} code - The TOTP code from the authenticator app
+ * @param {string} recoveryCode - One of the recovery codes, instead of the code
+ * @returns {Promise<void>} - A promise that resolves with a success message
+ * @throws {ApiError} - If 2FA is not enabled, or the password or code is wrong
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password) {
+            throw new ApiError(400, "Password is required");
+        } else if (!code && !recoveryCode) {
+            throw new ApiError(400, "Code or recovery code is required");
+        }
+
+        const user = await User.findById(req.user._id);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ApiError(400, "Two-factor authentication is not enabled");
+        }
+        if (!(await user.isPasswordCorrect(password))) {
+            throw new ApiError(401, "Invalid password");
+        }
+
+        const isValid = await verifySecondFactor(user._id, {
+            code,
+            recoveryCode,
+        });
+        if (!isValid) {
+            throw new ApiError(401, "Invalid two-factor authentication code");
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { twoFactor: { enabled: false } } }
+        );
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Two-factor authentication disabled"));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route POST /api/v1/users/2fa/recovery-codes
+ * @desc Replaces the recovery codes with new ones, which needs a code from the authenticator app
+ * @param {string} code - The TOTP code from the authenticator app
+ * @returns {Promise<void>} - A promise that resolves with the new recovery codes, which are only shown once
+ * @throws {ApiError} - If 2FA is not enabled or the code is wrong
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            throw new ApiError(400, "Code is required");
+        }
+        if (!req.user.twoFactor?.enabled) {
+            throw new ApiError(400, "Two-factor authentication is not enabled");
+        }
+
+        const isValid = await verifySecondFactor(req.user._id, { code });
+        if (!isValid) {
+            throw new ApiError(401, "Invalid two-factor authentication code");
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        await User.updateOne(
+            { _id: req.user._id },
+            { $set: { "twoFactor.recoveryCodes": hashes } }
+        );
+
+        return res.status(200).json(
+            new ApiResponse(200, "Recovery codes regenerated successfully", {
+                recoveryCodes: codes,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
     }
 });
 
@@ -723,4 +1795,25 @@ export {
     updateUserCoverImage,
     getUserChannelProfile,
     getWatchHistory,
+    clearWatchHistory,
+    removeWatchHistoryEntry,
+    setWatchHistoryPaused,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    muteUser,
+    unmuteUser,
+    getMutedUsers,
+    getUserSessions,
+    revokeOtherSessions,
+    revokeSession,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
+    completeTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
 };
@@ -1,71 +1,328 @@
+import fs from "fs";
+import path from "path";
 import mongoose, { isValidObjectId } from "mongoose";
-import { Video } from "../models/video.model.js";
+import { Video, VIDEO_CATEGORIES } from "../models/video.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import {
+    ALL_CATEGORIES,
+    GLOBAL_REGION,
+    TrendingList,
+} from "../models/trendingList.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { deleteFile, storage, uploadFile } from "../utils/fileUpload.js";
+import { sendRangeResponse } from "../utils/rangeResponse.js";
+import { getStreamsDir, getStreamUrls } from "../utils/streaming.js";
+import { queueVideoProcessing } from "../jobs/videoProcessing.job.js";
+import { queueVideoSegmentation } from "../jobs/videoSegmentation.job.js";
+import { registerView } from "../utils/views.js";
+import { getPurgeDate } from "../utils/trash.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+import { getRequestRegion } from "../utils/engagement.js";
+import {
+    getTrendingTags,
+    searchVideos,
+    UPLOAD_DATE_WINDOWS,
+    VIDEO_SEARCH_SORTS,
+} from "../utils/videoSearch.js";
 import {
-    deleteFromCloudinary,
-    deleteVideoCloudinary,
-    uploadOnCloudinary,
-} from "../utils/fileUpload.js";
+    normalizeTag,
+    parseVideoCategory,
+    parseVideoTags,
+    parseVideoVisibility,
+} from "../utils/videoMetadata.js";
+import DATA from "../config.js";
 import ApiError from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
 import ApiResponse from "../utils/ApiResponse.js";
 
 /**
  * @route   GET /api/v1/videos
- * @desc    Fetch all videos with pagination, sorting, and search.
+ * @desc    Search the published videos, with filters, sorting, pagination and result facets.
+ * @param   {Number} page The page number for pagination (default: 1).
+ * @param   {Number} limit The number of videos per page (default: 10).
+ * @param   {String} query The search terms, matched against the title, tags and description (optional).
+ * @param   {String} sortBy The sorting order for videos (relevance, views, newest, older) (default: relevance with a query, newest without).
+ * @param   {Number} minDuration The minimum duration in seconds (optional).
+ * @param   {Number} maxDuration The maximum duration in seconds (optional).
+ * @param   {String} uploadDate Only videos uploaded within the last hour, today, week, month or year (optional).
+ * @param   {String} channel The username of the channel (optional).
+ * @param   {String} owner The ID of the channel owner (optional).
+ * @returns {Promise<void>} A promise that resolves with the videos, the facets and pagination info.
+ * @throws  {ApiError} If a filter is invalid or the query fails.
+ */
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 10,
+            query,
+            minDuration,
+            maxDuration,
+            uploadDate,
+            channel,
+            owner,
+        } = req.query;
+        const searchTerms = query?.trim();
+        const sortBy = (
+            req.query.sortBy || (searchTerms ? "relevance" : "newest")
+        ).toLowerCase();
+
+        if (!Object.hasOwn(VIDEO_SEARCH_SORTS, sortBy)) {
+            throw new ApiError(
+                400,
+                `sortBy must be one of: ${Object.keys(VIDEO_SEARCH_SORTS).join(", ")}`
+            );
+        }
+        if (uploadDate && !Object.hasOwn(UPLOAD_DATE_WINDOWS, uploadDate)) {
+            throw new ApiError(
+                400,
+                `uploadDate must be one of: ${Object.keys(UPLOAD_DATE_WINDOWS).join(", ")}`
+            );
+        }
+
+        const filters = { uploadDate };
+        for (const [name, value] of Object.entries({
+            minDuration,
+            maxDuration,
+        })) {
+            if (value === undefined) continue;
+            if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+                throw new ApiError(400, `${name} must be a number of seconds`);
+            }
+            filters[name] = Number(value);
+        }
+
+        if (owner) {
+            if (!isValidObjectId(owner)) {
+                throw new ApiError(400, "Invalid Owner ID");
+            }
+            filters.owner = new mongoose.Types.ObjectId(String(owner));
+        }
+        if (channel) {
+            const channelUser = await User.findOne({
+                username: channel.toLowerCase(),
+            }).select("_id");
+            if (!channelUser) {
+                throw new ApiError(404, "Channel not found");
+            }
+            if (filters.owner && !filters.owner.equals(channelUser._id)) {
+                throw new ApiError(400, "channel and owner do not match");
+            }
+            filters.owner = channelUser._id;
+        }
+
+        const result = await searchVideos({
+            query: searchTerms,
+            filters,
+            sortBy,
+            page: Math.max(Number(page) || 1, 1),
+            limit: Math.min(Math.max(Number(limit) || 10, 1), 100),
+        });
+
+        return res
+            .status(200)
+            .json(new ApiResponse(200, "Videos fetched successfully", result));
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * Reads and validates the pagination and sort query parameters of a videos listing
+ * @param {Object} query - The request query
+ * @returns {Object} - The options ({ sortBy, page, limit })
+ * @throws {ApiError} - If the sort order is invalid
+ */
+const getListingOptions = (query) => {
+    const { page = 1, limit = 10, sortBy = "newest" } = query;
+
+    if (sortBy === "relevance" || !Object.hasOwn(VIDEO_SEARCH_SORTS, sortBy)) {
+        throw new ApiError(400, "sortBy must be one of: newest, older, views");
+    }
+
+    return {
+        sortBy,
+        page: Math.max(Number(page) || 1, 1),
+        limit: Math.min(Math.max(Number(limit) || 10, 1), 100),
+    };
+};
+
+/**
+ * @route   GET /api/v1/videos/tags/:tag
+ * @desc    Fetch the published videos with a tag.
+ * @param   {String} tag The tag, normalized like the tags of the videos.
  * @param   {Number} page The page number for pagination (default: 1).
  * @param   {Number} limit The number of videos per page (default: 10).
- * @param   {String} query The search query for video titles (optional).
  * @param   {String} sortBy The sorting order for videos (views, newest, older) (default: newest).
  * @returns {Promise<void>} A promise that resolves with the videos and pagination info.
- * @throws  {ApiError} If the query fails.
+ * @throws  {ApiError} If the tag or the sort order is invalid.
  */
+const getVideosByTag = asyncHandler(async (req, res) => {
+    try {
+        const tag = normalizeTag(req.params.tag);
+        if (!tag) {
+            throw new ApiError(400, "Invalid tag");
+        }
 
-const getAllVideos = asyncHandler(async (req, res) => {
+        const { videos, pagination } = await searchVideos({
+            filters: { tag },
+            ...getListingOptions(req.query),
+        });
+
+        return res.status(200).json(
+            new ApiResponse(200, "Videos fetched successfully", {
+                tag,
+                videos,
+                pagination,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/categories/:category
+ * @desc    Fetch the published videos of a category.
+ * @param   {String} category The category.
+ * @param   {Number} page The page number for pagination (default: 1).
+ * @param   {Number} limit The number of videos per page (default: 10).
+ * @param   {String} sortBy The sorting order for videos (views, newest, older) (default: newest).
+ * @returns {Promise<void>} A promise that resolves with the videos and pagination info.
+ * @throws  {ApiError} If the category or the sort order is invalid.
+ */
+const getVideosByCategory = asyncHandler(async (req, res) => {
     try {
-        const { page = 1, limit = 10, query, sortBy = "newest" } = req.query; // Pagination and sorting parameters
-
-        // Define sorting options
-        let sortOption;
-        switch (sortBy.toLowerCase()) {
-            case "views":
-                sortOption = { views: -1 }; // Descending order of views
-                break;
-            case "older":
-                sortOption = { createdAt: 1 }; // Ascending order of creation date
-                break;
-            case "newest":
-            default:
-                sortOption = { createdAt: -1 }; // Descending order of creation date
-        }
-
-        // Build the filter object based on the query
-        const filter = {};
-        if (query) {
-            filter.title = { $regex: query, $options: "i" }; // Case-insensitive search on title
-        }
-
-        // Fetch videos with applied filters, sorting, and pagination
-        const videos = await Video.find(filter)
-            .sort(sortOption)
-            .skip((page - 1) * limit)
-            .limit(Number(limit))
-            .populate("owner", "fullName username avatar"); // Populate owner details
-
-        // Get total count for pagination
-        const totalVideos = await Video.countDocuments(filter);
-        const totalPages = Math.ceil(totalVideos / limit);
-
-        // Respond with videos and pagination info
+        const category = parseVideoCategory(req.params.category);
+
+        const { videos, pagination } = await searchVideos({
+            filters: { category },
+            ...getListingOptions(req.query),
+        });
+
         return res.status(200).json(
             new ApiResponse(200, "Videos fetched successfully", {
+                category,
                 videos,
-                pagination: {
-                    total: totalVideos,
-                    page: Number(page),
-                    limit: Number(limit),
-                    totalPages,
-                },
+                pagination,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/tags
+ * @desc    Fetch the tags used most by the videos published recently.
+ * @param   {Number} days How many days back the videos are counted (default: 7, max: 90).
+ * @param   {Number} limit The number of tags (default: 20, max: 100).
+ * @returns {Promise<void>} A promise that resolves with the tags and their video and view counts.
+ * @throws  {ApiError} If the query fails.
+ */
+const getTrendingVideoTags = asyncHandler(async (req, res) => {
+    try {
+        const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 90);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+        const tags = await getTrendingTags({ days, limit });
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(200, "Trending tags fetched successfully", tags)
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/categories
+ * @desc    Fetch the categories a video can be filed under.
+ * @returns {Promise<void>} A promise that resolves with the categories.
+ */
+const getVideoCategories = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                "Video categories fetched successfully",
+                VIDEO_CATEGORIES
+            )
+        );
+});
+
+/**
+ * @route   GET /api/v1/videos/trending
+ * @desc    Fetch the trending videos, ranked by their recent views, likes and comments, which count less as they age.
+ *          The lists are recomputed periodically, regions without their own list get the global one.
+ * @param   {String} region The ISO country code (default: the country of the request, when the proxy sets it).
+ * @param   {String} category The category (optional, all categories without it).
+ * @param   {Number} limit The number of videos (default: 20, max: the size of the lists).
+ * @returns {Promise<void>} A promise that resolves with the videos, the region and category of the list and when it was computed.
+ * @throws  {ApiError} If the region or the category is invalid.
+ */
+const getTrendingVideos = asyncHandler(async (req, res) => {
+    try {
+        const region = req.query.region
+            ? String(req.query.region).trim().toUpperCase()
+            : getRequestRegion(req);
+        const category = req.query.category
+            ? parseVideoCategory(req.query.category)
+            : ALL_CATEGORIES;
+        const limit = Math.min(
+            Math.max(Number(req.query.limit) || 20, 1),
+            DATA.trending.size
+        );
+
+        if (region && !/^[A-Z]{2}$/.test(region)) {
+            throw new ApiError(400, "Region must be an ISO country code");
+        }
+
+        const list =
+            (region &&
+                (await TrendingList.findOne({ region, category }).lean())) ||
+            (await TrendingList.findOne({
+                region: GLOBAL_REGION,
+                category,
+            }).lean());
+
+        const entries = list?.videos.slice(0, limit) || [];
+        const videos = await Video.find({
+            _id: { $in: entries.map(({ video }) => video) },
+            visibility: "public", // The video may have been hidden since the list was computed
+        }).populate("owner", "fullName username avatar");
+
+        const videosById = new Map(
+            videos.map((video) => [video._id.toString(), video])
+        );
+
+        return res.status(200).json(
+            new ApiResponse(200, "Trending videos fetched successfully", {
+                region: list?.region || GLOBAL_REGION,
+                category,
+                computedAt: list?.computedAt || null,
+                videos: entries
+                    .filter(({ video }) => videosById.has(video.toString()))
+                    .map(({ video, score }) => ({
+                        ...videosById.get(video.toString()).toObject(),
+                        trendingScore: score,
+                    })),
             })
         );
     } catch (error) {
@@ -78,67 +335,77 @@ const getAllVideos = asyncHandler(async (req, res) => {
 
 /**
  * @route   POST /api/v1/videos
- * @desc    Publishes a new video with a title, description, video file, and thumbnail.
+ * @desc    Accepts a new video with a title, description, video file, and thumbnail.
+ *          The files are moved to the storage by the video processing job, poll
+ *          GET /api/v1/videos/:videoId/status until the video is ready.
  * @param   {String} title The title of the video.
  * @param   {String} description The description of the video.
- * @param   {Boolean} isPublished The publish status of the video (default: true).
+ * @param   {Array<String>|String} tags The tags of the video, an array or a comma separated string (optional).
+ * @param   {String} category The category of the video (optional).
+ * @param   {String} visibility Who can see the video: public, unlisted or private (default: public, private when scheduled).
+ * @param   {Date} publishAt When the video becomes public, for scheduled videos (optional).
+ * @param   {Boolean} isPublished Replaced by visibility, false makes the video private (optional).
  * @param   {File} videoFile The video file to upload.
  * @param   {File} thumbnail The thumbnail image to upload.
- * @returns {Promise<void>} A promise that resolves with the published video.
- * @throws  {ApiError} If the video file or thumbnail is missing or the upload fails.
+ * @returns {Promise<void>} A promise that resolves with the accepted video.
+ * @throws  {ApiError} If the video file or thumbnail is missing.
  */
 
 const publishAVideo = asyncHandler(async (req, res) => {
-    const { title, description, isPublished = true } = req.body;
+    const { title, description, tags, category } = req.body;
+    const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
 
     try {
-        if ([title, description].map((field) => field.trim()).includes("")) {
+        if ([title, description].some((field) => !field?.trim())) {
             throw new ApiError(400, "Title and Description are required");
         }
 
-        const videoFileLocalPath = req.files.videoFile[0].path;
-        const thumbnailLocalPath = req.files.thumbnail[0].path;
-        if (!videoFileLocalPath && !thumbnailLocalPath) {
+        if (!videoFileLocalPath || !thumbnailLocalPath) {
             throw new ApiError(400, "Video file and Thumbnail are required");
         }
 
+        const { visibility, publishAt } = parseVideoVisibility(req.body);
         const owner = req.user?._id;
 
-        const videoFile = await uploadOnCloudinary(
-            videoFileLocalPath,
-            "videos"
-        );
-        const thumbnail = await uploadOnCloudinary(
-            thumbnailLocalPath,
-            "thumbnails"
-        );
-
-        if (!videoFile || !thumbnail) {
-            throw new ApiError(500, "Failed to upload video or thumbnail");
-        }
-
-        // save video details in the database
+        // save video details in the database, the files are added once processed
         const video = await Video.create({
-            videoFile: videoFile.secure_url,
-            videoPublicId: videoFile.public_id,
-            thumbnail: thumbnail.secure_url,
-            thumbnailPublicId: thumbnail.public_id,
             title,
             description,
-            duration: videoFile.duration,
-            isPublished,
+            tags: tags !== undefined ? parseVideoTags(tags) : [],
+            category: category ? parseVideoCategory(category) : undefined,
+            visibility,
+            publishAt: publishAt || undefined,
+            publishedAt: visibility === "public" ? new Date() : undefined,
             owner,
+            status: "uploading",
         });
 
         if (!video) {
             throw new ApiError(500, "Failed to publish video");
         }
 
+        try {
+            await queueVideoProcessing(video, {
+                videoFileLocalPath,
+                thumbnailLocalPath,
+            });
+        } catch (error) {
+            await video.deleteOne(); // Do not leave a video which is never processed
+            throw error;
+        }
+
         return res
-            .status(201)
-            .json(new ApiResponse(201, "Video published successfully", video));
+            .status(202)
+            .json(new ApiResponse(202, "Video accepted for processing", video));
     } catch (error) {
         console.log(error);
+        // Remove the uploaded files as the video was not queued
+        for (const localFilePath of [videoFileLocalPath, thumbnailLocalPath]) {
+            if (localFilePath && fs.existsSync(localFilePath)) {
+                fs.unlinkSync(localFilePath);
+            }
+        }
         throw new ApiError(
             error?.statusCode || 500,
             error?.message || "Internal Server Error"
@@ -148,7 +415,7 @@ const publishAVideo = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/v1/videos/:videoId
- * @desc    Fetches a video by its ID and increments the view count.
+ * @desc    Fetches a video by its ID and registers a view of it. Private videos are only shown to their owner.
  * @param   {String} videoId The ID of the video to fetch.
  * @returns {Promise<void>} A promise that resolves with the video details.
  * @throws  {ApiError} If the video ID is invalid or the video is not found.
@@ -168,48 +435,27 @@ const getVideoById = asyncHandler(async (req, res) => {
 
         const video = await Video.findById(videoId);
 
-        if (!video) {
+        // Private videos are reported as missing to everyone except the owner
+        if (!video || !video.isVisibleTo(req.user)) {
             throw new ApiError(404, "Video not found");
         }
 
-        // increment the views count of the video
-        const updatedVideo = await Video.findByIdAndUpdate(
-            videoId,
-            {
-                $inc: { views: 1 },
-            },
-            { new: true }
-        ).populate("owner", "username fullName avatar"); // populate is used to get the owner details from the User collection
-
-        // Add the video ID to the current user's watch history without duplicates and prioritize it
-        if (req.user?._id) {
-            // 1. Remove the videoId if it already exists to prevent duplicates
-            await User.findByIdAndUpdate(
-                req.user._id,
-                { $pull: { watchHistory: videoId } },
-                { new: true }
-            );
+        // Videos still processing (or failed) are only shown to their owner, without counting a view
+        const isReady = video.status === "ready";
+        if (!isReady && video.owner.toString() !== req.user?._id.toString()) {
+            throw new ApiError(404, "Video not found");
+        }
 
-            // 2. Add the videoId to the beginning of the watchHistory array
-            const updatedUser = await User.findByIdAndUpdate(
-                req.user._id,
-                { $push: { watchHistory: { $each: [videoId], $position: 0 } } },
-                { new: true }
-            );
+        if (isReady) {
+            // Count the view once per viewer and dedup window, Video.views is updated by the view rollup job
+            await registerView(req, video);
 
-            // 3. Trim the watchHistory array to keep only the first 100 entries
-            if (updatedUser.watchHistory.length > 100) {
-                updatedUser.watchHistory = updatedUser.watchHistory.slice(
-                    0,
-                    100
-                );
-                await updatedUser.save();
-            }
+            // Move the video to the top of the watch history of the user
+            await WatchHistory.record(req.user, video._id);
         }
+        await video.populate("owner", "username fullName avatar"); // populate is used to get the owner details from the User collection
 
-        return res
-            .status(200)
-            .json(new ApiResponse(200, "Video found", updatedVideo));
+        return res.status(200).json(new ApiResponse(200, "Video found", video));
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -220,11 +466,13 @@ const getVideoById = asyncHandler(async (req, res) => {
 
 /**
  * @route   PATCH /api/v1/videos/:videoId
- * @desc    Updates a video's title, description, and thumbnail by its ID.
+ * @desc    Updates a video's title, description, tags, category and thumbnail by its ID.
  * @param   {String} videoId The ID of the video to update.
  * @param   {String} title The new title of the video.
  * @param   {String} description The new description of the video.
- * @param   {File} thumbnail The new thumbnail image to upload.
+ * @param   {Array<String>|String} tags The new tags, an array or a comma separated string (optional).
+ * @param   {String} category The new category, empty to remove it (optional).
+ * @param   {File} thumbnail The new thumbnail image to upload (optional).
  * @returns {Promise<void>} A promise that resolves with the updated video details.
  * @throws  {ApiError} If the video ID is invalid, the user is unauthorized, or the update fails.
  */
@@ -247,40 +495,44 @@ const updateVideo = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Unauthorized Request");
         }
 
-        const { title, description } = req.body;
-        const thumbnailLocalPath = req.file.path;
-        let thumbnail;
+        const { title, description, tags, category } = req.body;
+        const update = { $set: { title, description } };
+        if (tags !== undefined) {
+            update.$set.tags = parseVideoTags(tags);
+        }
+        if (category) {
+            update.$set.category = parseVideoCategory(category);
+        } else if (category !== undefined) {
+            update.$unset = { category: 1 }; // An empty category removes it
+        }
+
+        // The thumbnail is only replaced when a new one is uploaded
+        const thumbnailLocalPath = req.file?.path;
         if (thumbnailLocalPath) {
-            thumbnail = await uploadOnCloudinary(
+            const thumbnail = await uploadFile(
                 thumbnailLocalPath,
                 "thumbnails"
             );
             if (!thumbnail) {
                 throw new ApiError(500, "Failed to upload thumbnail");
             }
-        }
 
-        // delete the old thumbnail from cloudinary
-        const updateThumbnail = await deleteFromCloudinary(
-            videoOwner?.thumbnailPublicId
-        );
+            // delete the old thumbnail from the storage
+            const updateThumbnail = await deleteFile(
+                videoOwner?.thumbnailPublicId
+            );
+
+            if (updateThumbnail?.result !== "ok") {
+                throw new ApiError(500, "Failed to update thumbnail");
+            }
 
-        if (updateThumbnail?.result !== "ok") {
-            throw new ApiError(500, "Failed to update thumbnail");
+            update.$set.thumbnail = thumbnail.url;
+            update.$set.thumbnailPublicId = thumbnail.publicId;
         }
 
-        const updatedVideo = await Video.findByIdAndUpdate(
-            videoId,
-            {
-                $set: {
-                    title,
-                    description,
-                    thumbnail: thumbnail?.secure_url,
-                    thumbnailPublicId: thumbnail?.public_id,
-                },
-            },
-            { new: true }
-        );
+        const updatedVideo = await Video.findByIdAndUpdate(videoId, update, {
+            new: true,
+        });
 
         return res
             .status(200)
@@ -298,46 +550,37 @@ const updateVideo = asyncHandler(async (req, res) => {
 
 /**
  * @route   DELETE /api/v1/videos/:videoId
- * @desc    Deletes a video by its ID and removes it from Cloudinary.
+ * @desc    Moves a video to the trash. It can be restored with PATCH /api/v1/trash/videos/:videoId/restore
+ *          until it is purged with its files after the retention period.
  * @param   {String} videoId The ID of the video to delete.
- * @returns {Promise<void>} A promise that resolves with a success message.
+ * @returns {Promise<void>} A promise that resolves with a success message and when the video is purged.
  * @throws  {ApiError} If the video ID is invalid, the user is unauthorized, or the deletion fails.
  */
 const deleteVideo = asyncHandler(async (req, res) => {
     try {
         const { videoId } = req.params;
-        // check if the owner id in the video is the same as the user id in the token if yes then only delete the video
 
-        const videoOwner =
-            await Video.findById(videoId).select("owner thumbnail");
-
-        if (!videoOwner) {
-            throw new ApiError(404, "Video not found");
-        }
-
-        if (videoOwner.owner.toString() !== req.user?._id.toString()) {
-            throw new ApiError(401, "Unauthorized Request");
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
         }
 
-        const video = await Video.findByIdAndDelete(videoId);
+        const video = await Video.findById(videoId).select("owner");
 
         if (!video) {
             throw new ApiError(404, "Video not found");
         }
 
-        // delete the video file and thumbnail from cloudinary
-        const delThumbnail = await deleteFromCloudinary(
-            video.thumbnailPublicId
-        );
-        const delVideo = await deleteVideoCloudinary(video.videoPublicId);
-
-        if (delThumbnail?.result !== "ok" || delVideo?.result !== "ok") {
-            throw new ApiError(500, "Failed to delete video and thumbnail");
+        if (video.owner.toString() !== req.user?._id.toString()) {
+            throw new ApiError(401, "Unauthorized Request");
         }
 
-        return res
-            .status(200)
-            .json(new ApiResponse(200, "Video deleted successfully"));
+        await video.softDelete();
+
+        return res.status(200).json(
+            new ApiResponse(200, "Video moved to the trash", {
+                purgeAt: getPurgeDate(video.deletedAt),
+            })
+        );
     } catch (error) {
         throw new ApiError(
             error?.statusCode || 500,
@@ -346,9 +589,80 @@ const deleteVideo = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Finds a video of the current user to change its visibility
+ * @param {Object} req - Express request object, req.params.videoId is the video
+ * @returns {Promise<Object>} - The video
+ * @throws {ApiError} - If the video ID is invalid, the video is not found or belongs to another user
+ */
+const findOwnVideoForVisibility = async (req) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid Video ID");
+    }
+
+    const video = await Video.findById(videoId).select(
+        "owner visibility publishLock publishedAt"
+    );
+
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.owner.toString() !== req.user?._id.toString()) {
+        throw new ApiError(401, "Unauthorized Request");
+    }
+
+    return video;
+};
+
+/**
+ * Changes the visibility of a video. The subscribers are notified the first time the video
+ * is public and processed, scheduled videos are made public by the scheduled publishing job.
+ * @param {Object} video - The video, with its visibility, publishLock and publishedAt
+ * @param {Object} changes - The new visibility and publishAt, publishAt null cancels the schedule
+ * @returns {Promise<Object>} - The updated video
+ * @throws {ApiError} - If the video was locked by a moderator and would not stay private
+ */
+const changeVideoVisibility = async (video, { visibility, publishAt }) => {
+    if (
+        video.publishLock?.lockedAt &&
+        (visibility !== "private" || publishAt)
+    ) {
+        throw new ApiError(
+            403,
+            "Video was unpublished by a moderator and cannot be published"
+        );
+    }
+
+    const isFirstPublish = visibility === "public" && !video.publishedAt;
+
+    const update = { $set: { visibility } };
+    if (publishAt) {
+        update.$set.publishAt = publishAt;
+    } else {
+        update.$unset = { publishAt: 1 };
+    }
+    if (isFirstPublish) {
+        update.$set.publishedAt = new Date();
+    }
+
+    const updated = await Video.findByIdAndUpdate(video._id, update, {
+        new: true,
+    });
+
+    // Videos made public again were announced already
+    if (isFirstPublish && updated.status === "ready") {
+        publishEvent(APP_EVENTS.VIDEO_PUBLISHED, { video: updated });
+    }
+    return updated;
+};
+
 /**
  * @route   PATCH /api/v1/videos/toggle-publish/:videoId
- * @desc    Toggles the publish status of a video by its ID.
+ * @desc    Toggles a video between public and private, and cancels its schedule.
+ *          Use PATCH /api/v1/videos/:videoId/visibility for unlisted and scheduled videos.
  * @param   {String} videoId The ID of the video to update.
  * @returns {Promise<void>} A promise that resolves with the updated video details.
  * @throws  {ApiError} If the video ID is invalid, the user is unauthorized, or the update fails.
@@ -356,32 +670,64 @@ const deleteVideo = asyncHandler(async (req, res) => {
 
 const togglePublishStatus = asyncHandler(async (req, res) => {
     try {
-        const { videoId } = req.params;
-        // check if the owner id in the video is the same as the user id in the token if yes then only toggle the publish status
+        const videoOwner = await findOwnVideoForVisibility(req);
 
-        const videoOwner =
-            await Video.findById(videoId).select("owner isPublished");
-
-        if (!videoOwner) {
-            throw new ApiError(404, "Video not found");
-        }
+        const video = await changeVideoVisibility(videoOwner, {
+            visibility:
+                videoOwner.visibility === "public" ? "private" : "public",
+            publishAt: null,
+        });
 
-        if (videoOwner.owner.toString() !== req.user?._id.toString()) {
-            throw new ApiError(401, "Unauthorized Request");
-        }
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    "Publish status updated successfully",
+                    video
+                )
+            );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
 
-        const video = await Video.findByIdAndUpdate(
-            videoId,
-            { $set: { isPublished: !videoOwner.isPublished } },
-            { new: true }
+/**
+ * @route   PATCH /api/v1/videos/:videoId/visibility
+ * @desc    Sets who can see a video, and optionally schedules it to become public.
+ * @param   {String} videoId The ID of the video to update.
+ * @param   {String} visibility Who can see the video: public, unlisted or private (default: the current one, private when scheduled).
+ * @param   {Date} publishAt When the video becomes public, omit it or send null to cancel the schedule.
+ * @returns {Promise<void>} A promise that resolves with the updated video details.
+ * @throws  {ApiError} If the input is invalid, the user is unauthorized, or the video is locked by a moderator.
+ */
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+    try {
+        const videoOwner = await findOwnVideoForVisibility(req);
+        const { visibility, publishAt } = parseVideoVisibility(
+            {
+                visibility: req.body?.visibility,
+                publishAt: req.body?.publishAt,
+            },
+            videoOwner.visibility
         );
 
+        const video = await changeVideoVisibility(videoOwner, {
+            visibility,
+            publishAt,
+        });
+
         return res
             .status(200)
             .json(
                 new ApiResponse(
                     200,
-                    "Publish status updated successfully",
+                    publishAt
+                        ? "Video scheduled successfully"
+                        : "Video visibility updated successfully",
                     video
                 )
             );
@@ -421,12 +767,339 @@ const getVideosByUserId = asyncHandler(async (req, res) => {
     return res.status(200).json(new ApiResponse(200, "Videos found", videos));
 });
 
+/**
+ * @route   GET /api/v1/videos/:videoId/status
+ * @desc    Fetches the processing status of a video uploaded by the current user.
+ * @param   {String} videoId The ID of the video.
+ * @returns {Promise<void>} A promise that resolves with the processing status.
+ * @throws  {ApiError} If the video ID is invalid, the video is not found or the user is unauthorized.
+ */
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
+        }
+
+        const video = await Video.findById(videoId).select(
+            "owner status processingError duration metadata"
+        );
+
+        if (!video) {
+            throw new ApiError(404, "Video not found");
+        }
+
+        if (video.owner.toString() !== req.user?._id.toString()) {
+            throw new ApiError(401, "Unauthorized Request");
+        }
+
+        return res.status(200).json(
+            new ApiResponse(200, "Video status fetched", {
+                videoId: video._id,
+                status: video.status,
+                processingError: video.processingError,
+                duration: video.duration,
+                metadata: video.metadata,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * Redirects to the adaptive streaming manifest of a video. Storage drivers which can stream
+ * (Cloudinary) build the manifest from the stored public ID, otherwise the video is segmented
+ * with a local ffmpeg and 202 is returned until the segments are ready.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} format - The manifest format (m3u8 for HLS, mpd for DASH)
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the video is not found, not ready, unpublished or cannot be segmented.
+ */
+const sendStreamManifest = async (req, res, format) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid Video ID");
+    }
+
+    const video = await Video.findById(videoId);
+
+    if (!video || !video.isVisibleTo(req.user)) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (video.status !== "ready") {
+        throw new ApiError(409, "Video is not processed yet");
+    }
+
+    if (storage.getStreamingUrl) {
+        return res.redirect(
+            302,
+            storage.getStreamingUrl(video.videoPublicId, format)
+        );
+    }
+
+    switch (video.streaming?.status) {
+        case "ready": {
+            // Built from the ID, as videos segmented before may store the old static URLs
+            const urls = getStreamUrls(video._id.toString());
+            return res.redirect(302, format === "mpd" ? urls.dash : urls.hls);
+        }
+        case "failed":
+            throw new ApiError(
+                503,
+                `Streaming is not available for this video: ${video.streaming.error}`
+            );
+        case "processing":
+            break;
+        default:
+            await queueVideoSegmentation(video);
+    }
+
+    return res
+        .status(202)
+        .set("Retry-After", "30")
+        .json(
+            new ApiResponse(202, "Video stream is being prepared", {
+                videoId: video._id,
+                streaming: "processing",
+            })
+        );
+};
+
+/**
+ * @route   GET /api/v1/videos/:videoId/stream.m3u8
+ * @desc    Redirects to the HLS master playlist with every rendition of a video.
+ * @param   {String} videoId The ID of the video.
+ * @returns {Promise<void>} A promise that resolves with a redirect to the playlist.
+ * @throws  {ApiError} If the video is not found, not ready or cannot be segmented.
+ */
+const getVideoHlsManifest = asyncHandler(async (req, res) => {
+    try {
+        return await sendStreamManifest(req, res, "m3u8");
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/:videoId/stream.mpd
+ * @desc    Redirects to the DASH manifest with every rendition of a video.
+ * @param   {String} videoId The ID of the video.
+ * @returns {Promise<void>} A promise that resolves with a redirect to the manifest.
+ * @throws  {ApiError} If the video is not found, not ready or cannot be segmented.
+ */
+const getVideoDashManifest = asyncHandler(async (req, res) => {
+    try {
+        return await sendStreamManifest(req, res, "mpd");
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/:videoId/file
+ * @desc    Streams the video file with support for byte ranges, so that players can seek.
+ *          Public and unlisted videos can be fetched by anyone, private ones only by their owner.
+ *          Videos which are not stored on the local disk are redirected to their storage URL.
+ * @param   {String} videoId The ID of the video.
+ * @returns {Promise<void>} A promise that resolves once the requested bytes are sent.
+ * @throws  {ApiError} If the video ID is invalid or the video is not found.
+ */
+const streamVideoFile = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
+        }
+
+        const video = await Video.findById(videoId).select(
+            "owner visibility status videoFile videoPublicId"
+        );
+
+        // Private videos are reported as missing to everyone except the owner
+        if (!video || !video.isVisibleTo(req.user)) {
+            throw new ApiError(404, "Video not found");
+        }
+
+        if (video.status !== "ready") {
+            throw new ApiError(409, "Video is not processed yet");
+        }
+
+        if (!storage.resolvePath) {
+            return res.redirect(302, video.videoFile);
+        }
+
+        await sendRangeResponse(
+            req,
+            res,
+            storage.resolvePath(video.videoPublicId),
+            {
+                cacheControl:
+                    video.visibility !== "private"
+                        ? "public, max-age=0, must-revalidate"
+                        : "private, max-age=0, must-revalidate",
+            }
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   GET /api/v1/videos/:videoId/streams/*
+ * @desc    Serves a playlist, manifest or segment created for adaptive streaming with ffmpeg.
+ *          Public and unlisted videos can be fetched by anyone, private ones only by their owner.
+ * @param   {String} videoId The ID of the video.
+ * @returns {Promise<void>} A promise that resolves once the file is sent.
+ * @throws  {ApiError} If the video ID or the path is invalid, or the video or the file is not found.
+ */
+const streamVideoSegment = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const filePath = path.posix.normalize(req.params[0] || "");
+
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
+        }
+
+        // Only the files ffmpeg writes into the hls and dash folders
+        if (!/^(hls|dash)\/[\w.-]+$/.test(filePath)) {
+            throw new ApiError(404, "Stream file not found");
+        }
+
+        const video = await Video.findById(videoId).select(
+            "owner visibility status streaming.status"
+        );
+
+        if (!video || !video.isVisibleTo(req.user)) {
+            throw new ApiError(404, "Video not found");
+        }
+
+        if (video.status !== "ready" || video.streaming?.status !== "ready") {
+            throw new ApiError(409, "Video stream is not ready");
+        }
+
+        await new Promise((resolve, reject) => {
+            res.sendFile(
+                filePath,
+                {
+                    root: getStreamsDir(videoId),
+                    headers: {
+                        "Cache-Control":
+                            video.visibility !== "private"
+                                ? "public, max-age=0, must-revalidate"
+                                : "private, max-age=0, must-revalidate",
+                    },
+                },
+                (error) => {
+                    if (error?.status === 404) {
+                        return reject(
+                            new ApiError(404, "Stream file not found")
+                        );
+                    }
+                    return error ? reject(error) : resolve();
+                }
+            );
+        });
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
+/**
+ * @route   POST /api/v1/videos/:videoId/progress
+ * @desc    Reports how far the viewer watched a video. Counts a view if the viewer has none in the current dedup window,
+ *          e.g. when the video is watched without fetching its details.
+ * @param   {String} videoId The ID of the video.
+ * @param   {Number} position The playback position in seconds.
+ * @returns {Promise<void>} A promise that resolves with whether a new view was counted.
+ * @throws  {ApiError} If the video ID or the position is invalid or the video is not found.
+ */
+const reportWatchProgress = asyncHandler(async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const position = Number(req.body?.position);
+
+        if (!isValidObjectId(videoId)) {
+            throw new ApiError(400, "Invalid Video ID");
+        }
+        if (!Number.isFinite(position) || position < 0) {
+            throw new ApiError(
+                400,
+                "Position must be a positive number of seconds"
+            );
+        }
+
+        const video = await Video.findById(videoId).select(
+            "owner visibility status duration"
+        );
+
+        // Private videos are reported as missing to everyone except the owner
+        if (!video || !video.isVisibleTo(req.user)) {
+            throw new ApiError(404, "Video not found");
+        }
+        if (video.status !== "ready") {
+            throw new ApiError(409, "Video is not processed yet");
+        }
+
+        const watchedSeconds = Math.round(
+            Math.min(position, video.duration || position)
+        );
+        const counted = await registerView(req, video, watchedSeconds);
+        await WatchHistory.record(req.user, video._id, watchedSeconds);
+
+        return res.status(200).json(
+            new ApiResponse(200, "Watch progress saved", {
+                watchedSeconds,
+                viewCounted: counted,
+            })
+        );
+    } catch (error) {
+        throw new ApiError(
+            error?.statusCode || 500,
+            error?.message || "Internal Server Error"
+        );
+    }
+});
+
 export {
     getAllVideos,
+    getTrendingVideos,
+    getVideosByTag,
+    getVideosByCategory,
+    getTrendingVideoTags,
+    getVideoCategories,
     publishAVideo,
     getVideoById,
+    reportWatchProgress,
     updateVideo,
     deleteVideo,
     togglePublishStatus,
+    updateVideoVisibility,
     getVideosByUserId,
+    getVideoProcessingStatus,
+    getVideoHlsManifest,
+    getVideoDashManifest,
+    streamVideoFile,
+    streamVideoSegment,
 };
@@ -1,6 +1,7 @@
 import connectToDB from "./db/index.js"; // Import connectToDB from db/index.js
 import { app } from "./app.js"; // Import app from app.js
 import DATA from "./config.js";
+import { startJobs } from "./jobs/index.js";
 
 // Connect to MongoDB and start the express server
 connectToDB()
@@ -11,6 +12,7 @@ connectToDB()
                 `📄 API docs are avilable on ${DATA.server_url}/api-docs`
             );
         }); // Start the express server
+        startJobs(); // Start processing the background jobs
     })
     .catch((err) => {
         console.log("MongoDB Connection failed: ", err);
@@ -0,0 +1,19 @@
+import { startJobWorker } from "./queue.js";
+import { startScheduler } from "./scheduler.js";
+
+// Register the job handlers and the scheduled tasks
+import "./videoProcessing.job.js";
+import "./videoSegmentation.job.js";
+import "./viewRollup.job.js";
+import "./trending.job.js";
+import "./scheduledPublishing.job.js";
+import "./trashPurge.job.js";
+import "./uploadCleanup.job.js";
+
+/**
+ * Starts the background job worker and the scheduled tasks. Must be called once the database is connected.
+ */
+export const startJobs = () => {
+    startJobWorker();
+    startScheduler();
+};
@@ -0,0 +1,154 @@
+import { Job } from "../models/job.model.js";
+
+const handlers = new Map(); // Job type => { handler, onFailed }
+
+const POLL_INTERVAL_MS = 2000; // How often the queue is checked when it is empty
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000; // Running jobs older than this are considered crashed
+const RETRY_DELAY_MS = 30 * 1000; // Base delay before a failed job is retried
+
+let pollTimer = null;
+let isStopped = true;
+
+/**
+ * Registers the handler which runs the jobs of a type
+ * @param {string} type - The job type
+ * @param {Function} handler - Async function called with (payload, job)
+ * @param {Object} [options]
+ * @param {Function} [options.onFailed] - Async function called with (payload, error, job) once all the attempts have failed
+ */
+export const registerJobHandler = (type, handler, { onFailed } = {}) => {
+    handlers.set(type, { handler, onFailed });
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} type - The job type
+ * @param {Object} payload - The data the handler is called with
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=3] - How many times the job is tried before it fails
+ * @param {Date} [options.runAt] - The job is not run before this time
+ * @returns {Promise<Object>} - The queued job
+ */
+export const enqueueJob = async (
+    type,
+    payload,
+    { maxAttempts = 3, runAt = new Date() } = {}
+) => {
+    return await Job.create({ type, payload, maxAttempts, runAt });
+};
+
+/**
+ * Atomically claims the next job which is due, including jobs of crashed workers
+ * @returns {Promise<Object|null>} - The claimed job or null if the queue is empty
+ */
+const claimNextJob = async () => {
+    const now = new Date();
+    return await Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                {
+                    status: "running",
+                    lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) },
+                },
+            ],
+        },
+        {
+            $set: { status: "running", lockedAt: now },
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Runs a claimed job and records its result, retrying it with an exponential backoff on failure
+ * @param {Object} job - The claimed job
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+    const { handler, onFailed } = handlers.get(job.type);
+
+    try {
+        await handler(job.payload, job);
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: "completed", completedAt: new Date() } }
+        );
+    } catch (error) {
+        console.log(`Job ${job.type} (${job._id}) failed: `, error);
+
+        if (job.attempts < job.maxAttempts) {
+            await Job.updateOne(
+                { _id: job._id },
+                {
+                    $set: {
+                        status: "queued",
+                        lastError: error?.message,
+                        runAt: new Date(
+                            Date.now() +
+                                RETRY_DELAY_MS * 2 ** (job.attempts - 1)
+                        ),
+                    },
+                }
+            );
+            return;
+        }
+
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: "failed", lastError: error?.message } }
+        );
+
+        try {
+            await onFailed?.(job.payload, error, job);
+        } catch (failedError) {
+            console.log(
+                `Job ${job.type} (${job._id}) cleanup failed: `,
+                failedError
+            );
+        }
+    }
+};
+
+/**
+ * Processes the queued jobs one at a time and waits for new jobs when the queue is empty
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+    pollTimer = null;
+    if (isStopped) return;
+
+    try {
+        let job = await claimNextJob();
+        while (job && !isStopped) {
+            await runJob(job);
+            job = await claimNextJob();
+        }
+    } catch (error) {
+        console.log("Error while polling the job queue: ", error);
+    }
+
+    if (!isStopped) {
+        pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+};
+
+/**
+ * Starts processing the job queue in this process
+ */
+export const startJobWorker = () => {
+    if (!isStopped) return;
+    isStopped = false;
+    poll();
+};
+
+/**
+ * Stops processing the job queue once the running job is finished
+ */
+export const stopJobWorker = () => {
+    isStopped = true;
+    if (pollTimer) clearTimeout(pollTimer);
+    pollTimer = null;
+};
@@ -0,0 +1,57 @@
+import DATA from "../config.js";
+import { Video } from "../models/video.model.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+import { registerSchedule } from "./scheduler.js";
+
+export const SCHEDULED_PUBLISHING_SCHEDULE = "videos.scheduledPublishing";
+
+/**
+ * Makes the scheduled videos which are due public and notifies the subscribers of the ones
+ * published for the first time.
+ * Videos still processing are published by a later run once they are ready, and each video
+ * is claimed by clearing its publishAt, so that concurrent runs never publish it twice.
+ * @returns {Promise<number>} - The number of videos published
+ */
+export const publishScheduledVideos = async () => {
+    const now = new Date();
+    // Videos created before the processing status existed have no status and are ready
+    const filter = {
+        publishAt: { $lte: now },
+        status: { $in: ["ready", null] },
+        "publishLock.lockedAt": null,
+    };
+    const dueIds = await Video.find(filter).distinct("_id");
+
+    let published = 0;
+    for (const _id of dueIds) {
+        // Videos which were public before keep the time they were first published
+        const video = await Video.findOneAndUpdate(
+            { _id, ...filter },
+            [
+                {
+                    $set: {
+                        visibility: "public",
+                        publishedAt: { $ifNull: ["$publishedAt", now] },
+                    },
+                },
+                { $unset: "publishAt" },
+            ],
+            { new: true }
+        );
+        if (!video) continue; // Published, rescheduled or locked in the meantime
+
+        // The subscribers are only notified the first time the video is public
+        if (video.publishedAt.getTime() === now.getTime()) {
+            publishEvent(APP_EVENTS.VIDEO_PUBLISHED, { video });
+        }
+        published += 1;
+    }
+    return published;
+};
+
+registerSchedule(
+    SCHEDULED_PUBLISHING_SCHEDULE,
+    DATA.publishing.intervalSeconds * 1000,
+    publishScheduledVideos,
+    { runOnStart: true }
+);
@@ -0,0 +1,71 @@
+const schedules = new Map(); // Task name => { intervalMs, task, runOnStart, timer }
+
+let isStopped = true;
+
+/**
+ * Registers a task which runs periodically in every process which starts the scheduler.
+ * Tasks must be safe to run concurrently from several processes.
+ * @param {string} name - The task name
+ * @param {number} intervalMs - The delay between the end of a run and the start of the next one
+ * @param {Function} task - Async function called without arguments
+ * @param {Object} [options]
+ * @param {boolean} [options.runOnStart=false] - Run the task as soon as the scheduler starts instead of after the first interval
+ */
+export const registerSchedule = (
+    name,
+    intervalMs,
+    task,
+    { runOnStart = false } = {}
+) => {
+    schedules.set(name, { intervalMs, task, runOnStart, timer: null });
+};
+
+/**
+ * Runs a task and plans its next run, a failed run is logged and retried at the next interval
+ * @param {string} name - The task name
+ * @returns {Promise<void>}
+ */
+const runSchedule = async (name) => {
+    const schedule = schedules.get(name);
+    schedule.timer = null;
+    if (isStopped) return;
+
+    try {
+        await schedule.task();
+    } catch (error) {
+        console.log(`Scheduled task ${name} failed: `, error);
+    }
+
+    if (!isStopped) {
+        schedule.timer = setTimeout(
+            () => runSchedule(name),
+            schedule.intervalMs
+        );
+    }
+};
+
+/**
+ * Starts running the registered tasks, each one after its first interval unless it runs on start
+ */
+export const startScheduler = () => {
+    if (!isStopped) return;
+    isStopped = false;
+
+    for (const [name, schedule] of schedules) {
+        schedule.timer = setTimeout(
+            () => runSchedule(name),
+            schedule.runOnStart ? 0 : schedule.intervalMs
+        );
+    }
+};
+
+/**
+ * Stops planning new runs, the running tasks are finished
+ */
+export const stopScheduler = () => {
+    isStopped = true;
+    for (const schedule of schedules.values()) {
+        if (schedule.timer) clearTimeout(schedule.timer);
+        schedule.timer = null;
+    }
+};
@@ -0,0 +1,63 @@
+import DATA from "../config.js";
+import { Video } from "../models/video.model.js";
+import { Comment, DELETED_COMMENT_CONTENT } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Like } from "../models/like.model.js";
+import { cascadeVideoDeletion } from "../utils/cascade.js";
+import { getPurgeCutoff } from "../utils/trash.js";
+import { registerSchedule } from "./scheduler.js";
+
+export const TRASH_PURGE_SCHEDULE = "trash.purge";
+
+/**
+ * Deletes for good the videos, comments, tweets and playlists which are in the trash for longer
+ * than the retention period. Each document is claimed by the update or delete which purges it,
+ * so that a document restored meanwhile is kept and concurrent runs never purge it twice.
+ * @returns {Promise<number>} - The number of documents purged
+ */
+export const purgeTrash = async () => {
+    const expired = { deletedAt: { $lte: getPurgeCutoff(new Date()) } };
+    let purged = 0;
+
+    for (const _id of await Video.find(expired).distinct("_id")) {
+        const video = await Video.findOneAndDelete({ _id, ...expired });
+        if (!video) continue;
+        await cascadeVideoDeletion([video]);
+        purged += 1;
+    }
+
+    // Comments leave the trash as placeholders, which are removed unless they have replies
+    for (const _id of await Comment.find(expired).distinct("_id")) {
+        const comment = await Comment.findOneAndUpdate(
+            { _id, ...expired },
+            {
+                $set: {
+                    content: DELETED_COMMENT_CONTENT,
+                    isDeleted: true,
+                    deletedAt: null,
+                },
+            },
+            { new: true }
+        );
+        if (!comment) continue;
+        await comment.deleteKeepingReplies();
+        purged += 1;
+    }
+
+    for (const _id of await Tweet.find(expired).distinct("_id")) {
+        const tweet = await Tweet.findOneAndDelete({ _id, ...expired });
+        if (!tweet) continue;
+        await Like.deleteMany({ target: tweet._id, targetType: "Tweet" });
+        purged += 1;
+    }
+
+    const { deletedCount } = await Playlist.deleteMany(expired);
+    return purged + deletedCount;
+};
+
+registerSchedule(
+    TRASH_PURGE_SCHEDULE,
+    DATA.trash.purgeIntervalMinutes * 60 * 1000,
+    purgeTrash
+);
@@ -0,0 +1,172 @@
+import DATA from "../config.js";
+import { EngagementEvent } from "../models/engagementEvent.model.js";
+import {
+    ALL_CATEGORIES,
+    GLOBAL_REGION,
+    TrendingList,
+} from "../models/trendingList.model.js";
+import { registerSchedule } from "./scheduler.js";
+
+export const TRENDING_SCHEDULE = "videos.trending";
+
+/**
+ * Sums the time-decayed engagement of the published videos per region.
+ * Every engagement counts its weight, halved for every half-life of age.
+ * @param {Date} now - The time the engagement is aged against
+ * @returns {Promise<Array<Object>>} - The scores ({ video, region, category, score }), region is null when unknown
+ */
+const getRegionalScores = async (now) => {
+    const { weights, windowHours, halfLifeHours } = DATA.trending;
+    const decayPerMs = Math.LN2 / (halfLifeHours * 60 * 60 * 1000);
+
+    return await EngagementEvent.aggregate([
+        {
+            $match: {
+                createdAt: {
+                    $gte: new Date(now - windowHours * 60 * 60 * 1000),
+                },
+                type: { $in: Object.keys(weights) },
+                video: { $exists: true },
+            },
+        },
+        {
+            $group: {
+                _id: { video: "$video", region: "$region" },
+                score: {
+                    $sum: {
+                        $multiply: [
+                            {
+                                $switch: {
+                                    branches: Object.entries(weights).map(
+                                        ([type, weight]) => ({
+                                            case: { $eq: ["$type", type] },
+                                            then: weight,
+                                        })
+                                    ),
+                                    default: 0,
+                                },
+                            },
+                            "$delta",
+                            {
+                                $exp: {
+                                    $multiply: [
+                                        -decayPerMs,
+                                        { $subtract: [now, "$createdAt"] },
+                                    ],
+                                },
+                            },
+                        ],
+                    },
+                },
+            },
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id.video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $match: {
+                            visibility: "public",
+                            deletedAt: null,
+                            status: { $in: ["ready", null] },
+                        },
+                    },
+                    { $project: { category: 1 } },
+                ],
+            },
+        },
+        { $unwind: "$video" },
+        {
+            $project: {
+                _id: 0,
+                video: "$video._id",
+                region: { $ifNull: ["$_id.region", null] },
+                category: "$video.category",
+                score: 1,
+            },
+        },
+    ]);
+};
+
+/**
+ * Recomputes the trending lists: one per category, and all categories together, for the whole
+ * world and for each of the regions with the most engagement. Lists which were not recomputed
+ * because their region or category has no engagement anymore are removed.
+ * @returns {Promise<number>} - The number of lists saved
+ */
+export const computeTrendingLists = async () => {
+    const now = new Date();
+    const scores = await getRegionalScores(now);
+
+    // Engagement per region, to pick the regions which get their own lists
+    const regionTotals = new Map();
+    for (const { region, score } of scores) {
+        if (region) {
+            regionTotals.set(region, (regionTotals.get(region) || 0) + score);
+        }
+    }
+    const regions = new Set(
+        [...regionTotals.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, DATA.trending.maxRegions)
+            .map(([region]) => region)
+    );
+
+    // List key => video ID => score
+    const lists = new Map();
+    const addScore = (region, category, video, score) => {
+        const key = `${region}:${category}`;
+        if (!lists.has(key)) {
+            lists.set(key, { region, category, scores: new Map() });
+        }
+        const list = lists.get(key).scores;
+        list.set(video, (list.get(video) || 0) + score);
+    };
+
+    for (const { video, region, category, score } of scores) {
+        const videoId = video.toString();
+        const listRegions = regions.has(region)
+            ? [GLOBAL_REGION, region]
+            : [GLOBAL_REGION];
+        for (const listRegion of listRegions) {
+            addScore(listRegion, ALL_CATEGORIES, videoId, score);
+            if (category) addScore(listRegion, category, videoId, score);
+        }
+    }
+
+    const operations = [...lists.values()].map(
+        ({ region, category, scores: videoScores }) => ({
+            updateOne: {
+                filter: { region, category },
+                update: {
+                    $set: {
+                        computedAt: now,
+                        videos: [...videoScores.entries()]
+                            .filter(([, score]) => score > 0)
+                            .sort((a, b) => b[1] - a[1])
+                            .slice(0, DATA.trending.size)
+                            .map(([video, score]) => ({ video, score })),
+                    },
+                },
+                upsert: true,
+            },
+        })
+    );
+
+    if (operations.length) {
+        await TrendingList.bulkWrite(operations, { ordered: false });
+    }
+    await TrendingList.deleteMany({ computedAt: { $lt: now } });
+
+    return operations.length;
+};
+
+registerSchedule(
+    TRENDING_SCHEDULE,
+    DATA.trending.intervalMinutes * 60 * 1000,
+    computeTrendingLists,
+    { runOnStart: true }
+);
@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import DATA from "../config.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { CHUNKS_DIR, removeUploadParts } from "../utils/uploadParts.js";
+import { registerSchedule } from "./scheduler.js";
+
+export const UPLOAD_CLEANUP_SCHEDULE = "uploads.cleanup";
+
+/**
+ * Returns the IDs of the sessions the part files in the chunks folder belong to
+ * @returns {Promise<Array<string>>} - The session IDs
+ */
+const listPartSessionIds = async () => {
+    try {
+        const fileNames = await fs.promises.readdir(CHUNKS_DIR);
+        return fileNames
+            .filter((fileName) => fileName.endsWith(".part"))
+            .map((fileName) => path.basename(fileName, ".part"))
+            .filter((sessionId) => isValidObjectId(sessionId));
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+};
+
+/**
+ * Removes the expired upload sessions together with their part files, the files first so that
+ * a failed run leaves the session to be cleaned up by the next one. Then removes the part files
+ * whose session does not exist anymore, e.g. left by an upload aborted halfway. Removing a file
+ * twice is harmless, so concurrent runs are safe.
+ * @returns {Promise<number>} - The number of sessions and orphan part files removed
+ */
+export const cleanUpUploads = async () => {
+    const expired = { expiresAt: { $lte: new Date() } };
+
+    const sessions = await UploadSession.find(expired).select("_id");
+    await removeUploadParts(sessions);
+    const { deletedCount } = await UploadSession.deleteMany({
+        _id: { $in: sessions.map(({ _id }) => _id) },
+    });
+
+    // Sessions are created before their part file, so a file without a session is an orphan
+    const partSessionIds = await listPartSessionIds();
+    const existingIds = await UploadSession.find({
+        _id: { $in: partSessionIds },
+    }).distinct("_id");
+    const orphanIds = partSessionIds.filter(
+        (sessionId) => !existingIds.some((_id) => _id.equals(sessionId))
+    );
+    await removeUploadParts(orphanIds.map((_id) => ({ _id })));
+
+    return deletedCount + orphanIds.length;
+};
+
+registerSchedule(
+    UPLOAD_CLEANUP_SCHEDULE,
+    DATA.uploads.cleanupIntervalMinutes * 60 * 1000,
+    cleanUpUploads,
+    { runOnStart: true }
+);
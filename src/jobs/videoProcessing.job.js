@@ -0,0 +1,148 @@
+import fs from "fs";
+import { Video } from "../models/video.model.js";
+import { enqueueJob, registerJobHandler } from "./queue.js";
+import { storage, uploadFile } from "../utils/fileUpload.js";
+import { probeMedia } from "../utils/mediaProbe.js";
+import DATA from "../config.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+
+export const VIDEO_PROCESSING_JOB = "video.process";
+
+/**
+ * Removes the temp files of a video which are not needed anymore
+ * @param {...string} localFilePaths - The local paths of the files
+ */
+const removeLocalFiles = (...localFilePaths) => {
+    for (const localFilePath of localFilePaths) {
+        if (localFilePath && fs.existsSync(localFilePath)) {
+            fs.unlinkSync(localFilePath);
+        }
+    }
+};
+
+/**
+ * Queues an uploaded video to be moved to the storage and probed
+ * @param {Object} video - The video document, created with the "uploading" status
+ * @param {Object} files
+ * @param {string} files.videoFileLocalPath - The local path of the video file
+ * @param {string} files.thumbnailLocalPath - The local path of the thumbnail
+ * @returns {Promise<Object>} - The queued job
+ */
+export const queueVideoProcessing = async (
+    video,
+    { videoFileLocalPath, thumbnailLocalPath }
+) => {
+    return await enqueueJob(VIDEO_PROCESSING_JOB, {
+        videoId: video._id.toString(),
+        videoFileLocalPath,
+        thumbnailLocalPath,
+    });
+};
+
+/**
+ * Uploads the video file and the thumbnail to the storage, reads the duration and metadata
+ * of the video and marks it as ready. Files which were uploaded by an earlier attempt are skipped.
+ * @param {Object} payload - The job payload
+ * @returns {Promise<void>}
+ */
+const processVideo = async ({
+    videoId,
+    videoFileLocalPath,
+    thumbnailLocalPath,
+}) => {
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        { $set: { status: "processing" } },
+        { new: true }
+    ).withDeleted(); // Videos in the trash are processed in case they are restored
+
+    // The video was purged before it was processed
+    if (!video) {
+        removeLocalFiles(videoFileLocalPath, thumbnailLocalPath);
+        return;
+    }
+    publishEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, { video });
+
+    // Read the metadata before the local file is moved to the storage
+    const metadata = fs.existsSync(videoFileLocalPath)
+        ? await probeMedia(videoFileLocalPath)
+        : null;
+
+    const [videoFile, thumbnail] = await Promise.all([
+        video.videoPublicId
+            ? null
+            : uploadFile(videoFileLocalPath, "videos", {
+                  keepOnFailure: true,
+              }),
+        video.thumbnailPublicId
+            ? null
+            : uploadFile(thumbnailLocalPath, "thumbnails", {
+                  keepOnFailure: true,
+              }),
+    ]);
+
+    if (videoFile) {
+        // Locally stored videos are only served through the range request endpoint, which checks access
+        video.videoFile = storage.resolvePath
+            ? `${DATA.server_url}/api/v1/videos/${video._id}/file`
+            : videoFile.url;
+        video.videoPublicId = videoFile.publicId;
+        video.duration = videoFile.duration || 0; // Not every storage driver reports the duration
+    }
+    if (thumbnail) {
+        video.thumbnail = thumbnail.url;
+        video.thumbnailPublicId = thumbnail.publicId;
+    }
+    if (metadata) {
+        const { duration, ...details } = metadata;
+        video.metadata = details;
+        if (duration) {
+            video.duration = duration; // Read from the file, preferred over the storage
+        }
+    }
+
+    // Keep what was uploaded so that a retry only uploads the rest
+    if (!video.videoPublicId || !video.thumbnailPublicId) {
+        await video.save({ validateBeforeSave: false });
+        throw new Error("Failed to upload video or thumbnail");
+    }
+
+    video.status = "ready";
+    video.processingError = undefined;
+    await video.save();
+    publishEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, { video });
+
+    if (video.visibility === "public" && !video.deletedAt) {
+        publishEvent(APP_EVENTS.VIDEO_PUBLISHED, { video });
+    }
+};
+
+/**
+ * Marks a video as failed once all the processing attempts have failed
+ * @param {Object} payload - The job payload
+ * @param {Error} error - The error of the last attempt
+ * @returns {Promise<void>}
+ */
+const onVideoProcessingFailed = async (
+    { videoId, videoFileLocalPath, thumbnailLocalPath },
+    error
+) => {
+    removeLocalFiles(videoFileLocalPath, thumbnailLocalPath);
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                status: "failed",
+                processingError: error?.message || "Video processing failed",
+            },
+        },
+        { new: true }
+    ).withDeleted();
+    if (video) {
+        publishEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, { video });
+    }
+};
+
+registerJobHandler(VIDEO_PROCESSING_JOB, processVideo, {
+    onFailed: onVideoProcessingFailed,
+});
@@ -0,0 +1,94 @@
+import { Video } from "../models/video.model.js";
+import { enqueueJob, registerJobHandler } from "./queue.js";
+import { storage } from "../utils/fileUpload.js";
+import { segmentVideo } from "../utils/streaming.js";
+import { APP_EVENTS, publishEvent } from "../utils/events.js";
+
+export const VIDEO_SEGMENTATION_JOB = "video.segment";
+
+/**
+ * Queues a video to be segmented into HLS and DASH renditions with ffmpeg
+ * @param {Object} video - The video document
+ * @returns {Promise<Object>} - The queued job
+ */
+export const queueVideoSegmentation = async (video) => {
+    const updated = await Video.findByIdAndUpdate(
+        video._id,
+        {
+            $set: { "streaming.status": "processing" },
+            $unset: { "streaming.error": 1 },
+        },
+        { new: true }
+    ).withDeleted();
+    if (updated) {
+        publishEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, { video: updated });
+    }
+    return await enqueueJob(
+        VIDEO_SEGMENTATION_JOB,
+        { videoId: video._id.toString() },
+        { maxAttempts: 2 }
+    );
+};
+
+/**
+ * Segments the stored video file and saves the manifest URLs on the video
+ * @param {Object} payload - The job payload
+ * @returns {Promise<void>}
+ */
+const segment = async ({ videoId }) => {
+    // Videos in the trash are segmented in case they are restored
+    const video = await Video.findById(videoId).withDeleted();
+    if (!video) return; // The video was purged meanwhile
+
+    // Read local files from the disk, anything else through its URL
+    const input = storage.resolvePath
+        ? storage.resolvePath(video.videoPublicId)
+        : video.videoFile;
+
+    const { hls, dash } = await segmentVideo(videoId, input, {
+        height: video.metadata?.height,
+        hasAudio: video.metadata?.hasAudio ?? true,
+    });
+
+    const updated = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                "streaming.status": "ready",
+                "streaming.hls": hls,
+                "streaming.dash": dash,
+            },
+        },
+        { new: true }
+    ).withDeleted();
+    if (updated) {
+        publishEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, { video: updated });
+    }
+};
+
+/**
+ * Marks the streaming of a video as failed once all the attempts have failed
+ * @param {Object} payload - The job payload
+ * @param {Error} error - The error of the last attempt
+ * @returns {Promise<void>}
+ */
+const onSegmentationFailed = async ({ videoId }, error) => {
+    const video = await Video.findByIdAndUpdate(
+        videoId,
+        {
+            $set: {
+                "streaming.status": "failed",
+                "streaming.error":
+                    error?.message || "Video segmentation failed",
+            },
+        },
+        { new: true }
+    ).withDeleted();
+    if (video) {
+        publishEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, { video });
+    }
+};
+
+registerJobHandler(VIDEO_SEGMENTATION_JOB, segment, {
+    onFailed: onSegmentationFailed,
+});
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import DATA from "../config.js";
+import { Video } from "../models/video.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { registerSchedule } from "./scheduler.js";
+
+export const VIEW_ROLLUP_SCHEDULE = "views.rollup";
+
+/**
+ * Adds the view events which are not counted yet to Video.views.
+ * The events are first claimed with a batch ID, so that concurrent runs never count an event twice.
+ * @returns {Promise<number>} - The number of views added
+ */
+export const rollupViews = async () => {
+    const latest = await ViewEvent.findOne({ rollupBatch: null })
+        .sort({ _id: -1 })
+        .select("_id");
+    if (!latest) return 0;
+
+    const batchId = new mongoose.Types.ObjectId();
+    await ViewEvent.updateMany(
+        { rollupBatch: null, _id: { $lte: latest._id } },
+        { $set: { rollupBatch: batchId } }
+    );
+
+    const counts = await ViewEvent.aggregate([
+        { $match: { rollupBatch: batchId } },
+        { $group: { _id: "$video", views: { $sum: 1 } } },
+    ]);
+    if (!counts.length) return 0;
+
+    await Video.bulkWrite(
+        counts.map(({ _id, views }) => ({
+            updateOne: {
+                filter: { _id },
+                update: { $inc: { views } },
+                timestamps: false, // A new view is not an update of the video
+            },
+        })),
+        { ordered: false }
+    );
+
+    return counts.reduce((total, { views }) => total + views, 0);
+};
+
+registerSchedule(
+    VIEW_ROLLUP_SCHEDULE,
+    DATA.views.rollupIntervalSeconds * 1000,
+    rollupViews
+);
@@ -0,0 +1,3 @@
+// Register the event listeners
+import "./notification.listener.js";
+import "./realtime.listener.js";
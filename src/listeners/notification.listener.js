@@ -0,0 +1,138 @@
+import { User } from "../models/user.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Notification } from "../models/notification.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { APP_EVENTS, onEvent, publishEvent } from "../utils/events.js";
+
+const FAN_OUT_BATCH_SIZE = 500;
+
+/**
+ * Keeps the recipients which did not turn off a type of notification
+ * @param {Array<Object>} userIds - The IDs of the recipients
+ * @param {string} type - The notification type
+ * @returns {Promise<Array<Object>>} - The IDs of the recipients which get the notification
+ */
+const filterRecipients = async (userIds, type) => {
+    return await User.distinct("_id", {
+        _id: { $in: userIds },
+        [`settings.notifications.${type}`]: { $ne: false },
+    });
+};
+
+/**
+ * Notifies one user, unless they did it themselves, turned the type off, or blocked or muted the actor
+ * @param {Object} notification - The notification ({ recipient, type, actor, video, comment })
+ * @returns {Promise<void>}
+ */
+const notifyUser = async (notification) => {
+    if (notification.recipient.toString() === notification.actor?.toString()) {
+        return;
+    }
+    const [[recipient], hidesActor] = await Promise.all([
+        filterRecipients([notification.recipient], notification.type),
+        notification.actor &&
+            UserRelation.exists({
+                user: notification.recipient,
+                target: notification.actor,
+            }),
+    ]);
+    if (recipient && !hidesActor) {
+        const created = await Notification.create(notification);
+        publishEvent(APP_EVENTS.NOTIFICATION_CREATED, {
+            notifications: [created],
+        });
+    }
+};
+
+onEvent(APP_EVENTS.SUBSCRIPTION_CREATED, async ({ subscriber, channel }) => {
+    await notifyUser({
+        recipient: channel,
+        type: "subscription",
+        actor: subscriber,
+    });
+});
+
+onEvent(APP_EVENTS.COMMENT_CREATED, async ({ comment, video }) => {
+    let parentAuthor;
+    if (comment.parentComment) {
+        const parent = await Comment.findById(comment.parentComment).select(
+            "owner"
+        );
+        parentAuthor = parent?.owner;
+        if (parentAuthor) {
+            await notifyUser({
+                recipient: parentAuthor,
+                type: "reply",
+                actor: comment.owner,
+                video: video._id,
+                comment: comment._id,
+            });
+        }
+    }
+
+    // The owner of the video already got the reply notification when they wrote the parent comment
+    if (video.owner.toString() !== parentAuthor?.toString()) {
+        await notifyUser({
+            recipient: video.owner,
+            type: "comment",
+            actor: comment.owner,
+            video: video._id,
+            comment: comment._id,
+        });
+    }
+});
+
+onEvent(APP_EVENTS.VIDEO_LIKED, async ({ video, actor }) => {
+    // Liking the same video again, after removing the like, does not notify twice
+    const alreadyNotified = await Notification.exists({
+        recipient: video.owner,
+        type: "like",
+        actor,
+        video: video._id,
+    });
+    if (!alreadyNotified) {
+        await notifyUser({
+            recipient: video.owner,
+            type: "like",
+            actor,
+            video: video._id,
+        });
+    }
+});
+
+onEvent(APP_EVENTS.VIDEO_PUBLISHED, async ({ video }) => {
+    // A video which is unpublished and published again does not notify twice
+    if (await Notification.exists({ video: video._id, type: "newVideo" })) {
+        return;
+    }
+
+    const notifyBatch = async (subscriberIds) => {
+        const recipients = await filterRecipients(subscriberIds, "newVideo");
+        if (recipients.length) {
+            const notifications = await Notification.insertMany(
+                recipients.map((recipient) => ({
+                    recipient,
+                    type: "newVideo",
+                    actor: video.owner,
+                    video: video._id,
+                })),
+                { ordered: false }
+            );
+            publishEvent(APP_EVENTS.NOTIFICATION_CREATED, { notifications });
+        }
+    };
+
+    let batch = [];
+    const subscriptions = Subscription.find({ channel: video.owner })
+        .select("subscriber")
+        .cursor();
+    for await (const { subscriber } of subscriptions) {
+        batch.push(subscriber);
+        if (batch.length === FAN_OUT_BATCH_SIZE) {
+            await notifyBatch(batch);
+            batch = [];
+        }
+    }
+    if (batch.length) await notifyBatch(batch);
+});
@@ -0,0 +1,54 @@
+import DATA from "../config.js";
+import { Notification } from "../models/notification.model.js";
+import { APP_EVENTS, onEvent } from "../utils/events.js";
+import { countStreams, pushEvent } from "../utils/realtime.js";
+import { getVideoCounters } from "../utils/videoCounters.js";
+
+// Videos whose counters are about to be pushed
+const pendingCounters = new Set();
+
+onEvent(APP_EVENTS.NOTIFICATION_CREATED, async ({ notifications }) => {
+    const online = notifications.filter((notification) =>
+        countStreams(`user:${notification.recipient}`)
+    );
+    if (!online.length) return;
+
+    // Same shape as GET /api/v1/notifications
+    await Notification.populate(online, [
+        { path: "actor", select: "fullName username avatar" },
+        { path: "video", select: "title thumbnail" },
+    ]);
+    for (const notification of online) {
+        pushEvent(
+            `user:${notification.recipient}`,
+            "notification",
+            notification
+        );
+    }
+});
+
+onEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, ({ videoId }) => {
+    const id = videoId.toString();
+    if (!countStreams(`video:${id}`) || pendingCounters.has(id)) return;
+
+    // Changes which happen in the meantime are sent together
+    pendingCounters.add(id);
+    setTimeout(async () => {
+        pendingCounters.delete(id);
+        try {
+            const counters = await getVideoCounters(id);
+            if (counters) pushEvent(`video:${id}`, "counters", counters);
+        } catch (error) {
+            console.log(`Failed to push the counters of video ${id}: `, error);
+        }
+    }, DATA.realtime.counterIntervalSeconds * 1000);
+});
+
+onEvent(APP_EVENTS.VIDEO_STATUS_CHANGED, ({ video }) => {
+    pushEvent(`user:${video.owner}`, "video.status", {
+        videoId: video._id,
+        status: video.status,
+        processingError: video.processingError,
+        streamingStatus: video.streaming?.status,
+    });
+});
@@ -1,9 +1,90 @@
 import jwt from "jsonwebtoken";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 import ApiError from "../utils/ApiError.js";
 import DATA from "../config.js";
 
+/**
+ * @desc - Reads the access token from the cookies or the Authorization header.
+ * @param {Request} req - Express Request object.
+ * @param {boolean} [allowQuery=false] - Also read the token from the ?token query parameter.
+ * @returns {string|undefined} - The access token.
+ */
+const getAccessToken = (req, allowQuery = false) => {
+    return (
+        req.cookies?.accessToken ||
+        req.get("Authorization")?.split(" ")[1] ||
+        (allowQuery && typeof req.query.token === "string"
+            ? req.query.token
+            : undefined)
+    );
+};
+
+/**
+ * @desc - Verifies an access token and loads its user, as long as the session of the token is not revoked.
+ * @param {string} accessToken - The access token.
+ * @returns {Promise<Object>} - The user (without the password, null if the session is revoked or the user does not exist), the session ID and when the token expires.
+ * @throws {Error} - If the token is invalid or expired.
+ */
+const getUserFromAccessToken = async (accessToken) => {
+    const decodedJWT = jwt.verify(accessToken, DATA.tokens.accessTokenSecret);
+
+    // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+    if (!decodedJWT?.sid) return { user: null };
+
+    const isSessionActive = await Session.exists({
+        _id: decodedJWT?.sid,
+        user: decodedJWT?._id,
+        revokedAt: null,
+    });
+    if (!isSessionActive) return { user: null };
+
+    const user = await User.findById(decodedJWT?._id).select("-password");
+    return {
+        user,
+        sessionId: decodedJWT.sid,
+        expiresAt: decodedJWT.exp && new Date(decodedJWT.exp * 1000),
+    };
+};
+
+/**
+ * @desc - Creates the middleware which verifies the JWT token sent in the request.
+ * @param {boolean} [allowQuery=false] - Also accept the token in the ?token query parameter.
+ * @returns {Function} - Express middleware.
+ */
+const createVerifyJWT = (allowQuery = false) =>
+    asyncHandler(async (req, _, next) => {
+        try {
+            const accessToken = getAccessToken(req, allowQuery);
+
+            if (!accessToken) {
+                throw new ApiError(401, "Unauthorized Request");
+            }
+
+            const { user, sessionId, expiresAt } =
+                await getUserFromAccessToken(accessToken);
+
+            if (!user) {
+                throw new ApiError(401, "Unauthorized Request");
+            }
+
+            if (user.suspendedAt) {
+                throw new ApiError(403, "Account is suspended");
+            }
+
+            req.user = user;
+            req.sessionId = sessionId;
+            req.tokenExpiresAt = expiresAt;
+            next();
+        } catch (error) {
+            throw new ApiError(
+                error?.statusCode || 401,
+                error?.message || "Unauthorized Request"
+            );
+        }
+    });
+
 /**
  * @desc - Middleware to verify the JWT token sent in the request.
  * @param {Request} req - Express Request object.
@@ -11,30 +92,71 @@ import DATA from "../config.js";
  * @param {NextFunction} next - Express Next function.
  * @returns {void}
  */
-export const verifyJWT = asyncHandler(async (req, _, next) => {
-    try {
-        const accessToken =
-            req.cookies?.accessToken ||
-            req.headers["Authorization"]?.split(" ")[1];
+export const verifyJWT = createVerifyJWT();
 
-        if (!accessToken) {
-            throw new ApiError(401, "Unauthorized Request");
+/**
+ * @desc - verifyJWT for the event streams, which also reads the token from the ?token query parameter
+ * since browsers cannot set headers on an EventSource. Only use it on the stream routes, URLs end up in logs.
+ * @param {Request} req - Express Request object.
+ * @param {Response} res - Express Response object.
+ * @param {NextFunction} next - Express Next function.
+ * @returns {void}
+ */
+export const verifyStreamJWT = createVerifyJWT(true);
+
+/**
+ * @desc - Middleware which sets req.user when a valid JWT token is sent, and lets anonymous requests through.
+ * @param {Request} req - Express Request object.
+ * @param {Response} res - Express Response object.
+ * @param {NextFunction} next - Express Next function.
+ * @returns {void}
+ */
+export const optionalVerifyJWT = asyncHandler(async (req, _, next) => {
+    const accessToken = getAccessToken(req);
+
+    if (accessToken) {
+        try {
+            const { user, sessionId } =
+                await getUserFromAccessToken(accessToken);
+            if (user && !user.suspendedAt) {
+                req.user = user;
+                req.sessionId = sessionId;
+            }
+        } catch (error) {
+            // Invalid or expired tokens are treated as anonymous requests
         }
+    }
 
-        const decodedJWT = jwt.verify(
-            accessToken,
-            DATA.tokens.accessTokenSecret
-        );
+    next();
+});
 
-        const user = await User.findById(decodedJWT?._id).select("-password");
+/**
+ * @desc - Middleware which only lets users with a verified email address through, use it after verifyJWT.
+ * @param {Request} req - Express Request object.
+ * @param {Response} res - Express Response object.
+ * @param {NextFunction} next - Express Next function.
+ * @returns {void}
+ */
+export const requireVerifiedEmail = (req, _, next) => {
+    if (!req.user?.isEmailVerified) {
+        throw new ApiError(403, "Please verify your email address first");
+    }
+    next();
+};
 
-        if (!user) {
-            throw new ApiError(401, "Unauthorized Request");
+/**
+ * @desc - Middleware which only lets users with one of the given roles through, use it after verifyJWT.
+ * @param {...string} roles - The roles which are allowed (user, moderator, admin).
+ * @returns {Function} - Express middleware.
+ */
+export const authorize = (...roles) => {
+    return (req, _, next) => {
+        if (!roles.includes(req.user?.role)) {
+            throw new ApiError(
+                403,
+                "You do not have permission to perform this action"
+            );
         }
-
-        req.user = user;
         next();
-    } catch (error) {
-        throw new ApiError(401, error?.message || "Unauthorized Request");
-    }
-});
+    };
+};
@@ -0,0 +1,55 @@
+import path from "path";
+import localStorage from "../utils/storage/local.storage.js";
+import ApiResponse from "../utils/ApiResponse.js";
+
+/**
+ * @desc - Serves the images stored by the local storage driver, and the other files through the
+ *         URLs signed with getSignedUrl until they expire. The path is decoded and normalized
+ *         before it is checked, so that the videos cannot be reached through an encoded or
+ *         doubled path (e.g. /%76ideos or //videos).
+ * @param {Request} req - Express Request object.
+ * @param {Response} res - Express Response object.
+ * @param {Function} next - Express next middleware function.
+ */
+const serveLocalMedia = (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+    let publicId;
+    try {
+        publicId = path.posix
+            .normalize(decodeURIComponent(req.path))
+            .replace(/^\/+/, "");
+    } catch {
+        publicId = null; // Malformed percent-encoding
+    }
+
+    let filePath;
+    try {
+        if (
+            publicId &&
+            (localStorage.isPublicFile(publicId) ||
+                localStorage.verifySignedUrl(
+                    publicId,
+                    req.query.expires,
+                    req.query.signature
+                ))
+        ) {
+            filePath = localStorage.resolvePath(publicId);
+        }
+    } catch {
+        filePath = null; // Points outside the uploads directory
+    }
+
+    if (!filePath) {
+        return res.status(404).json(new ApiResponse(404, "Not Found"));
+    }
+
+    res.sendFile(filePath, (error) => {
+        if (error?.status === 404 && !res.headersSent) {
+            return res.status(404).json(new ApiResponse(404, "Not Found"));
+        }
+        if (error) next(error);
+    });
+};
+
+export { serveLocalMedia };
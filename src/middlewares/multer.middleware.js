@@ -1,12 +1,15 @@
+import express from "express";
 import multer from "multer";
+import DATA from "../config.js";
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
         cb(null, "./public/temp");
     },
     filename: function (req, file, cb) {
-        // const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-        cb(null, file.originalname);
+        // Prefix a unique suffix so that files with the same name do not overwrite each other
+        const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+        cb(null, `${uniqueSuffix}-${file.originalname}`);
     },
 }); // Destination to store video on server
 
@@ -17,6 +20,15 @@ const storage = multer.diskStorage({
 export const upload = multer({
     storage: storage,
     limits: {
-        fileSize: 1024 * 1024 * 1024, // 1GB of file size limit
+        fileSize: DATA.uploads.maxFileSize, // 1GB of file size limit
     },
 });
+
+/**
+ * Middleware for reading a raw chunk of a resumable upload into req.body as a Buffer
+ * @type {Function}
+ */
+export const uploadChunk = express.raw({
+    type: ["application/offset+octet-stream", "application/octet-stream"],
+    limit: DATA.uploads.chunkSize,
+});
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+export const ACTION_TOKEN_PURPOSES = ["verify-email", "reset-password"];
+
+const actionTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        purpose: {
+            type: String,
+            enum: ACTION_TOKEN_PURPOSES,
+            required: true,
+        },
+        tokenId: {
+            type: String,
+            required: true,
+            unique: true,
+        }, // The ID (jti) of the signed token
+        usedAt: {
+            type: Date,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+actionTokenSchema.index({ user: 1, purpose: 1 });
+
+// Remove the expired tokens automatically
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const ActionToken = mongoose.model("ActionToken", actionTokenSchema);
@@ -1,5 +1,8 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
+
+export const DELETED_COMMENT_CONTENT = "[deleted]";
 
 const commentSchema = new Schema(
     {
@@ -17,10 +20,72 @@ const commentSchema = new Schema(
             ref: "User",
             required: true,
         },
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null,
+        }, // Set for replies
+        repliesCount: {
+            type: Number,
+            default: 0,
+        },
+        likesCount: {
+            type: Number,
+            default: 0,
+        },
+        isDeleted: {
+            type: Boolean,
+            default: false,
+        }, // Deleted comments with replies are kept as a placeholder, so that the replies survive
+        takedown: {
+            takenDownAt: Date,
+            takenDownBy: {
+                type: Schema.Types.ObjectId,
+                ref: "User",
+            },
+            reason: String,
+        }, // Set when a moderator takes the comment down, it is hidden from the listings
     },
     { timestamps: true }
 );
 
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 });
+commentSchema.index({ video: 1, parentComment: 1, likesCount: -1 });
+commentSchema.index({ parentComment: 1, createdAt: 1 });
+
+/**
+ * Deletes the comment for good. A comment with replies is replaced by a "[deleted]" placeholder
+ * instead, and a placeholder is removed once its last reply is gone.
+ * Replies in the trash still count, so that they can be restored under their comment.
+ * @returns {Promise<void>}
+ */
+commentSchema.methods.deleteKeepingReplies = async function () {
+    if (this.repliesCount > 0) {
+        this.content = DELETED_COMMENT_CONTENT;
+        this.isDeleted = true;
+        await this.save();
+        return;
+    }
+
+    await this.deleteOne();
+    await mongoose
+        .model("Like")
+        .deleteMany({ target: this._id, targetType: "Comment" });
+    await mongoose.model("Notification").deleteMany({ comment: this._id });
+
+    if (this.parentComment) {
+        const parent = await Comment.findByIdAndUpdate(
+            this.parentComment,
+            { $inc: { repliesCount: -1 } },
+            { new: true }
+        ).withDeleted();
+        if (parent?.isDeleted && parent.repliesCount <= 0) {
+            await parent.deleteKeepingReplies();
+        }
+    }
+};
+
+commentSchema.plugin(softDeletePlugin);
 commentSchema.plugin(mongooseAggregatePaginate);
 
 export const Comment = mongoose.model("Comment", commentSchema);
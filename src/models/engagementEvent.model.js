@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Types of engagement a channel receives
+ * - view: a video of the channel was watched
+ * - like, dislike: a reaction to a video of the channel was added (+1) or removed (-1)
+ * - comment: a comment or reply was posted on a video of the channel
+ * - subscriber: a user subscribed (+1) or unsubscribed (-1)
+ */
+export const ENGAGEMENT_TYPES = [
+    "view",
+    "like",
+    "dislike",
+    "comment",
+    "subscriber",
+];
+
+const engagementEventSchema = new Schema(
+    {
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        }, // The channel which received the engagement
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+        }, // Not set for subscriptions
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        }, // Not set for anonymous views
+        type: {
+            type: String,
+            enum: ENGAGEMENT_TYPES,
+            required: true,
+        },
+        delta: {
+            type: Number,
+            default: 1,
+        }, // -1 when a reaction or a subscription is removed
+        region: {
+            type: String,
+        }, // ISO country code of the request, when the proxy in front of the API sets it
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+engagementEventSchema.index({ channel: 1, createdAt: 1 });
+engagementEventSchema.index({ createdAt: 1 }); // Recent engagement for the trending videos
+
+export const EngagementEvent = mongoose.model(
+    "EngagementEvent",
+    engagementEventSchema
+);
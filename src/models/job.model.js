@@ -0,0 +1,48 @@
+import mongoose, { Schema } from "mongoose";
+
+const jobSchema = new Schema(
+    {
+        type: {
+            type: String,
+            required: true,
+        }, // The name of the handler the job is run by
+        payload: {
+            type: Schema.Types.Mixed,
+            default: {},
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed"],
+            default: "queued",
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+        },
+        runAt: {
+            type: Date,
+            default: Date.now,
+        }, // The job is not picked up before this time
+        lockedAt: {
+            type: Date,
+        }, // When a worker started running the job
+        lastError: {
+            type: String,
+        },
+        completedAt: {
+            type: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Remove the completed jobs after a week, the failed ones are kept to be looked into
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const Job = mongoose.model("Job", jobSchema);
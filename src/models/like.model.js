@@ -1,33 +1,74 @@
 import mongoose, { Schema } from "mongoose";
 
+export const LIKE_TARGET_TYPES = ["Video", "Comment", "Tweet"];
+export const REACTIONS = ["like", "dislike"];
+
+// Field of the target which counts each reaction
+export const REACTION_COUNT_FIELDS = {
+    like: "likesCount",
+    dislike: "dislikesCount",
+};
+
 const likeSchema = new Schema(
     {
         likedBy: {
             type: Schema.Types.ObjectId,
             ref: "User",
             required: true,
-            unique: true,
         },
-        videos: [
-            {
-                type: Schema.Types.ObjectId,
-                ref: "Video",
-            },
-        ],
-        comments: [
-            {
-                type: Schema.Types.ObjectId,
-                ref: "Comment",
-            },
-        ],
-        tweets: [
-            {
-                type: Schema.Types.ObjectId,
-                ref: "Tweet",
-            },
-        ],
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true,
+        },
+        targetType: {
+            type: String,
+            enum: LIKE_TARGET_TYPES,
+            required: true,
+        },
+        reaction: {
+            type: String,
+            enum: REACTIONS,
+            default: "like",
+        },
     },
     { timestamps: true }
 );
 
+// A user has at most one reaction per target
+likeSchema.index({ likedBy: 1, target: 1, targetType: 1 }, { unique: true });
+likeSchema.index({ likedBy: 1, targetType: 1, reaction: 1, createdAt: -1 });
+likeSchema.index({ target: 1, targetType: 1, reaction: 1 });
+
+/**
+ * Deletes reactions and decrements the counters of the targets which still exist
+ * @param {Object} filter - The reactions to delete
+ * @returns {Promise<number>} - The number of deleted reactions
+ */
+likeSchema.statics.deleteWithCounters = async function (filter) {
+    const likes = await this.find(filter).select("target targetType reaction");
+    if (!likes.length) return 0;
+
+    const updatesByType = {};
+    for (const like of likes) {
+        (updatesByType[like.targetType] ||= []).push({
+            updateOne: {
+                filter: { _id: like.target },
+                update: {
+                    $inc: { [REACTION_COUNT_FIELDS[like.reaction]]: -1 },
+                },
+            },
+        });
+    }
+
+    await this.deleteMany({ _id: { $in: likes.map((like) => like._id) } });
+    await Promise.all(
+        Object.entries(updatesByType).map(([targetType, updates]) =>
+            mongoose.model(targetType).bulkWrite(updates, { ordered: false })
+        )
+    );
+
+    return likes.length;
+};
+
 export const Like = mongoose.model("Like", likeSchema);
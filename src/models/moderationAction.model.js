@@ -0,0 +1,64 @@
+import mongoose, { Schema } from "mongoose";
+import { REPORT_TARGET_TYPES } from "./report.model.js";
+
+/**
+ * Decisions of the moderators, kept as an audit trail
+ * - review: a report was picked up for review
+ * - release: a report under review was put back in the queue
+ * - dismiss: a report was dismissed
+ * - takedown: the reported content was taken down
+ * - reinstate: taken down content was put back
+ */
+export const MODERATION_ACTIONS = [
+    "review",
+    "release",
+    "dismiss",
+    "takedown",
+    "reinstate",
+];
+
+const moderationActionSchema = new Schema(
+    {
+        moderator: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: MODERATION_ACTIONS,
+            required: true,
+        },
+        report: {
+            type: Schema.Types.ObjectId,
+            ref: "Report",
+        }, // Not set for the actions taken without a report
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true,
+        },
+        targetType: {
+            type: String,
+            enum: REPORT_TARGET_TYPES,
+            required: true,
+        },
+        targetOwner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        },
+        note: {
+            type: String,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ target: 1, createdAt: -1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+
+export const ModerationAction = mongoose.model(
+    "ModerationAction",
+    moderationActionSchema
+);
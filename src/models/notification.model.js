@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Types of notifications, each one can be turned off in the notification preferences of the user
+ * - subscription: someone subscribed to the channel
+ * - comment: someone commented on a video of the channel
+ * - reply: someone replied to a comment of the user
+ * - like: someone liked a video of the channel
+ * - newVideo: a subscribed channel published a video
+ */
+export const NOTIFICATION_TYPES = [
+    "subscription",
+    "comment",
+    "reply",
+    "like",
+    "newVideo",
+];
+
+const notificationSchema = new Schema(
+    {
+        recipient: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true,
+        },
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        }, // The user who did what the notification is about
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+        },
+        comment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+        },
+        readAt: {
+            type: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+notificationSchema.index({ video: 1, type: 1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
 
 const playlistSchema = new Schema(
     {
@@ -25,4 +26,6 @@ const playlistSchema = new Schema(
     { timestamps: true }
 );
 
+playlistSchema.plugin(softDeletePlugin);
+
 export const Playlist = mongoose.model("Playlist", playlistSchema);
@@ -0,0 +1,95 @@
+// Query operations which only see the documents which are not deleted, deletes are never filtered
+const FILTERED_QUERIES = [
+    "countDocuments",
+    "distinct",
+    "find",
+    "findOne",
+    "findOneAndReplace",
+    "findOneAndUpdate",
+    "replaceOne",
+    "updateMany",
+    "updateOne",
+];
+
+// Aggregation stages which must stay first in a pipeline
+const LEADING_STAGES = ["$search", "$searchMeta", "$vectorSearch", "$geoNear"];
+
+/**
+ * Whether a filter has a condition on deletedAt, at the top level or in $and, $or and $nor
+ * @param {Object} filter - The query filter
+ * @returns {boolean}
+ */
+const mentionsDeletedAt = (filter) =>
+    Boolean(filter) &&
+    typeof filter === "object" &&
+    Object.entries(filter).some(
+        ([key, value]) =>
+            key === "deletedAt" ||
+            (["$and", "$or", "$nor"].includes(key) &&
+                Array.isArray(value) &&
+                value.some(mentionsDeletedAt))
+    );
+
+/**
+ * Adds the condition which leaves the deleted documents out to an aggregation pipeline, unless
+ * a $match stage has its own condition on deletedAt. A leading $match with $text gets the
+ * condition merged in, as $text is only allowed in the first stage of a pipeline.
+ * @param {Array<Object>} pipeline - The pipeline, modified in place
+ */
+export const filterDeletedStages = (pipeline) => {
+    if (pipeline.some((stage) => mentionsDeletedAt(stage.$match))) return;
+
+    const [first] = pipeline;
+    if (first?.$match?.$text) {
+        first.$match = { ...first.$match, deletedAt: null };
+        return;
+    }
+
+    const start = LEADING_STAGES.includes(Object.keys(first || {})[0]) ? 1 : 0;
+    pipeline.splice(start, 0, { $match: { deletedAt: null } });
+};
+
+/**
+ * Soft deletes for a schema: deleting sets deletedAt, and the queries and aggregations of the
+ * model only see the documents which are not deleted.
+ * The filter is left out when the query or a $match stage of the pipeline has its own condition
+ * on deletedAt (e.g. { deletedAt: { $ne: null } } for the trash), or when the query is made
+ * with .withDeleted(). $lookup and $unionWith stages of the other models must filter themselves.
+ * @param {Object} schema - The mongoose schema
+ */
+export const softDeletePlugin = (schema) => {
+    schema.add({ deletedAt: { type: Date, default: null } });
+    // The trash of a user and the documents to purge
+    schema.index(
+        { deletedAt: 1 },
+        { partialFilterExpression: { deletedAt: { $type: "date" } } }
+    );
+
+    /**
+     * Includes the deleted documents in the query results
+     * @returns {Object} - The query
+     */
+    schema.query.withDeleted = function () {
+        return this.setOptions({ withDeleted: true });
+    };
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (this.getOptions().withDeleted) return;
+        if (!mentionsDeletedAt(this.getFilter())) {
+            this.where({ deletedAt: null });
+        }
+    });
+
+    schema.pre("aggregate", function () {
+        filterDeletedStages(this.pipeline());
+    });
+
+    /**
+     * Moves the document to the trash, it is purged after the retention period
+     * @returns {Promise<Object>} - The document
+     */
+    schema.methods.softDelete = async function () {
+        this.deletedAt = new Date();
+        return await this.save({ validateModifiedOnly: true });
+    };
+};
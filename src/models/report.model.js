@@ -0,0 +1,86 @@
+import mongoose, { Schema } from "mongoose";
+
+export const REPORT_TARGET_TYPES = ["Video", "Comment", "Tweet"];
+
+export const REPORT_REASONS = [
+    "spam",
+    "harassment",
+    "hate_speech",
+    "violence",
+    "sexual_content",
+    "misinformation",
+    "copyright",
+    "other",
+];
+
+/**
+ * Status of a report
+ * - open: waiting in the moderator queue
+ * - reviewing: a moderator is looking at it
+ * - actioned: the content was taken down
+ * - dismissed: the content does not break the rules
+ */
+export const REPORT_STATUSES = ["open", "reviewing", "actioned", "dismissed"];
+
+// Reports which still need a decision
+export const PENDING_REPORT_STATUSES = ["open", "reviewing"];
+
+const reportSchema = new Schema(
+    {
+        reporter: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true,
+        },
+        targetType: {
+            type: String,
+            enum: REPORT_TARGET_TYPES,
+            required: true,
+        },
+        targetOwner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        }, // Author of the reported content
+        reason: {
+            type: String,
+            enum: REPORT_REASONS,
+            required: true,
+        },
+        details: {
+            type: String,
+            maxlength: 500,
+        },
+        status: {
+            type: String,
+            enum: REPORT_STATUSES,
+            default: "open",
+        },
+        assignedTo: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        }, // Moderator reviewing the report
+        resolvedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        },
+        resolvedAt: {
+            type: Date,
+        },
+        resolutionNote: {
+            type: String,
+        },
+    },
+    { timestamps: true }
+);
+
+// A user reports the same content at most once
+reportSchema.index({ reporter: 1, target: 1, targetType: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 }); // Moderator queue, oldest first
+reportSchema.index({ target: 1, targetType: 1, status: 1 });
+
+export const Report = mongoose.model("Report", reportSchema);
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        tokenId: {
+            type: String,
+            required: true,
+        }, // The ID (jti) of the only refresh token of the rotation family which can still be used
+        userAgent: {
+            type: String,
+        },
+        ip: {
+            type: String,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        revokedAt: {
+            type: Date,
+        },
+        revokedReason: {
+            type: String,
+            enum: ["logout", "revoked", "reuse", "password-change"],
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        }, // Expiry of the current refresh token
+    },
+    { timestamps: true }
+);
+
+// Revoked sessions are kept until they expire, so that replayed refresh tokens are still recognized
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
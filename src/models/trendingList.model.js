@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+export const GLOBAL_REGION = "global"; // The list computed from the engagement of every region
+export const ALL_CATEGORIES = "all"; // The list of the videos of every category
+
+const trendingListSchema = new Schema(
+    {
+        region: {
+            type: String,
+            required: true,
+        }, // ISO country code or GLOBAL_REGION
+        category: {
+            type: String,
+            required: true,
+        }, // Video category or ALL_CATEGORIES
+        videos: [
+            {
+                _id: false,
+                video: {
+                    type: Schema.Types.ObjectId,
+                    ref: "Video",
+                },
+                score: Number,
+            },
+        ], // Highest score first
+        computedAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+trendingListSchema.index({ region: 1, category: 1 }, { unique: true });
+
+export const TrendingList = mongoose.model("TrendingList", trendingListSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
 
 const tweetSchema = new Schema(
     {
@@ -11,8 +12,24 @@ const tweetSchema = new Schema(
             ref: "User",
             required: true,
         },
+        likesCount: {
+            type: Number,
+            default: 0,
+        },
+        takedown: {
+            takenDownAt: Date,
+            takenDownBy: {
+                type: Schema.Types.ObjectId,
+                ref: "User",
+            },
+            reason: String,
+        }, // Set when a moderator takes the tweet down, it is hidden from the listings
     },
     { timestamps: true }
 );
 
+tweetSchema.index({ author: 1, createdAt: -1 }); // Channel pages and the subscription feed
+
+tweetSchema.plugin(softDeletePlugin);
+
 export const Tweet = mongoose.model("Tweet", tweetSchema);
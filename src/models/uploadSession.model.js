@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+const uploadSessionSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        fileName: {
+            type: String,
+            required: true,
+        },
+        mimeType: {
+            type: String,
+            required: true,
+        },
+        totalSize: {
+            type: Number,
+            required: true,
+        },
+        receivedBytes: {
+            type: Number,
+            default: 0,
+        }, // The offset the next chunk has to be written at
+        checksum: {
+            type: String,
+        }, // Optional sha256 (hex) of the whole file, verified on finalize
+        lockedAt: {
+            type: Date,
+        }, // When a request claimed the offset to write a chunk at, cleared once the chunk is written
+        status: {
+            type: String,
+            enum: ["active", "completing", "completed"],
+            default: "active",
+        }, // Completing while the video of a finished upload is being created
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+        }, // The video created once the upload is finalized
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+// The expired upload sessions are removed with their part files by the upload cleanup job
+uploadSessionSchema.index({ expiresAt: 1 });
+
+export const UploadSession = mongoose.model(
+    "UploadSession",
+    uploadSessionSchema
+);
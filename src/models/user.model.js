@@ -2,6 +2,9 @@ import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import DATA from "../config.js";
+import { NOTIFICATION_TYPES } from "./notification.model.js";
+
+export const USER_ROLES = ["user", "moderator", "admin"];
 
 const userSchema = new mongoose.Schema(
     {
@@ -20,6 +23,10 @@ const userSchema = new mongoose.Schema(
             lowercase: true,
             trim: true,
         },
+        isEmailVerified: {
+            type: Boolean,
+            default: false,
+        },
         fullName: {
             type: String,
             required: [true, "Users fullname is required"],
@@ -40,18 +47,58 @@ const userSchema = new mongoose.Schema(
         coverImagePublicId: {
             type: String,
         },
-        watchHistory: [
-            {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: "Video",
-            },
-        ],
         password: {
             type: String,
             required: [true, "Password is required"],
         },
-        refreshToken: {
+        role: {
             type: String,
+            enum: USER_ROLES,
+            default: "user",
+        },
+        suspendedAt: {
+            type: Date,
+        }, // Suspended users cannot log in until an admin lifts the suspension
+        suspensionReason: {
+            type: String,
+        },
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            secret: {
+                type: String,
+                select: false,
+            }, // Base32 TOTP secret, confirmed with a code
+            pendingSecret: {
+                type: String,
+                select: false,
+            }, // Secret of an enrollment which is not confirmed yet
+            recoveryCodes: {
+                type: [String],
+                select: false,
+            }, // bcrypt hashes of the unused recovery codes
+            lastUsedStep: {
+                type: Number,
+                select: false,
+            }, // Time step of the last accepted code, so that codes cannot be replayed
+            enabledAt: Date,
+        },
+        feedLastSeenAt: {
+            type: Date,
+        }, // Last visit of the subscription feed, newer items are shown as new
+        settings: {
+            watchHistoryPaused: {
+                type: Boolean,
+                default: false,
+            }, // Watched videos are not added to the watch history while paused
+            notifications: Object.fromEntries(
+                NOTIFICATION_TYPES.map((type) => [
+                    type,
+                    { type: Boolean, default: true },
+                ])
+            ), // Whether the user gets each type of notification
         },
     },
     {
@@ -80,12 +127,14 @@ userSchema.methods.isPasswordCorrect = function (password) {
 
 /**
  * Generate access token
+ * @param {string} sessionId - The ID of the session the token belongs to
  * @returns {string} - The generated access token
  */
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             username: this.username,
             email: this.email,
             fullName: this.fullName,
@@ -99,12 +148,19 @@ userSchema.methods.generateAccessToken = function () {
 
 /**
  * Generate refresh token
+ * @param {string} sessionId - The ID of the session the token belongs to
+ * @param {string} tokenId - The unique ID (jti) of the token within the rotation family
  * @returns {string} - The generated refresh token
  */
-userSchema.methods.generateRefreshToken = function () {
-    return jwt.sign({ _id: this._id }, DATA.tokens.refreshTokenSecret, {
-        expiresIn: DATA.tokens.refreshTokenExpiration,
-    });
+userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
+    return jwt.sign(
+        { _id: this._id, sid: sessionId },
+        DATA.tokens.refreshTokenSecret,
+        {
+            expiresIn: DATA.tokens.refreshTokenExpiration,
+            jwtid: tokenId,
+        }
+    );
 };
 
 export const User = mongoose.model("User", userSchema);
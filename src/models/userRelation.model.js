@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+
+/**
+ * Relations a user sets on another user
+ * - block: the other user cannot comment on, like or subscribe to the user's content
+ * - mute: the comments and tweets of the other user are hidden from the user
+ * Blocked users are hidden from the user as well.
+ */
+export const USER_RELATION_TYPES = ["block", "mute"];
+
+const userRelationSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        }, // The user who blocks or mutes
+        target: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        }, // The blocked or muted user
+        type: {
+            type: String,
+            enum: USER_RELATION_TYPES,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+userRelationSchema.index({ user: 1, target: 1, type: 1 }, { unique: true });
+userRelationSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+/**
+ * Checks whether a user blocked another user
+ * @param {Object} userId - The ID of the user who may have blocked
+ * @param {Object} targetId - The ID of the user who may be blocked
+ * @returns {Promise<boolean>}
+ */
+userRelationSchema.statics.isBlocked = async function (userId, targetId) {
+    if (!userId || !targetId) return false;
+    return Boolean(
+        await this.exists({ user: userId, target: targetId, type: "block" })
+    );
+};
+
+/**
+ * Returns the users whose comments and tweets are hidden from a user, the ones they blocked or muted
+ * @param {Object} userId - The ID of the user
+ * @returns {Promise<Array<Object>>} - The IDs of the hidden users
+ */
+userRelationSchema.statics.getHiddenUserIds = async function (userId) {
+    if (!userId) return [];
+    return await this.distinct("target", { user: userId });
+};
+
+export const UserRelation = mongoose.model("UserRelation", userRelationSchema);
@@ -1,23 +1,71 @@
 import mongoose from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
+
+/**
+ * Processing states of a video
+ * - uploading: accepted by the API and waiting for the worker
+ * - processing: the files are being moved to the storage and probed
+ * - ready: the video can be watched
+ * - failed: processing failed after all the retries
+ */
+export const VIDEO_STATUSES = ["uploading", "processing", "ready", "failed"];
+
+// Categories a video can be filed under, used for the category shelves
+export const VIDEO_CATEGORIES = [
+    "autos-vehicles",
+    "comedy",
+    "education",
+    "entertainment",
+    "film-animation",
+    "gaming",
+    "howto-style",
+    "music",
+    "news-politics",
+    "nonprofits-activism",
+    "people-blogs",
+    "pets-animals",
+    "science-technology",
+    "sports",
+    "travel-events",
+];
+
+/**
+ * Who can see a video
+ * - public: listed everywhere, anyone can watch it
+ * - unlisted: not listed, anyone with the link can watch it
+ * - private: only the owner can watch it. Scheduled videos keep their visibility until publishAt
+ */
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private"];
+
+// Roles which can watch the private videos of the other users, to review reports
+const PRIVATE_VIDEO_REVIEWER_ROLES = ["moderator", "admin"];
+
+// Weight of each field in the search relevance, used by the text index and the Atlas Search driver
+export const VIDEO_SEARCH_WEIGHTS = { title: 10, tags: 5, description: 1 };
+
+// The media fields are only known once the video is processed
+const isReady = function () {
+    return this.status === "ready";
+};
 
 const videoSchema = new mongoose.Schema(
     {
         videoFile: {
             type: String,
-            required: true,
+            required: isReady,
         },
         videoPublicId: {
             type: String,
-            required: true,
+            required: isReady,
         },
         thumbnail: {
             type: String,
-            required: true,
+            required: isReady,
         },
         thumbnailPublicId: {
             type: String,
-            required: true,
+            required: isReady,
         },
         title: {
             type: String,
@@ -27,28 +75,117 @@ const videoSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        tags: {
+            type: [String],
+            default: [],
+        }, // Normalized with parseVideoTags: lowercase, without "#"
+        category: {
+            type: String,
+            enum: VIDEO_CATEGORIES,
+        },
         duration: {
             type: Number,
-            required: true,
+            required: isReady,
         },
         views: {
             type: Number,
             default: 0,
         },
-        isPublished: {
-            type: Boolean,
-            default: true,
+        likesCount: {
+            type: Number,
+            default: 0,
+        },
+        dislikesCount: {
+            type: Number,
+            default: 0,
         },
+        visibility: {
+            type: String,
+            enum: VIDEO_VISIBILITIES,
+            default: "public",
+        },
+        publishAt: {
+            type: Date,
+        }, // Set for scheduled videos, the publishing job makes them public at that time
+        publishedAt: {
+            type: Date,
+        }, // When the video first became public
         owner: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
         },
+        status: {
+            type: String,
+            enum: VIDEO_STATUSES,
+            default: "ready",
+        },
+        processingError: {
+            type: String,
+        },
+        metadata: {
+            width: Number,
+            height: Number,
+            codec: String,
+            bitRate: Number,
+            format: String,
+            size: Number,
+            hasAudio: Boolean,
+        }, // Read from the video file while processing
+        streaming: {
+            status: {
+                type: String,
+                enum: ["none", "processing", "ready", "failed"],
+                default: "none",
+            },
+            hls: String, // URL of the HLS master playlist
+            dash: String, // URL of the DASH manifest
+            error: String,
+        }, // Adaptive streaming segments created with ffmpeg, when the storage cannot stream
+        publishLock: {
+            lockedAt: Date,
+            lockedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            reason: String,
+        }, // Set when a moderator force-unpublishes the video, the owner cannot publish it again
     },
     {
         timestamps: true,
     }
 );
 
+videoSchema.index({ owner: 1, createdAt: -1 }); // Channel pages and the subscription feed
+videoSchema.index({ tags: 1, createdAt: -1 });
+videoSchema.index({ category: 1, createdAt: -1 });
+videoSchema.index(
+    Object.fromEntries(
+        Object.keys(VIDEO_SEARCH_WEIGHTS).map((field) => [field, "text"])
+    ),
+    { weights: VIDEO_SEARCH_WEIGHTS, name: "video_search" }
+);
+
+videoSchema.index({ owner: 1, publishedAt: -1 }); // Subscription feed
+videoSchema.index(
+    { publishAt: 1 },
+    { partialFilterExpression: { publishAt: { $exists: true } } }
+); // Scheduled videos which are due
+
+/**
+ * Whether a user can watch the video, private videos are only shown to their owner and the moderators.
+ * Call it before the owner is populated.
+ * @param {Object} [user] - The user, undefined for anonymous viewers
+ * @returns {boolean}
+ */
+videoSchema.methods.isVisibleTo = function (user) {
+    return (
+        this.visibility !== "private" ||
+        this.owner?.toString() === user?._id?.toString() ||
+        PRIVATE_VIDEO_REVIEWER_ROLES.includes(user?.role)
+    );
+};
+
+videoSchema.plugin(softDeletePlugin);
 videoSchema.plugin(mongooseAggregatePaginate);
 
 export const Video = mongoose.model("Video", videoSchema);
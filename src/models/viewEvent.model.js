@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+import DATA from "../config.js";
+
+const viewEventSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true,
+        },
+        viewer: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+        }, // Not set for anonymous viewers
+        ip: {
+            type: String,
+        },
+        viewerKey: {
+            type: String,
+            required: true,
+        }, // "user:<id>" for signed in viewers, "ip:<address>" for the others
+        windowStart: {
+            type: Date,
+            required: true,
+        }, // When the view started, later views of the viewer within the dedup window are not counted
+        watchedSeconds: {
+            type: Number,
+            default: 0,
+        }, // Furthest position reported by the player
+        rollupBatch: {
+            type: Schema.Types.ObjectId,
+        }, // Set once the view is added to Video.views
+    },
+    { timestamps: true }
+);
+
+viewEventSchema.index(
+    { video: 1, viewerKey: 1, windowStart: 1 },
+    { unique: true }
+);
+viewEventSchema.index({ rollupBatch: 1 });
+viewEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: DATA.views.eventRetentionDays * 24 * 60 * 60 }
+);
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema);
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+const watchHistorySchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true,
+        },
+        lastWatchedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        position: {
+            type: Number,
+            default: 0,
+        }, // Last playback position in seconds, to resume the video
+    },
+    { timestamps: true }
+);
+
+// One entry per user and video, moved to the top each time the video is watched again
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
+
+/**
+ * Records that a user watched a video, unless the user paused their watch history
+ * @param {Object} user - The user document
+ * @param {string} videoId - The ID of the video
+ * @param {number} [position] - The playback position in seconds, the saved one is kept if not given
+ * @returns {Promise<void>}
+ */
+watchHistorySchema.statics.record = async function (user, videoId, position) {
+    if (!user || user.settings?.watchHistoryPaused) return;
+
+    const update = { $set: { lastWatchedAt: new Date() } };
+    if (position !== undefined) update.$set.position = position;
+
+    try {
+        await this.updateOne({ user: user._id, video: videoId }, update, {
+            upsert: true,
+        });
+    } catch (error) {
+        // A concurrent request of the same user inserted the entry first
+        if (error?.code !== 11000) throw error;
+        await this.updateOne({ user: user._id, video: videoId }, update);
+    }
+};
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema);
@@ -0,0 +1,310 @@
+import { Router } from "express";
+import {
+    deleteAnyComment,
+    deleteAnyTweet,
+    deleteUser,
+    forceUnpublishVideo,
+    getUsers,
+    suspendUser,
+    updateUserRole,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router(); // create a new router object
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: List users
+ *     description: Lists the users, newest first. Admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of users per page
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: Text searched in the username, full name and email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *         description: Only list the users with this role
+ *       - in: query
+ *         name: suspended
+ *         schema:
+ *           type: boolean
+ *         description: Only list the suspended or the active users
+ *     responses:
+ *       200:
+ *         description: Users fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/users").get(authorize("admin"), getUsers);
+
+/**
+ * @swagger
+ * /admin/users/{userId}:
+ *   delete:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: Delete a user
+ *     description: Deletes a user with their videos, tweets, comments, likes, playlists, subscriptions and files. Admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       400:
+ *         description: Bad Request - Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/users/:userId").delete(authorize("admin"), deleteUser);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/suspend:
+ *   patch:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: Suspend a user
+ *     description: Suspends a user, who is logged out of every device and cannot log in. Send suspended=false to lift the suspension. Admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               suspended:
+ *                 type: boolean
+ *                 default: true
+ *               reason:
+ *                 type: string
+ *                 example: Spam
+ *     responses:
+ *       200:
+ *         description: User suspension updated successfully
+ *       400:
+ *         description: Bad Request - Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/users/:userId/suspend").patch(authorize("admin"), suspendUser);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role:
+ *   patch:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: Change the role of a user
+ *     description: Changes the role of a user. Admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Bad Request - Invalid user ID or role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/users/:userId/role").patch(authorize("admin"), updateUserRole);
+
+/**
+ * @swagger
+ * /admin/videos/{videoId}/unpublish:
+ *   patch:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: Force-unpublish a video
+ *     description: Unpublishes a video and locks it, so that the owner cannot publish it again. Send locked=false to lift the lock. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               locked:
+ *                 type: boolean
+ *                 default: true
+ *               reason:
+ *                 type: string
+ *                 example: Copyright infringement
+ *     responses:
+ *       200:
+ *         description: Video unpublished successfully
+ *       400:
+ *         description: Bad Request - Invalid video ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Video not found
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/videos/:videoId/unpublish")
+    .patch(authorize("moderator", "admin"), forceUnpublishVideo);
+
+/**
+ * @swagger
+ * /admin/comments/{commentId}:
+ *   delete:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: Delete any comment
+ *     description: Deletes a comment of any user. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       400:
+ *         description: Bad Request - Invalid comment ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/comments/:commentId")
+    .delete(authorize("moderator", "admin"), deleteAnyComment);
+
+/**
+ * @swagger
+ * /admin/tweets/{tweetId}:
+ *   delete:
+ *     tags:
+ *       - 🛡️ Admin
+ *     summary: Delete any tweet
+ *     description: Deletes a tweet of any user. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tweetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The tweet ID
+ *     responses:
+ *       200:
+ *         description: Tweet deleted successfully
+ *       400:
+ *         description: Bad Request - Invalid tweet ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Tweet not found
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/tweets/:tweetId")
+    .delete(authorize("moderator", "admin"), deleteAnyTweet);
+
+export default router;
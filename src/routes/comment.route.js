@@ -1,8 +1,10 @@
 import { Router } from "express";
 import {
     addComment,
+    addReply,
     deleteComment,
     editComment,
+    getCommentReplies,
     getVideoComments,
 } from "../controllers/comment.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
@@ -22,7 +24,7 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
  *     tags:
  *         - 🗨️ Comments
  *     summary: Get comments for a video
- *     description: Get all comments for a video
+ *     description: Get the top-level comments for a video with their like and reply counts. Deleted comments with replies are returned as "[deleted]" placeholders.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -32,6 +34,25 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
  *         schema:
  *           type: string
  *         description: The ID of the video
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: The number of comments per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [top, newest, oldest]
+ *           default: newest
+ *         description: The sort order, top ranks by like count
  *     responses:
  *       200:
  *         description: List of comments
@@ -111,7 +132,7 @@ router.route("/:videoId").get(getVideoComments).post(addComment);
  *     tags:
  *       - 🗨️ Comments
  *     summary: Delete a comment
- *     description: Delete a comment
+ *     description: Moves a comment to the trash, it can be restored with PATCH /trash/comments/{id}/restore until it is purged. A comment with replies shows as a "[deleted]" placeholder meanwhile.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -131,4 +152,85 @@ router.route("/:videoId").get(getVideoComments).post(addComment);
  */
 router.route("/c/:commentId").patch(editComment).delete(deleteComment);
 
+/**
+ * @swagger
+ * /comments/c/{commentId}/replies:
+ *   get:
+ *     tags:
+ *       - 🗨️ Comments
+ *     summary: Get replies to a comment
+ *     description: Get the replies to a comment with their like and reply counts
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the comment
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: The number of replies per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [top, newest, oldest]
+ *           default: oldest
+ *         description: The sort order, top ranks by like count
+ *     responses:
+ *       200:
+ *         description: List of replies
+ *       400:
+ *         description: Invalid comment ID or sort order
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Internal Server Error
+ *   post:
+ *     tags:
+ *       - 🗨️ Comments
+ *     summary: Reply to a comment
+ *     description: Add a reply to a comment
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the comment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: This is an example reply
+ *     responses:
+ *       201:
+ *         description: Reply added
+ *       400:
+ *         description: Invalid comment ID or deleted comment
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.route("/c/:commentId/replies").get(getCommentReplies).post(addReply);
+
 export default router;
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import {
     getChannelStats,
+    getChannelAnalytics,
     getChannelVideos,
 } from "../controllers/dashboard.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
@@ -10,6 +11,7 @@ const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router.route("/stats").get(getChannelStats);
+router.route("/analytics").get(getChannelAnalytics);
 router.route("/videos").get(getChannelVideos);
 
 export default router;
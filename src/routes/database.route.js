@@ -1,12 +1,12 @@
 import { Router } from "express";
 import { emptyDatabase } from "../controllers/database.controller.js";
 import createRateLimiterWith from "../middlewares/ratelimit.middleware.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
 
 const router = Router(); // create a new router object
 
 // Configure rate limiting with IP extraction
 const limiter = createRateLimiterWith(24, 0, 1); // 24 hours, 0 minutes, 1 requests
-router.use(limiter); // Apply rate limiter middleware to all routes in this file
 
 /**
  * @swagger
@@ -15,17 +15,23 @@ router.use(limiter); // Apply rate limiter middleware to all routes in this file
  *     tags:
  *       - ❌ Danger Zone
  *     summary: Empty the entire database.
- *     description: Deletes all documents from all collections in the database. **Use with caution.**
+ *     description: Deletes all documents from all collections in the database. Admins only. **Use with caution.**
+ *     security:
+ *      - bearerAuth: []
  *     responses:
  *       '200':
  *         description: Database emptied successfully
  *       '401':
- *         description: Unauthorized - Invalid token or insufficient permissions
+ *         description: Unauthorized - Invalid token
+ *       '403':
+ *         description: Forbidden - Not an admin
  *       '500':
  *         description: Internal server error
  */
 
-// Apply authentication middleware
-router.route("/empty").delete(emptyDatabase);
+// Apply authentication middleware, the rate limit only counts the requests of admins
+router
+    .route("/empty")
+    .delete(verifyJWT, authorize("admin"), limiter, emptyDatabase);
 
 export default router;
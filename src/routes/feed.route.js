@@ -0,0 +1,42 @@
+import { Router } from "express";
+import { getSubscriptionFeed } from "../controllers/feed.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+/**
+ * @swagger
+ * /feed/subscriptions:
+ *   get:
+ *     tags:
+ *       - 📰 Feed
+ *     summary: Get the subscription feed
+ *     description: Returns the published videos and the tweets of the subscribed channels, newest first. Items posted before the previous visit have isSeen set to true, the newer ones are unseen. Fetching the first page records the visit, the next pages are compared to the same previous visit.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The nextCursor of the previous page, omitted for the first page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of items per page (max 50)
+ *     responses:
+ *       200:
+ *         description: Subscription feed fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid cursor
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/subscriptions").get(getSubscriptionFeed);
+
+export default router;
@@ -16,8 +16,8 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
  *   post:
  *     tags:
  *       - 👍 Likes
- *     summary: Toggle like for a video
- *     description: Toggle like for a video. If the video is already liked by the authenticated user, then it will be unliked. If the video is not liked by the authenticated user, then it will be liked.
+ *     summary: Toggle like or dislike for a video
+ *     description: Toggle a reaction for a video. Sending the reaction the authenticated user already has removes it, sending the other reaction switches to it. Returns the reaction of the user and the like and dislike counts of the video.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -27,9 +27,21 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
  *         schema:
  *           type: string
  *         description: The ID of the video
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reaction:
+ *                 type: string
+ *                 enum: [like, dislike]
+ *                 default: like
  *     responses:
  *       200:
- *         description: Toggled like status for the video
+ *         description: Reaction removed
+ *       201:
+ *         description: Video liked or disliked
  *       400:
  *         description: Invalid video ID
  *       500:
@@ -60,6 +72,8 @@ router.route("/toggle/v/:videoId").post(toggleVideoLike);
  *         description: Toggled like status for the comment
  *       400:
  *         description: Invalid comment ID
+ *       404:
+ *         description: Comment not found, in the trash or taken down
  *       500:
  *         description: Internal Server Error
  */
@@ -87,6 +101,8 @@ router.route("/toggle/c/:commentId").post(toggleCommentLike);
  *         description: Toggled like status for the tweet
  *       400:
  *         description: Invalid tweet ID
+ *       404:
+ *         description: Tweet not found, in the trash or taken down
  *       500:
  *         description: Internal Server Error
  */
@@ -98,13 +114,26 @@ router.route("/toggle/t/:tweetId").post(toggleTweetLike);
  *   get:
  *     tags:
  *       - 👍 Likes
- *     summary: Get all liked videos for the authenticated user
- *     description: Get all liked videos for the authenticated user
+ *     summary: Get the liked videos of the authenticated user
+ *     description: Get the videos liked by the authenticated user, most recently liked first. Videos which were deleted or made private are left out of the page.
  *     security:
  *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of likes per page (max 100)
  *     responses:
  *       200:
- *         description: List of liked videos
+ *         description: Page of liked videos with the pagination details
  *       500:
  *         description: Internal Server Error
  */
@@ -0,0 +1,181 @@
+import { Router } from "express";
+import {
+    getNotificationPreferences,
+    getNotifications,
+    getUnreadCount,
+    markAllNotificationsRead,
+    markNotificationRead,
+    updateNotificationPreferences,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     tags:
+ *       - 🔔 Notifications
+ *     summary: Get the notifications
+ *     description: Returns the notifications of the current user, newest first, with the number of unread notifications.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only return the unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of notifications per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Notifications fetched successfully
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/").get(getNotifications);
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     tags:
+ *       - 🔔 Notifications
+ *     summary: Get the unread count
+ *     description: Returns the number of unread notifications of the current user.
+ *     security:
+ *      - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count fetched successfully
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/unread-count").get(getUnreadCount);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     tags:
+ *       - 🔔 Notifications
+ *     summary: Mark all notifications as read
+ *     description: Marks all the unread notifications of the current user as read.
+ *     security:
+ *      - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/read-all").patch(markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     tags:
+ *       - 🔔 Notifications
+ *     summary: Get the notification preferences
+ *     description: Returns which types of notifications the current user gets.
+ *     security:
+ *      - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences fetched successfully
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *   patch:
+ *     tags:
+ *       - 🔔 Notifications
+ *     summary: Update the notification preferences
+ *     description: Turns types of notifications on or off. The types which are not sent keep their value.
+ *     security:
+ *      - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subscription:
+ *                 type: boolean
+ *               comment:
+ *                 type: boolean
+ *               reply:
+ *                 type: boolean
+ *               like:
+ *                 type: boolean
+ *               newVideo:
+ *                 type: boolean
+ *             example:
+ *               like: false
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *       400:
+ *         description: Bad Request - Unknown type or value which is not a boolean
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/preferences")
+    .get(getNotificationPreferences)
+    .patch(updateNotificationPreferences);
+
+/**
+ * @swagger
+ * /notifications/{notificationId}/read:
+ *   patch:
+ *     tags:
+ *       - 🔔 Notifications
+ *     summary: Mark a notification as read
+ *     description: Marks a notification of the current user as read.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       400:
+ *         description: Bad Request - Invalid notification ID
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:notificationId/read").patch(markNotificationRead);
+
+export default router;
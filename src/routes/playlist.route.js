@@ -109,7 +109,7 @@ router.route("/").post(createPlaylist);
  *     tags:
  *       - 🎞️ Playlists
  *     summary: Delete a playlist by ID
- *     description: Delete a playlist by its ID.
+ *     description: Moves a playlist to the trash, it can be restored with PATCH /trash/playlists/{id}/restore until it is purged.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -0,0 +1,61 @@
+import { Router } from "express";
+import { streamEvents } from "../controllers/realtime.controller.js";
+import { verifyStreamJWT } from "../middlewares/auth.middleware.js";
+import createRateLimiterWith from "../middlewares/ratelimit.middleware.js";
+
+const router = Router();
+
+// Reconnecting clients should not be able to exhaust the connections of the server
+const streamLimiter = createRateLimiterWith(0, 1, 30); // 0 hours, 1 minute, 30 requests
+
+/**
+ * @swagger
+ * /realtime/events:
+ *   get:
+ *     tags:
+ *       - 📡 Realtime
+ *     summary: Open the event stream
+ *     description: |
+ *       Opens a server-sent event stream (text/event-stream) of the current user, to use with an EventSource.
+ *       Browsers cannot set the Authorization header of an EventSource, so the access token is also accepted in the `token` query parameter, next to the cookie.
+ *       The stream closes when the access token expires, reconnect with a new token.
+ *
+ *       Events:
+ *       - `notifications.unread` - `{ unreadCount }`, once when the stream opens
+ *       - `notification` - A new notification, shaped like the items of GET /notifications
+ *       - `video.status` - `{ videoId, status, processingError, streamingStatus }` when the processing of an upload of the user moves on
+ *       - `counters` - `{ videoId, views, likes, dislikes, comments }` of the watched video, when it opens and whenever they change
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         description: The video being watched, to receive its live counters
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: The access token, when it cannot be sent in the cookie or the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad Request - Invalid video ID
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       404:
+ *         description: Video not found
+ *       429:
+ *         description: Too many open event streams
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/events").get(streamLimiter, verifyStreamJWT, streamEvents);
+
+export default router;
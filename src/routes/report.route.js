@@ -0,0 +1,343 @@
+import { Router } from "express";
+import {
+    createReport,
+    getModerationActions,
+    getReport,
+    getReports,
+    reinstateContent,
+    takeDownReportedContent,
+    updateReportStatus,
+} from "../controllers/report.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import createRateLimiterWith from "../middlewares/ratelimit.middleware.js";
+
+const router = Router();
+
+const reportLimiter = createRateLimiterWith(24, 0, 20); // 24 hours, 0 minutes, 20 requests
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+/**
+ * @swagger
+ * /reports:
+ *   post:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Report content
+ *     description: Reports a video, comment or tweet to the moderators. A user reports the same content at most once.
+ *     security:
+ *      - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetType
+ *               - targetId
+ *               - reason
+ *             properties:
+ *               targetType:
+ *                 type: string
+ *                 enum: [Video, Comment, Tweet]
+ *               targetId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, hate_speech, violence, sexual_content, misinformation, copyright, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Report submitted successfully
+ *       400:
+ *         description: Bad Request - Invalid input or own content
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Content already reported by the user
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Get the moderator queue
+ *     description: Lists the reports, oldest first. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, reviewing, actioned, dismissed]
+ *           default: open
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [Video, Comment, Tweet]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid filter
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/")
+    .post(reportLimiter, createReport)
+    .get(authorize("moderator", "admin"), getReports);
+
+/**
+ * @swagger
+ * /reports/actions:
+ *   get:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Get the moderation audit trail
+ *     description: Lists the decisions of the moderators, newest first. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: Only the decisions on this content
+ *       - in: query
+ *         name: moderator
+ *         schema:
+ *           type: string
+ *         description: Only the decisions of this moderator
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [review, release, dismiss, takedown, reinstate]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Moderation actions fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid filter
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/actions")
+    .get(authorize("moderator", "admin"), getModerationActions);
+
+/**
+ * @swagger
+ * /reports/targets/{targetType}/{targetId}/reinstate:
+ *   patch:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Reinstate taken down content
+ *     description: Puts taken down content back. Videos stay unpublished until their owner publishes them again. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Video, Comment, Tweet]
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Content reinstated successfully
+ *       400:
+ *         description: Bad Request - Invalid target
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Content is not taken down
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/targets/:targetType/:targetId/reinstate")
+    .patch(authorize("moderator", "admin"), reinstateContent);
+
+/**
+ * @swagger
+ * /reports/{reportId}:
+ *   get:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Get a report
+ *     description: Returns a report with the other reports of the same content and the decisions taken on it. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid report ID
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Report not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:reportId").get(authorize("moderator", "admin"), getReport);
+
+/**
+ * @swagger
+ * /reports/{reportId}/status:
+ *   patch:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Update the status of a report
+ *     description: Picks a report up (reviewing), puts it back in the queue (open) or dismisses it (dismissed). Actioned and dismissed reports are final. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, reviewing, dismissed]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report status updated successfully
+ *       400:
+ *         description: Bad Request - Invalid status
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: The report cannot move to this status
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/:reportId/status")
+    .patch(authorize("moderator", "admin"), updateReportStatus);
+
+/**
+ * @swagger
+ * /reports/{reportId}/takedown:
+ *   post:
+ *     tags:
+ *       - 🚩 Reports
+ *     summary: Take the reported content down
+ *     description: Takes the reported content down and actions all the pending reports of it. Videos are unpublished and locked, comments and tweets are hidden from the listings. Moderators and admins only.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: The takedown reason (default - the report reason)
+ *     responses:
+ *       200:
+ *         description: Content taken down successfully
+ *       400:
+ *         description: Bad Request - Invalid report ID
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Forbidden - Not a moderator
+ *       404:
+ *         description: Report or content not found
+ *       409:
+ *         description: The report is already resolved
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/:reportId/takedown")
+    .post(authorize("moderator", "admin"), takeDownReportedContent);
+
+export default router;
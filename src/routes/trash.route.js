@@ -0,0 +1,86 @@
+import { Router } from "express";
+import { getTrash, restoreFromTrash } from "../controllers/trash.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+/**
+ * @swagger
+ * /trash/{type}:
+ *   get:
+ *     tags:
+ *       - 🗑️ Trash
+ *     summary: Get the trash
+ *     description: Returns the videos, comments, tweets or playlists the current user deleted, most recently deleted first. Each item has the date it is purged at, after which it cannot be restored.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [videos, comments, tweets, playlists]
+ *         description: The content type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of items per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Trash fetched successfully
+ *       400:
+ *         description: Unknown content type
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:type").get(getTrash);
+
+/**
+ * @swagger
+ * /trash/{type}/{id}/restore:
+ *   patch:
+ *     tags:
+ *       - 🗑️ Trash
+ *     summary: Restore from the trash
+ *     description: Restores a video, comment, tweet or playlist the current user deleted, until it is purged.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [videos, comments, tweets, playlists]
+ *         description: The content type
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the content
+ *     responses:
+ *       200:
+ *         description: Content restored successfully
+ *       400:
+ *         description: Unknown content type or invalid ID
+ *       404:
+ *         description: Not found in the trash of the user
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:type/:id/restore").patch(restoreFromTrash);
+
+export default router;
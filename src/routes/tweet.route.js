@@ -5,7 +5,10 @@ import {
     getUserTweets,
     updateTweet,
 } from "../controllers/tweet.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+    requireVerifiedEmail,
+    verifyJWT,
+} from "../middlewares/auth.middleware.js";
 import createRateLimiterWith from "../middlewares/ratelimit.middleware.js";
 
 const router = Router(); // create a new router object
@@ -40,10 +43,12 @@ router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
  *         description: Tweet created
  *       '400':
  *         description: Bad Request - Missing or invalid data
+ *       '403':
+ *         description: Email address is not verified
  *       '500':
  *         description: Internal server error
  */
-router.route("/").post(createTweet);
+router.route("/").post(requireVerifiedEmail, createTweet);
 
 /**
  * @swagger
@@ -110,7 +115,7 @@ router.route("/u/:userId").get(getUserTweets);
  *     tags:
  *       - 🐦 Tweets
  *     summary: Delete a tweet by ID
- *     description: Delete a tweet by its ID.
+ *     description: Moves a tweet to the trash, it can be restored with PATCH /trash/tweets/{id}/restore until it is purged.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -11,6 +11,27 @@ import {
     updateAccountDetails,
     getUserChannelProfile,
     getWatchHistory,
+    clearWatchHistory,
+    removeWatchHistoryEntry,
+    setWatchHistoryPaused,
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    muteUser,
+    unmuteUser,
+    getMutedUsers,
+    getUserSessions,
+    revokeOtherSessions,
+    revokeSession,
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword,
+    completeTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
 } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
@@ -20,6 +41,7 @@ const router = Router(); // create a new router object
 
 // Configure rate limiting with IP extraction
 const limiter = createRateLimiterWith(24, 0, 10); // 24 hours, 0 minutes, 10 requests
+const twoFactorLimiter = createRateLimiterWith(0, 15, 10); // 15 minutes, 10 requests, against guessing the codes
 
 /**
  * @swagger
@@ -145,6 +167,44 @@ router.route("/register").post(
 
 router.route("/login").post(upload.none(), loginUser);
 
+/**
+ * @swagger
+ * /users/login/2fa:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Complete a login with two-factor authentication.
+ *     description: Completes the login of a user with 2FA enabled. The challenge token is returned by /users/login, together with twoFactorRequired. Either the code from the authenticator app or an unused recovery code is needed.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 1a2b3-c4d5e
+ *     responses:
+ *       '200':
+ *         description: User logged in successfully
+ *       '400':
+ *         description: Bad Request - Missing challenge token or code
+ *       '401':
+ *         description: Unauthorized - Invalid or expired challenge token, or wrong code
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/login/2fa").post(twoFactorLimiter, completeTwoFactorLogin);
+
 // secured routes
 
 /**
@@ -181,7 +241,7 @@ router.route("/logout").post(verifyJWT, logoutUser);
  *     summary: Refresh access token.
  *     security:
  *      - bearerAuth: []
- *     description: Generates a new access token using a valid refresh token.
+ *     description: Generates a new access token and rotates the refresh token. Reusing a refresh token which was already rotated revokes its session.
  *     responses:
  *       '200':
  *         description: Token refreshed successfully
@@ -197,6 +257,126 @@ router.route("/logout").post(verifyJWT, logoutUser);
 
 router.route("/refresh-token").post(refreshAccessToken);
 
+/**
+ * @swagger
+ * /users/verify-email:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Verify the email address.
+ *     description: Verifies the email address with the token of the link sent by email. The token can only be used once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Email verified successfully
+ *       '400':
+ *         description: Bad Request - Invalid, expired or already used token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/verify-email").post(verifyEmail);
+
+/**
+ * @swagger
+ * /users/verify-email/request:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Resend the verification email.
+ *     description: Sends a new email verification link to the current user. Earlier links stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Verification email sent successfully
+ *       '400':
+ *         description: Bad Request - Email is already verified
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/verify-email/request")
+    .post(limiter, verifyJWT, requestEmailVerification);
+
+/**
+ * @swagger
+ * /users/forgot-password:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Request a password reset.
+ *     description: Sends a password reset link if an account uses the email address. The response does not reveal whether it does.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: johndoe@example.com
+ *     responses:
+ *       '200':
+ *         description: Password reset link sent if the account exists
+ *       '400':
+ *         description: Bad Request - Missing email
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/forgot-password").post(limiter, forgotPassword);
+
+/**
+ * @swagger
+ * /users/reset-password:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Reset the password.
+ *     description: Sets a new password with the token of the password reset link, which can only be used once. Every device is logged out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 example: NewPass@1234
+ *     responses:
+ *       '200':
+ *         description: Password reset successfully
+ *       '400':
+ *         description: Bad Request - Invalid, expired or already used token, or weak password
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/reset-password").post(resetPassword);
+
 /**
  * @swagger
  * /users/change-password:
@@ -422,9 +602,22 @@ router.route("/c/:username").get(verifyJWT, getUserChannelProfile);
  *     tags:
  *       - 👤 User Managment
  *     summary: Get user's watch history.
- *     description: Retrieves the authenticated user's watch history.
+ *     description: Retrieves a page of the authenticated user's watch history, most recently watched first, with the last playback position of every video.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of entries per page (max 100)
  *     responses:
  *       '200':
  *         description: User watch history retrieved successfully
@@ -432,8 +625,480 @@ router.route("/c/:username").get(verifyJWT, getUserChannelProfile);
  *         description: Unauthorized - Invalid token
  *       '500':
  *         description: Internal server error
+ *   delete:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Clear the watch history.
+ *     description: Removes all the entries of the authenticated user's watch history.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Watch history cleared successfully
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/watchHistory")
+    .get(verifyJWT, getWatchHistory)
+    .delete(verifyJWT, clearWatchHistory);
+
+/**
+ * @swagger
+ * /users/watchHistory/pause:
+ *   patch:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Pause or resume the watch history.
+ *     description: While the watch history is paused, watched videos are not added to it. The existing entries are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       '200':
+ *         description: Watch history paused or resumed
+ *       '400':
+ *         description: paused is not a boolean
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/watchHistory/pause").patch(verifyJWT, setWatchHistoryPaused);
+
+/**
+ * @swagger
+ * /users/watchHistory/{videoId}:
+ *   delete:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Remove a video from the watch history.
+ *     description: Removes one video from the authenticated user's watch history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     responses:
+ *       '200':
+ *         description: Video removed from the watch history
+ *       '400':
+ *         description: Invalid video ID
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '404':
+ *         description: Video not found in the watch history
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/watchHistory/:videoId")
+    .delete(verifyJWT, removeWatchHistoryEntry);
+
+/**
+ * @swagger
+ * /users/block:
+ *   get:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: List the blocked users.
+ *     description: Lists the users blocked by the authenticated user, most recent first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       '200':
+ *         description: Blocked users fetched successfully
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/block").get(verifyJWT, getBlockedUsers);
+
+/**
+ * @swagger
+ * /users/block/{userId}:
+ *   post:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Block a user.
+ *     description: The blocked user can no longer comment on, like or subscribe to the content of the authenticated user, and is unsubscribed from their channel. Their comments and tweets are hidden from the authenticated user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       '200':
+ *         description: User blocked successfully
+ *       '400':
+ *         description: Invalid user ID, or the user is the authenticated user
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ *   delete:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Unblock a user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       '200':
+ *         description: User unblocked successfully
+ *       '400':
+ *         description: Invalid user ID
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/block/:userId")
+    .post(verifyJWT, blockUser)
+    .delete(verifyJWT, unblockUser);
+
+/**
+ * @swagger
+ * /users/mute:
+ *   get:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: List the muted users.
+ *     description: Lists the users muted by the authenticated user, most recent first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       '200':
+ *         description: Muted users fetched successfully
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/mute").get(verifyJWT, getMutedUsers);
+
+/**
+ * @swagger
+ * /users/mute/{userId}:
+ *   post:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Mute a user.
+ *     description: The comments and tweets of the muted user are hidden from the authenticated user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       '200':
+ *         description: User muted successfully
+ *       '400':
+ *         description: Invalid user ID, or the user is the authenticated user
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ *   delete:
+ *     tags:
+ *       - 👤 User Managment
+ *     summary: Unmute a user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       '200':
+ *         description: User unmuted successfully
+ *       '400':
+ *         description: Invalid user ID
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/mute/:userId")
+    .post(verifyJWT, muteUser)
+    .delete(verifyJWT, unmuteUser);
+
+/**
+ * @swagger
+ * /users/sessions:
+ *   get:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: List the active sessions.
+ *     description: Lists the devices the user is logged in on, with their user agent, IP address and last use. The session of the request is flagged with isCurrent.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessions fetched successfully
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ *   delete:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Revoke all other sessions.
+ *     description: Logs out every other device, the session of the request stays active.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessions revoked successfully
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/sessions")
+    .get(verifyJWT, getUserSessions)
+    .delete(verifyJWT, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /users/sessions/{sessionId}:
+ *   delete:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Revoke a session.
+ *     description: Logs out the device of the session. Its refresh token cannot be used anymore.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the session to revoke.
+ *     responses:
+ *       '200':
+ *         description: Session revoked successfully
+ *       '400':
+ *         description: Bad Request - Invalid session ID
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '404':
+ *         description: Session not found
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession);
+
+/**
+ * @swagger
+ * /users/2fa/setup:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Start the two-factor authentication setup.
+ *     description: Generates a new TOTP secret and the otpauth URI to add it to an authenticator app, usually as a QR code. 2FA is only enabled once a code is confirmed with /users/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Secret and otpauth URI generated
+ *       '400':
+ *         description: Bad Request - 2FA is already enabled
+ *       '401':
+ *         description: Unauthorized - Invalid token
+ *       '500':
+ *         description: Internal server error
+ */
+
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+
+/**
+ * @swagger
+ * /users/2fa/enable:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Enable two-factor authentication.
+ *     description: Confirms the setup with a code from the authenticator app. The response contains the recovery codes, which are only shown once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       '200':
+ *         description: 2FA enabled, recovery codes returned
+ *       '400':
+ *         description: Bad Request - Missing code, no setup started or 2FA already enabled
+ *       '401':
+ *         description: Unauthorized - Invalid token or wrong code
+ *       '500':
+ *         description: Internal server error
  */
 
-router.route("/watchHistory").get(verifyJWT, getWatchHistory);
+router.route("/2fa/enable").post(twoFactorLimiter, verifyJWT, enableTwoFactor);
+
+/**
+ * @swagger
+ * /users/2fa/disable:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Disable two-factor authentication.
+ *     description: Disables 2FA with the password and a code from the authenticator app or a recovery code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: 2FA disabled
+ *       '400':
+ *         description: Bad Request - Missing data or 2FA not enabled
+ *       '401':
+ *         description: Unauthorized - Invalid token, password or code
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/2fa/disable")
+    .post(twoFactorLimiter, verifyJWT, disableTwoFactor);
+
+/**
+ * @swagger
+ * /users/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - 🔐 Authentication
+ *     summary: Regenerate the recovery codes.
+ *     description: Replaces the recovery codes with new ones, which are only shown once. Needs a code from the authenticator app.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       '200':
+ *         description: New recovery codes returned
+ *       '400':
+ *         description: Bad Request - Missing code or 2FA not enabled
+ *       '401':
+ *         description: Unauthorized - Invalid token or wrong code
+ *       '500':
+ *         description: Internal server error
+ */
+
+router
+    .route("/2fa/recovery-codes")
+    .post(twoFactorLimiter, verifyJWT, regenerateRecoveryCodes);
 
 export default router;
@@ -2,20 +2,44 @@ import { Router } from "express";
 import {
     deleteVideo,
     getAllVideos,
+    getTrendingVideos,
+    getVideosByTag,
+    getVideosByCategory,
+    getTrendingVideoTags,
+    getVideoCategories,
     getVideoById,
+    reportWatchProgress,
+    getVideoDashManifest,
+    getVideoHlsManifest,
+    getVideoProcessingStatus,
     getVideosByUserId,
     publishAVideo,
+    streamVideoFile,
+    streamVideoSegment,
     togglePublishStatus,
+    updateVideoVisibility,
     updateVideo,
 } from "../controllers/video.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
-import { upload } from "../middlewares/multer.middleware.js";
+import {
+    abortVideoUpload,
+    appendVideoChunk,
+    completeVideoUpload,
+    getVideoUploadStatus,
+    initVideoUpload,
+} from "../controllers/upload.controller.js";
+import {
+    optionalVerifyJWT,
+    requireVerifiedEmail,
+    verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { upload, uploadChunk } from "../middlewares/multer.middleware.js";
 import createRateLimiterWith from "../middlewares/ratelimit.middleware.js";
 
 const router = Router(); // create a new router object
 
 // Configure rate limiting with IP extraction
 const limiter = createRateLimiterWith(24, 0, 5); // 24 hours, 0 minutes, 5 requests
+const progressLimiter = createRateLimiterWith(0, 1, 30); // 1 minute, 30 requests, players report every few seconds
 
 /**
  * @swagger
@@ -23,18 +47,72 @@ const limiter = createRateLimiterWith(24, 0, 5); // 24 hours, 0 minutes, 5 reque
  *   get:
  *     tags:
  *       - 📹 Videos
- *     summary: Get all videos
- *     description: Retrieve a list of all videos.
+ *     summary: Search videos
+ *     description: Searches the published videos by title, tags and description, weighted in that order. Without a query all the published videos are listed. The response also counts the matching videos per duration and per channel (top 10), for the filters of a search page.
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: The search terms
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, older, views]
+ *         description: The sort order, relevance by default with a query and newest without
+ *       - in: query
+ *         name: minDuration
+ *         schema:
+ *           type: number
+ *         description: The minimum duration in seconds
+ *       - in: query
+ *         name: maxDuration
+ *         schema:
+ *           type: number
+ *         description: The maximum duration in seconds
+ *       - in: query
+ *         name: uploadDate
+ *         schema:
+ *           type: string
+ *           enum: [hour, today, week, month, year]
+ *         description: Only videos uploaded within this period
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *         description: The username of the channel
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: The ID of the channel owner
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: The number of videos per page (max 100)
  *     responses:
  *       200:
- *         description: A list of videos
+ *         description: The videos, the facets and the pagination details
+ *       400:
+ *         description: Bad Request - Invalid filter or sort order
+ *       404:
+ *         description: Channel not found
  *       500:
  *         description: Internal server error
  *   post:
  *     tags:
  *       - 📹 Videos
  *     summary: Publish a new video
- *     description: Publish a new video with a video file and thumbnail.
+ *     description: Accepts a new video with a video file and thumbnail. The video is processed in the background, poll its status until it is ready.
  *     security:
  *      - bearerAuth: []
  *     requestBody:
@@ -57,10 +135,27 @@ const limiter = createRateLimiterWith(24, 0, 5); // 24 hours, 0 minutes, 5 reque
  *                 type: string
  *                 description: The video description
  *                 example: This is my first video
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags, at most 15
+ *                 example: cooking, pasta
+ *               category:
+ *                 type: string
+ *                 description: The video category
+ *                 example: howto-style
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *                 description: Who can see the video, unlisted videos are only reachable by their link. Private by default when publishAt is set.
+ *                 default: public
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the video becomes public, must be in the future
  *               isPublished:
  *                 type: boolean
- *                 description: The video publish status
- *                 default: true
+ *                 deprecated: true
+ *                 description: Replaced by visibility, false makes the video private
  *               videoFile:
  *                 type: file
  *                 description: The video file
@@ -68,10 +163,12 @@ const limiter = createRateLimiterWith(24, 0, 5); // 24 hours, 0 minutes, 5 reque
  *                 type: file
  *                 description: The video thumbnail
  *     responses:
- *       201:
- *         description: Video published successfully
+ *       202:
+ *         description: Video accepted for processing
  *       400:
  *         description: Bad Request - Missing or invalid data
+ *       403:
+ *         description: Email address is not verified
  *       500:
  *         description: Internal server error
  */
@@ -81,6 +178,7 @@ router
     .post(
         limiter,
         verifyJWT,
+        requireVerifiedEmail,
         upload.fields([
             {
                 name: "videoFile",
@@ -94,6 +192,395 @@ router
         publishAVideo
     );
 
+/**
+ * @swagger
+ * /videos/uploads:
+ *   post:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Start a resumable video upload
+ *     description: Creates an upload session. The video is then sent in chunks and published once the upload is completed.
+ *     security:
+ *      - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *              - fileName
+ *              - fileSize
+ *              - mimeType
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *                 example: my-first-video.mp4
+ *               fileSize:
+ *                 type: integer
+ *                 description: The size of the video file in bytes
+ *                 example: 10485760
+ *               mimeType:
+ *                 type: string
+ *                 enum: [video/mp4, video/quicktime, video/x-matroska, video/webm, video/x-msvideo, video/x-m4v]
+ *                 description: The mime type of the video file, the stored file gets its extension from it
+ *                 example: video/mp4
+ *               checksum:
+ *                 type: string
+ *                 description: The sha256 (hex) of the whole video file, verified when the upload is completed
+ *     responses:
+ *       201:
+ *         description: Upload session created
+ *       400:
+ *         description: Bad Request - Missing or invalid data
+ *       403:
+ *         description: Email address is not verified
+ *       413:
+ *         description: Video file is too large
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/uploads")
+    .post(limiter, verifyJWT, requireVerifiedEmail, initVideoUpload);
+
+/**
+ * @swagger
+ * /videos/uploads/{uploadId}:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the status of a resumable upload
+ *     description: Returns the offset an interrupted upload has to be resumed from.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The upload session ID
+ *     responses:
+ *       200:
+ *         description: Upload session found
+ *       404:
+ *         description: Upload session not found or expired
+ *       500:
+ *         description: Internal server error
+ *   patch:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Upload a chunk of a video
+ *     description: Appends a chunk at the current offset of the upload.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The upload session ID
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The offset the chunk starts at
+ *       - in: header
+ *         name: Upload-Checksum
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checksum of the chunk as "sha256 <base64 digest>"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk uploaded
+ *       409:
+ *         description: Upload offset mismatch or another chunk is being written
+ *       460:
+ *         description: Chunk checksum mismatch
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Abort a resumable upload
+ *     description: Removes the upload session and the uploaded chunks.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The upload session ID
+ *     responses:
+ *       200:
+ *         description: Upload aborted
+ *       404:
+ *         description: Upload session not found or expired
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/uploads/:uploadId")
+    .get(verifyJWT, getVideoUploadStatus)
+    .patch(verifyJWT, uploadChunk, appendVideoChunk)
+    .delete(verifyJWT, abortVideoUpload);
+
+/**
+ * @swagger
+ * /videos/uploads/{uploadId}/complete:
+ *   post:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Complete a resumable upload
+ *     description: Queues the video for processing once all of its chunks are uploaded.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The upload session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *              - title
+ *              - description
+ *              - thumbnail
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: The video title
+ *                 example: My First Video
+ *               description:
+ *                 type: string
+ *                 description: The video description
+ *                 example: This is my first video
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags, at most 15
+ *                 example: cooking, pasta
+ *               category:
+ *                 type: string
+ *                 description: The video category
+ *                 example: howto-style
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *                 description: Who can see the video, unlisted videos are only reachable by their link. Private by default when publishAt is set.
+ *                 default: public
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the video becomes public, must be in the future
+ *               isPublished:
+ *                 type: boolean
+ *                 deprecated: true
+ *                 description: Replaced by visibility, false makes the video private
+ *               thumbnail:
+ *                 type: file
+ *                 description: The video thumbnail
+ *     responses:
+ *       202:
+ *         description: Video accepted for processing
+ *       409:
+ *         description: Upload is incomplete or already being completed
+ *       422:
+ *         description: File checksum mismatch
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/uploads/:uploadId/complete")
+    .post(verifyJWT, upload.single("thumbnail"), completeVideoUpload);
+
+/**
+ * @swagger
+ * /videos/trending:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the trending videos
+ *     description: Returns the published videos ranked by their views, likes and comments of the last days, where older engagement counts less. The lists are recomputed every few minutes for the whole world and for the regions with the most engagement; regions without their own list get the global one.
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: The ISO country code, defaults to the country of the request when the proxy in front of the API sets it
+ *         example: US
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: The category, all categories without it
+ *         example: music
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of videos (max 50)
+ *     responses:
+ *       200:
+ *         description: Trending videos fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid region or unknown category
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/trending").get(getTrendingVideos);
+
+/**
+ * @swagger
+ * /videos/tags:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the trending tags
+ *     description: Returns the tags used most by the videos published in the last days, with the number of videos and their views.
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         description: How many days back the videos are counted (max 90)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: The number of tags (max 100)
+ *     responses:
+ *       200:
+ *         description: Trending tags fetched successfully
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/tags").get(getTrendingVideoTags);
+
+/**
+ * @swagger
+ * /videos/tags/{tag}:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the videos with a tag
+ *     description: Returns the published videos with a tag. The tag is normalized like the tags of the videos, so "#Cooking" finds the videos tagged "cooking".
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The tag
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [newest, older, views]
+ *           default: newest
+ *         description: The sort order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: The number of videos per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Videos fetched successfully
+ *       400:
+ *         description: Bad Request - Invalid tag or sort order
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/tags/:tag").get(getVideosByTag);
+
+/**
+ * @swagger
+ * /videos/categories:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the video categories
+ *     description: Returns the categories a video can be filed under.
+ *     responses:
+ *       200:
+ *         description: Video categories fetched successfully
+ */
+router.route("/categories").get(getVideoCategories);
+
+/**
+ * @swagger
+ * /videos/categories/{category}:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the videos of a category
+ *     description: Returns the published videos of a category.
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The category
+ *         example: music
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [newest, older, views]
+ *           default: newest
+ *         description: The sort order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: The page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: The number of videos per page (max 100)
+ *     responses:
+ *       200:
+ *         description: Videos fetched successfully
+ *       400:
+ *         description: Bad Request - Unknown category or invalid sort order
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/categories/:category").get(getVideosByCategory);
+
 /**
  * @swagger
  * /videos/{videoId}:
@@ -122,7 +609,7 @@ router
  *     tags:
  *       - 📹 Videos
  *     summary: Delete a video by ID
- *     description: Delete a video by its ID.
+ *     description: Moves a video to the trash, it can be restored with PATCH /trash/videos/{id}/restore until it is purged together with its files.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -160,13 +647,12 @@ router
  *           schema:
  *             type: object
  *             required:
- *               - thumbnail
  *               - title
  *               - description
  *             properties:
  *               thumbnail:
  *                 type: file
- *                 description: The video thumbnail
+ *                 description: The new video thumbnail, the current one is kept without it
  *               title:
  *                 type: string
  *                 description: The video title
@@ -175,9 +661,19 @@ router
  *                 type: string
  *                 description: The video description
  *                 example: This is my updated video
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags, at most 15
+ *                 example: cooking, pasta
+ *               category:
+ *                 type: string
+ *                 description: The video category, empty to remove it
+ *                 example: howto-style
  *     responses:
  *       200:
  *         description: Video updated
+ *       400:
+ *         description: Bad Request - Invalid tags or category
  *       404:
  *         description: Video not found
  *       500:
@@ -189,14 +685,232 @@ router
     .delete(verifyJWT, deleteVideo)
     .patch(limiter, verifyJWT, upload.single("thumbnail"), updateVideo);
 
+/**
+ * @swagger
+ * /videos/{videoId}/status:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the processing status of a video
+ *     description: Returns the processing status (uploading, processing, ready, failed) of a video uploaded by the authenticated user.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     responses:
+ *       200:
+ *         description: Video status fetched
+ *       401:
+ *         description: Unauthorized Request
+ *       404:
+ *         description: Video not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:videoId/status").get(verifyJWT, getVideoProcessingStatus);
+
+/**
+ * @swagger
+ * /videos/{videoId}/stream.m3u8:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the HLS manifest of a video
+ *     description: Redirects to the HLS master playlist with every rendition of the video for adaptive bitrate streaming.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     responses:
+ *       202:
+ *         description: Video stream is being prepared, retry later
+ *       302:
+ *         description: Redirect to the manifest
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is not processed yet
+ *       503:
+ *         description: Streaming is not available for this video
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:videoId/stream.m3u8").get(verifyJWT, getVideoHlsManifest);
+
+/**
+ * @swagger
+ * /videos/{videoId}/stream.mpd:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get the DASH manifest of a video
+ *     description: Redirects to the DASH manifest with every rendition of the video for adaptive bitrate streaming.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     responses:
+ *       202:
+ *         description: Video stream is being prepared, retry later
+ *       302:
+ *         description: Redirect to the manifest
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is not processed yet
+ *       503:
+ *         description: Streaming is not available for this video
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:videoId/stream.mpd").get(verifyJWT, getVideoDashManifest);
+
+/**
+ * @swagger
+ * /videos/{videoId}/file:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Stream the video file
+ *     description: Streams a locally stored video file with support for the Range, If-Range and conditional request headers. Videos in other storages are redirected to their URL. Unpublished videos can only be fetched by their owner.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         description: The byte range to fetch
+ *         example: bytes=0-1048575
+ *     responses:
+ *       200:
+ *         description: The whole video file
+ *       206:
+ *         description: The requested range of the video file
+ *       302:
+ *         description: Redirect to the video file in the storage
+ *       304:
+ *         description: Video file not modified
+ *       404:
+ *         description: Video not found
+ *       416:
+ *         description: Range not satisfiable
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:videoId/file").get(optionalVerifyJWT, streamVideoFile);
+
+/**
+ * @swagger
+ * /videos/{videoId}/streams/{file}:
+ *   get:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Get a file of the adaptive stream of a video
+ *     description: Serves the HLS playlists and segments or the DASH manifest and segments created with ffmpeg, as referenced by the manifests of stream.m3u8 and stream.mpd. Private videos can only be fetched by their owner.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The path of the file in the stream folder
+ *         example: hls/master.m3u8
+ *     responses:
+ *       200:
+ *         description: The stream file
+ *       304:
+ *         description: Stream file not modified
+ *       404:
+ *         description: Video or stream file not found
+ *       409:
+ *         description: Video stream is not ready
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:videoId/streams/*").get(optionalVerifyJWT, streamVideoSegment);
+
+/**
+ * @swagger
+ * /videos/{videoId}/progress:
+ *   post:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Report the watch progress
+ *     description: Reports how far the viewer watched the video. A viewer, identified by their account or else their IP address, counts as one view per video within the dedup window. The view counts of the videos are updated every minute.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               position:
+ *                 type: number
+ *                 description: The playback position in seconds
+ *                 example: 42.5
+ *     responses:
+ *       200:
+ *         description: Watch progress saved
+ *       400:
+ *         description: Invalid video ID or position
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is not processed yet
+ *       500:
+ *         description: Internal server error
+ */
+router
+    .route("/:videoId/progress")
+    .post(progressLimiter, optionalVerifyJWT, reportWatchProgress);
+
 /**
  * @swagger
  * /videos/toggle-publish/{videoId}:
  *   patch:
  *     tags:
  *       - 📹 Videos
- *     summary: Toggle publish status of a video
- *     description: Toggle the publish status of a video by its ID.
+ *     summary: Toggle a video between public and private
+ *     description: Makes a public video private, and any other video public. Cancels the schedule of the video.
  *     security:
  *      - bearerAuth: []
  *     parameters:
@@ -209,6 +923,8 @@ router
  *     responses:
  *       200:
  *         description: Publish status toggled
+ *       403:
+ *         description: Video was unpublished by a moderator
  *       404:
  *         description: Video not found
  *       500:
@@ -216,6 +932,54 @@ router
  */
 router.route("/toggle-publish/:videoId").patch(verifyJWT, togglePublishStatus);
 
+/**
+ * @swagger
+ * /videos/{videoId}/visibility:
+ *   patch:
+ *     tags:
+ *       - 📹 Videos
+ *     summary: Set the visibility of a video
+ *     description: Sets who can see a video, and optionally schedules it to become public at publishAt. Subscribers are notified when the video becomes public.
+ *     security:
+ *      - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *                 description: Who can see the video until it is published. Defaults to the current visibility, or private when publishAt is set and the video is public.
+ *                 example: unlisted
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: When the video becomes public, must be in the future. Omit it or send null to cancel the schedule.
+ *     responses:
+ *       200:
+ *         description: Video visibility updated
+ *       400:
+ *         description: Invalid visibility or publishAt
+ *       403:
+ *         description: Video was unpublished by a moderator
+ *       404:
+ *         description: Video not found
+ *       500:
+ *         description: Internal server error
+ */
+router.route("/:videoId/visibility").patch(verifyJWT, updateVideoVisibility);
+
 /**
  * @swagger
  * /videos/u/my-videos:
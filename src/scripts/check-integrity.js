@@ -0,0 +1,336 @@
+/**
+ * Finds the orphans left behind by deletions which did not clean up after themselves: records
+ * which reference a video, comment, tweet or user which does not exist anymore, and playlist
+ * entries of deleted videos. The content in the trash still exists, so it is not reported.
+ * The engagement events of deleted videos are kept for the channel analytics, and the reports
+ * which were resolved for the moderation audit trail, so they are not reported either.
+ * With --fix the orphan records are removed like the deletions do (videos with what depends on
+ * them, comments keeping the replies of other users), the pending reports of missing content are
+ * dismissed and the playlist entries detached. Removing orphans can leave new ones (e.g. the
+ * likes of a removed comment), run the check again until it is clean.
+ * Exits with code 1 when orphans are found and not fixed.
+ * Usage: pnpm check-integrity [--fix]
+ */
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { PENDING_REPORT_STATUSES, Report } from "../models/report.model.js";
+import { cascadeVideoDeletion } from "../utils/cascade.js";
+
+/**
+ * Deletes orphan videos together with their files and what depends on them
+ * @param {Array<Object>} ids - The IDs of the videos
+ * @returns {Promise<void>}
+ */
+const deleteVideos = async (ids) => {
+    const videos = await Video.find({ _id: { $in: ids } })
+        .withDeleted()
+        .select("thumbnailPublicId videoPublicId");
+    await Video.deleteMany({ _id: { $in: ids } });
+    await cascadeVideoDeletion(videos);
+};
+
+/**
+ * Deletes orphan comments like by their author, with their likes and notifications
+ * @param {Array<Object>} ids - The IDs of the comments
+ * @returns {Promise<void>}
+ */
+const deleteComments = async (ids) => {
+    // Each comment is read again, as deleting a reply may have deleted its placeholder parent
+    for (const _id of ids) {
+        const comment = await Comment.findById(_id).withDeleted();
+        await comment?.deleteKeepingReplies();
+    }
+};
+
+/**
+ * Dismisses reports left in the moderator queue, they are kept for the audit trail
+ * @param {Array<Object>} ids - The IDs of the reports
+ * @returns {Promise<void>}
+ */
+const dismissReports = async (ids) => {
+    await Report.updateMany(
+        { _id: { $in: ids }, status: { $in: PENDING_REPORT_STATUSES } },
+        {
+            $set: {
+                status: "dismissed",
+                resolvedAt: new Date(),
+                resolutionNote: "The reported content does not exist anymore",
+            },
+        }
+    );
+};
+
+// Documents of `collection` whose `field` points to no document of `from`
+const REFERENCE_CHECKS = [
+    {
+        name: "Comments on missing videos",
+        collection: "comments",
+        field: "video",
+        from: "videos",
+        fix: deleteComments,
+    },
+    {
+        name: "Replies to missing comments",
+        collection: "comments",
+        field: "parentComment",
+        from: "comments",
+    },
+    {
+        name: "Comments of missing users",
+        collection: "comments",
+        field: "owner",
+        from: "users",
+        match: { isDeleted: { $ne: true } }, // Placeholders outlive their author
+        fix: deleteComments,
+    },
+    {
+        name: "Videos of missing users",
+        collection: "videos",
+        field: "owner",
+        from: "users",
+        fix: deleteVideos,
+    },
+    {
+        name: "Tweets of missing users",
+        collection: "tweets",
+        field: "author",
+        from: "users",
+    },
+    {
+        name: "Playlists of missing users",
+        collection: "playlists",
+        field: "owner",
+        from: "users",
+    },
+    {
+        name: "Likes of missing videos",
+        collection: "likes",
+        field: "target",
+        from: "videos",
+        match: { targetType: "Video" },
+    },
+    {
+        name: "Likes of missing comments",
+        collection: "likes",
+        field: "target",
+        from: "comments",
+        match: { targetType: "Comment" },
+    },
+    {
+        name: "Likes of missing tweets",
+        collection: "likes",
+        field: "target",
+        from: "tweets",
+        match: { targetType: "Tweet" },
+    },
+    {
+        name: "Likes by missing users",
+        collection: "likes",
+        field: "likedBy",
+        from: "users",
+        // The reactions are removed from the counters of what they reacted to
+        fix: (ids) => Like.deleteWithCounters({ _id: { $in: ids } }),
+    },
+    {
+        name: "Watch history of missing videos",
+        collection: "watchhistories",
+        field: "video",
+        from: "videos",
+    },
+    {
+        name: "Watch history of missing users",
+        collection: "watchhistories",
+        field: "user",
+        from: "users",
+    },
+    {
+        name: "Views of missing videos",
+        collection: "viewevents",
+        field: "video",
+        from: "videos",
+    },
+    {
+        name: "Notifications of missing videos",
+        collection: "notifications",
+        field: "video",
+        from: "videos",
+    },
+    {
+        name: "Notifications of missing comments",
+        collection: "notifications",
+        field: "comment",
+        from: "comments",
+    },
+    {
+        name: "Notifications of missing users",
+        collection: "notifications",
+        field: "recipient",
+        from: "users",
+    },
+    {
+        name: "Subscriptions of missing subscribers",
+        collection: "subscriptions",
+        field: "subscriber",
+        from: "users",
+    },
+    {
+        name: "Subscriptions to missing channels",
+        collection: "subscriptions",
+        field: "channel",
+        from: "users",
+    },
+    {
+        name: "Relations of missing users",
+        collection: "userrelations",
+        field: "user",
+        from: "users",
+    },
+    {
+        name: "Relations to missing users",
+        collection: "userrelations",
+        field: "target",
+        from: "users",
+    },
+    {
+        name: "Engagement events of missing channels",
+        collection: "engagementevents",
+        field: "channel",
+        from: "users",
+    },
+    ...[
+        ["videos", "Video"],
+        ["comments", "Comment"],
+        ["tweets", "Tweet"],
+    ].map(([from, targetType]) => ({
+        name: `Pending reports of missing ${from}`,
+        collection: "reports",
+        field: "target",
+        from,
+        match: { targetType, status: { $in: PENDING_REPORT_STATUSES } },
+        fix: dismissReports,
+    })),
+];
+
+/**
+ * Returns the IDs of the documents whose reference points to no document
+ * @param {Object} check - The reference check ({ collection, field, from, match })
+ * @returns {Promise<Array<Object>>} - The IDs of the orphans
+ */
+const findOrphans = async ({ collection, field, from, match = {} }) => {
+    const orphans = await mongoose.connection
+        .collection(collection)
+        .aggregate([
+            { $match: { ...match, [field]: { $ne: null } } },
+            {
+                $lookup: {
+                    from,
+                    localField: field,
+                    foreignField: "_id",
+                    as: "referenced",
+                    pipeline: [{ $project: { _id: 1 } }],
+                },
+            },
+            { $match: { referenced: { $size: 0 } } },
+            { $project: { _id: 1 } },
+        ])
+        .toArray();
+    return orphans.map(({ _id }) => _id);
+};
+
+/**
+ * Returns the playlists which hold videos that do not exist anymore
+ * @returns {Promise<Array<Object>>} - The playlists ({ _id, missing }) with the missing video IDs
+ */
+const findPlaylistOrphans = async () => {
+    return await mongoose.connection
+        .collection("playlists")
+        .aggregate([
+            { $match: { "videos.0": { $exists: true } } },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "videos",
+                    foreignField: "_id",
+                    as: "existing",
+                    pipeline: [{ $project: { _id: 1 } }],
+                },
+            },
+            {
+                $project: {
+                    missing: { $setDifference: ["$videos", "$existing._id"] },
+                },
+            },
+            { $match: { "missing.0": { $exists: true } } },
+        ])
+        .toArray();
+};
+
+/**
+ * Prints the result of a check with a few of the IDs found
+ * @param {string} name - The check name
+ * @param {Array<Object>} ids - The IDs of the orphans
+ */
+const report = (name, ids) => {
+    const sample = ids.slice(0, 5).join(", ");
+    console.log(
+        `${name}: ${ids.length}${ids.length ? ` (${sample}${ids.length > 5 ? ", ..." : ""})` : ""}`
+    );
+};
+
+const shouldFix = process.argv.includes("--fix");
+
+await connectToDB();
+
+try {
+    let total = 0;
+
+    for (const check of REFERENCE_CHECKS) {
+        const ids = await findOrphans(check);
+        report(check.name, ids);
+        total += ids.length;
+
+        if (shouldFix && ids.length) {
+            await (check.fix
+                ? check.fix(ids)
+                : mongoose.connection
+                      .collection(check.collection)
+                      .deleteMany({ _id: { $in: ids } }));
+        }
+    }
+
+    const playlists = await findPlaylistOrphans();
+    report(
+        "Playlists with missing videos",
+        playlists.map(({ _id }) => _id)
+    );
+    total += playlists.length;
+
+    if (shouldFix && playlists.length) {
+        await mongoose.connection.collection("playlists").bulkWrite(
+            playlists.map(({ _id, missing }) => ({
+                updateOne: {
+                    filter: { _id },
+                    update: { $pull: { videos: { $in: missing } } },
+                },
+            })),
+            { ordered: false }
+        );
+    }
+
+    if (!total) {
+        console.log("No orphans found");
+    } else if (shouldFix) {
+        console.log(`Removed, dismissed or detached ${total} orphans`);
+    } else {
+        console.log(`Found ${total} orphans, run with --fix to remove them`);
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error("Integrity check failed: ", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,65 @@
+/**
+ * Checks that the soft delete plugin adds its condition to the aggregation pipelines in a way
+ * MongoDB accepts: merged into the $match with $text of the text search (which must stay the
+ * first stage, error 17313 otherwise), after the stages which must stay first, and not at all
+ * when the pipeline has its own condition on deletedAt. Runs without a database.
+ * Usage: pnpm check-soft-delete
+ */
+import assert from "node:assert/strict";
+import { filterDeletedStages } from "../models/plugins/softDelete.plugin.js";
+import textSearch from "../utils/search/text.search.js";
+
+const CHECKS = [
+    {
+        name: "Pipeline without a search",
+        pipeline: [{ $match: { owner: "user" } }],
+        expected: [
+            { $match: { deletedAt: null } },
+            { $match: { owner: "user" } },
+        ],
+    },
+    {
+        name: "Text search",
+        pipeline: [...textSearch.getSearchStages("cats"), { $limit: 10 }],
+        expected: [
+            { $match: { $text: { $search: "cats" }, deletedAt: null } },
+            { $addFields: { searchScore: { $meta: "textScore" } } },
+            { $limit: 10 },
+        ],
+    },
+    {
+        name: "Atlas search",
+        pipeline: [{ $search: { text: { query: "cats" } } }, { $limit: 10 }],
+        expected: [
+            { $search: { text: { query: "cats" } } },
+            { $match: { deletedAt: null } },
+            { $limit: 10 },
+        ],
+    },
+    {
+        name: "Trash",
+        pipeline: [{ $match: { deletedAt: { $ne: null } } }],
+        expected: [{ $match: { deletedAt: { $ne: null } } }],
+    },
+    {
+        name: "Empty pipeline",
+        pipeline: [],
+        expected: [{ $match: { deletedAt: null } }],
+    },
+];
+
+let failed = 0;
+for (const { name, pipeline, expected } of CHECKS) {
+    try {
+        filterDeletedStages(pipeline);
+        assert.deepEqual(pipeline, expected);
+        console.log(`${name}: ok`);
+    } catch (error) {
+        console.error(`${name}: failed\n${error.message}`);
+        failed += 1;
+    }
+}
+
+if (failed) {
+    process.exitCode = 1;
+}
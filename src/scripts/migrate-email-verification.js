@@ -0,0 +1,26 @@
+/**
+ * Marks the accounts created before email verification existed as verified, so that they can
+ * keep publishing. Accounts created since have the flag set and are left as they are.
+ * The script can be run again safely, it only updates users which have no flag yet.
+ * Usage: pnpm migrate-email-verification
+ */
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+
+await connectToDB();
+
+try {
+    const users = mongoose.connection.collection("users");
+
+    const { modifiedCount } = await users.updateMany(
+        { isEmailVerified: { $exists: false } },
+        { $set: { isEmailVerified: true } }
+    );
+
+    console.log(`Marked ${modifiedCount} existing users as verified`);
+} catch (error) {
+    console.error("Email verification migration failed: ", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,138 @@
+/**
+ * Migrates the likes from the old shape, one document per user with videos, comments and
+ * tweets arrays, to one document per (user, target, targetType), then recounts the
+ * likesCount and dislikesCount of every video, comment and tweet.
+ * The script can be run again safely, it only converts documents of the old shape.
+ * Usage: pnpm migrate-likes
+ */
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+import { Like, REACTION_COUNT_FIELDS } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+
+const LEGACY_ARRAYS = { videos: "Video", comments: "Comment", tweets: "Tweet" };
+const TARGET_MODELS = { Video, Comment, Tweet };
+
+/**
+ * Drops the unique likedBy index of the old shape, which allows only one document per user
+ * @param {Object} collection - The likes collection
+ */
+const dropLegacyIndex = async (collection) => {
+    const indexes = await collection.indexes();
+    if (indexes.some((index) => index.name === "likedBy_1")) {
+        await collection.dropIndex("likedBy_1");
+        console.log("Dropped the legacy likedBy_1 index");
+    }
+};
+
+/**
+ * Converts every document of the old shape into one like per array entry
+ * @param {Object} collection - The likes collection
+ * @returns {Promise<number>} - The number of converted documents
+ */
+const convertLegacyLikes = async (collection) => {
+    const cursor = collection.find({
+        $or: Object.keys(LEGACY_ARRAYS).map((field) => ({
+            [field]: { $exists: true },
+        })),
+    });
+
+    let converted = 0;
+    for await (const legacy of cursor) {
+        const operations = [];
+        for (const [field, targetType] of Object.entries(LEGACY_ARRAYS)) {
+            for (const target of new Set(
+                (legacy[field] || []).map((id) => id.toString())
+            )) {
+                operations.push({
+                    updateOne: {
+                        filter: { likedBy: legacy.likedBy, target, targetType },
+                        update: {
+                            $setOnInsert: {
+                                reaction: "like",
+                                createdAt: legacy.updatedAt || new Date(),
+                                updatedAt: legacy.updatedAt || new Date(),
+                            },
+                        },
+                        upsert: true,
+                    },
+                });
+            }
+        }
+
+        if (operations.length) {
+            await Like.bulkWrite(operations, {
+                ordered: false,
+                timestamps: false,
+            });
+        }
+        await collection.deleteOne({ _id: legacy._id });
+        converted++;
+    }
+
+    return converted;
+};
+
+/**
+ * Recomputes the reaction counters of every video, comment and tweet from the likes
+ */
+const recountReactions = async () => {
+    for (const [targetType, Target] of Object.entries(TARGET_MODELS)) {
+        const resetFields = Object.fromEntries(
+            Object.values(REACTION_COUNT_FIELDS)
+                .filter((field) => Target.schema.path(field))
+                .map((field) => [field, 0])
+        );
+        await Target.updateMany({}, { $set: resetFields });
+
+        const counts = await Like.aggregate([
+            { $match: { targetType } },
+            {
+                $group: {
+                    _id: { target: "$target", reaction: "$reaction" },
+                    count: { $sum: 1 },
+                },
+            },
+        ]);
+
+        const operations = counts
+            .filter(({ _id }) =>
+                Target.schema.path(REACTION_COUNT_FIELDS[_id.reaction])
+            )
+            .map(({ _id, count }) => ({
+                updateOne: {
+                    filter: { _id: _id.target },
+                    update: {
+                        $set: { [REACTION_COUNT_FIELDS[_id.reaction]]: count },
+                    },
+                },
+            }));
+
+        if (operations.length) {
+            await Target.bulkWrite(operations, { ordered: false });
+        }
+        console.log(
+            `Recounted the reactions of ${operations.length} ${targetType} targets`
+        );
+    }
+};
+
+await connectToDB();
+
+try {
+    const collection = mongoose.connection.collection("likes");
+
+    await dropLegacyIndex(collection);
+    const converted = await convertLegacyLikes(collection);
+    console.log(`Converted ${converted} legacy like documents`);
+
+    await Like.syncIndexes();
+    await recountReactions();
+} catch (error) {
+    console.error("Likes migration failed: ", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,30 @@
+/**
+ * Moves the files the local storage driver stored in public/uploads to the local storage
+ * directory (LOCAL_STORAGE_DIR), which is not served as static files. The URLs stored in the
+ * database do not change, the files are still served under /uploads.
+ * Files which already exist in the local storage directory are kept.
+ * The script can be run again safely, it only moves what is left in public/uploads.
+ * Usage: pnpm migrate-local-media
+ */
+import fs from "fs";
+import path from "path";
+import DATA from "../config.js";
+
+const OLD_DIR = path.resolve("public/uploads");
+const NEW_DIR = path.resolve(DATA.storage.localDir);
+
+try {
+    if (!fs.existsSync(OLD_DIR)) {
+        console.log("Nothing to move, public/uploads does not exist");
+    } else {
+        await fs.promises.cp(OLD_DIR, NEW_DIR, {
+            recursive: true,
+            force: false,
+        });
+        await fs.promises.rm(OLD_DIR, { recursive: true, force: true });
+        console.log(`Moved the local media from ${OLD_DIR} to ${NEW_DIR}`);
+    }
+} catch (error) {
+    console.error("Local media migration failed: ", error);
+    process.exitCode = 1;
+}
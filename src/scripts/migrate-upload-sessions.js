@@ -0,0 +1,44 @@
+/**
+ * Replaces the TTL index of the upload sessions, which removed the sessions without their part
+ * files, by the plain index the upload cleanup job uses, and moves the part files of the
+ * unfinished uploads from public/temp/chunks to the chunks folder outside of the public folder.
+ * The script can be run again safely, it only drops the index if it is still a TTL index.
+ * Usage: pnpm migrate-upload-sessions
+ */
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { CHUNKS_DIR } from "../utils/uploadParts.js";
+
+const OLD_CHUNKS_DIR = path.resolve("public/temp/chunks");
+
+await connectToDB();
+
+try {
+    const indexes = await UploadSession.collection.indexes();
+    const ttlIndex = indexes.find(
+        (index) =>
+            index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined
+    );
+    if (ttlIndex) {
+        await UploadSession.collection.dropIndex(ttlIndex.name);
+        console.log(`Dropped the TTL index ${ttlIndex.name}`);
+    }
+    await UploadSession.createIndexes();
+
+    if (fs.existsSync(OLD_CHUNKS_DIR)) {
+        await fs.promises.cp(OLD_CHUNKS_DIR, CHUNKS_DIR, {
+            recursive: true,
+            force: false,
+        });
+        await fs.promises.rm(OLD_CHUNKS_DIR, { recursive: true, force: true });
+        console.log(`Moved the part files to ${CHUNKS_DIR}`);
+    }
+} catch (error) {
+    console.error("Upload sessions migration failed: ", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -0,0 +1,42 @@
+/**
+ * Replaces the isPublished flag of the videos with their visibility: published videos become
+ * public, with their creation time as the time they were published, and the others private.
+ * The script can be run again safely, it only converts videos which have no visibility yet.
+ * Usage: pnpm migrate-video-visibility
+ */
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+import { Video } from "../models/video.model.js";
+
+await connectToDB();
+
+try {
+    const videos = mongoose.connection.collection("videos");
+    // isPublished defaulted to true, videos without the flag were published
+    const isPublished = { $ne: ["$isPublished", false] };
+
+    const { modifiedCount } = await videos.updateMany(
+        { visibility: { $exists: false } },
+        [
+            {
+                $set: {
+                    visibility: {
+                        $cond: [isPublished, "public", "private"],
+                    },
+                    publishedAt: {
+                        $cond: [isPublished, "$createdAt", "$$REMOVE"],
+                    },
+                },
+            },
+            { $unset: "isPublished" },
+        ]
+    );
+
+    await Video.syncIndexes();
+    console.log(`Converted ${modifiedCount} videos`);
+} catch (error) {
+    console.error("Video visibility migration failed: ", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
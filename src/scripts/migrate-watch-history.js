@@ -0,0 +1,55 @@
+/**
+ * Moves the watch histories stored as an array of video IDs on the users to the
+ * watchhistories collection, then removes the arrays.
+ * The arrays have no timestamps, so the entries get decreasing times from the last update
+ * of the user, which keeps their order.
+ * The script can be run again safely, it only converts users which still have the array.
+ * Usage: pnpm migrate-watch-history
+ */
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+
+await connectToDB();
+
+try {
+    const users = mongoose.connection.collection("users");
+    const cursor = users.find(
+        { watchHistory: { $exists: true } },
+        { projection: { watchHistory: 1, updatedAt: 1 } }
+    );
+
+    let converted = 0;
+    for await (const user of cursor) {
+        const lastUpdate = (user.updatedAt || new Date()).getTime();
+        const operations = (user.watchHistory || []).map((video, index) => ({
+            updateOne: {
+                filter: { user: user._id, video },
+                update: {
+                    $setOnInsert: {
+                        lastWatchedAt: new Date(lastUpdate - index * 1000),
+                        position: 0,
+                    },
+                },
+                upsert: true,
+            },
+        }));
+
+        if (operations.length) {
+            await WatchHistory.bulkWrite(operations, { ordered: false });
+        }
+        await users.updateOne(
+            { _id: user._id },
+            { $unset: { watchHistory: 1 } }
+        );
+        converted++;
+    }
+
+    await WatchHistory.syncIndexes();
+    console.log(`Moved the watch history of ${converted} users`);
+} catch (error) {
+    console.error("Watch history migration failed: ", error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
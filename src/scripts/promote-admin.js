@@ -0,0 +1,36 @@
+/**
+ * Gives the admin role to an existing user, so that the first admin can be created
+ * without the admin API.
+ * Usage: pnpm promote-admin <email or username>
+ */
+import mongoose from "mongoose";
+import connectToDB from "../db/index.js";
+import { User } from "../models/user.model.js";
+
+const identifier = process.argv[2]?.trim().toLowerCase();
+
+if (!identifier) {
+    console.error("Usage: pnpm promote-admin <email or username>");
+    process.exit(1);
+}
+
+await connectToDB();
+
+try {
+    const user = await User.findOneAndUpdate(
+        { $or: [{ email: identifier }, { username: identifier }] },
+        { $set: { role: "admin" } },
+        { new: true }
+    );
+
+    if (!user) {
+        console.error(
+            `No user found with the email or username "${identifier}"`
+        );
+        process.exitCode = 1;
+    } else {
+        console.log(`${user.username} (${user.email}) is now an admin`);
+    }
+} finally {
+    await mongoose.disconnect();
+}
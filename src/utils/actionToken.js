@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import DATA from "../config.js";
+import ApiError from "./ApiError.js";
+import { ActionToken } from "../models/actionToken.model.js";
+
+const EXPIRATIONS = {
+    "verify-email": () => DATA.tokens.emailVerificationExpiration,
+    "reset-password": () => DATA.tokens.passwordResetExpiration,
+};
+
+/**
+ * Creates a signed, expiring, single-use token which lets a user perform an action from an email link.
+ * The unused tokens the user already has for the same action stop working.
+ * @param {string} userId - The ID of the user
+ * @param {string} purpose - The action (verify-email, reset-password)
+ * @returns {Promise<string>} - The signed token
+ */
+export const createActionToken = async (userId, purpose) => {
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+        { _id: userId, purpose },
+        DATA.tokens.actionTokenSecret,
+        { expiresIn: EXPIRATIONS[purpose](), jwtid: tokenId }
+    );
+
+    await ActionToken.deleteMany({ user: userId, purpose, usedAt: null });
+    await ActionToken.create({
+        user: userId,
+        purpose,
+        tokenId,
+        expiresAt: new Date(jwt.decode(token).exp * 1000),
+    });
+
+    return token;
+};
+
+/**
+ * Verifies an action token and marks it as used, so that it cannot be used again
+ * @param {string} token - The signed token
+ * @param {string} purpose - The action the token has to be for
+ * @returns {Promise<string>} - The ID of the user the token belongs to
+ * @throws {ApiError} - If the token is invalid, expired, for another action or already used
+ */
+export const consumeActionToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, DATA.tokens.actionTokenSecret);
+    } catch (error) {
+        throw new ApiError(400, "Invalid or expired token");
+    }
+
+    if (decoded?.purpose !== purpose || !decoded?.jti) {
+        throw new ApiError(400, "Invalid or expired token");
+    }
+
+    const actionToken = await ActionToken.findOneAndUpdate(
+        { tokenId: decoded.jti, purpose, user: decoded._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    if (!actionToken) {
+        throw new ApiError(400, "Invalid or expired token");
+    }
+
+    return decoded._id;
+};
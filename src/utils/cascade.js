@@ -0,0 +1,138 @@
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Like } from "../models/like.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Session } from "../models/session.model.js";
+import { ActionToken } from "../models/actionToken.model.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { EngagementEvent } from "../models/engagementEvent.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { deleteFile, deleteVideoFile } from "./fileUpload.js";
+import { removeVideoStreams } from "./streaming.js";
+import { removeUploadParts } from "./uploadParts.js";
+
+/**
+ * Removes what depends on videos which were deleted: their files in the storage, their comments
+ * with the likes of these, their likes, views, watch history entries and notifications, and
+ * detaches them from the playlists. The engagement events are kept for the channel analytics.
+ * A file which cannot be removed from the storage is only logged, the videos are gone already.
+ * @param {Array<Object>} videos - The deleted videos ({ _id, thumbnailPublicId, videoPublicId })
+ * @returns {Promise<void>}
+ */
+export const cascadeVideoDeletion = async (videos) => {
+    if (!videos.length) return;
+    const videoIds = videos.map((video) => video._id);
+
+    for (const video of videos) {
+        const delThumbnail = await deleteFile(video.thumbnailPublicId);
+        const delVideo = await deleteVideoFile(video.videoPublicId);
+        await removeVideoStreams(video._id.toString()); // Segments created with ffmpeg, if any
+
+        // Videos which were never processed may not have their files in the storage
+        if (
+            (video.thumbnailPublicId && delThumbnail?.result !== "ok") ||
+            (video.videoPublicId && delVideo?.result !== "ok")
+        ) {
+            console.log(`Failed to delete the files of video ${video._id}`);
+        }
+    }
+
+    const commentIds = await Comment.find({
+        video: { $in: videoIds },
+    })
+        .withDeleted()
+        .distinct("_id");
+
+    await Promise.all([
+        Comment.deleteMany({ _id: { $in: commentIds } }),
+        Like.deleteMany({
+            $or: [
+                { target: { $in: videoIds }, targetType: "Video" },
+                { target: { $in: commentIds }, targetType: "Comment" },
+            ],
+        }),
+        ViewEvent.deleteMany({ video: { $in: videoIds } }),
+        WatchHistory.deleteMany({ video: { $in: videoIds } }),
+        Notification.deleteMany({
+            $or: [
+                { video: { $in: videoIds } },
+                { comment: { $in: commentIds } },
+            ],
+        }),
+        Playlist.updateMany(
+            { videos: { $in: videoIds } },
+            { $pull: { videos: { $in: videoIds } } }
+        ).withDeleted(),
+        UploadSession.updateMany(
+            { video: { $in: videoIds } },
+            { $unset: { video: 1 } }
+        ),
+    ]);
+};
+
+/**
+ * Removes what depends on a user who was deleted: their stored images, their videos with
+ * cascadeVideoDeletion, tweets, playlists, subscriptions, sessions, tokens, upload sessions with
+ * their part files, analytics, notifications and relations. Their likes are removed from the
+ * counters of what they liked, and their comments on the other videos are deleted like by their
+ * author, so that the replies of the other users survive under a placeholder. The content in the
+ * trash is included.
+ * Reports and moderation actions are kept for the audit trail.
+ * @param {Object} user - The deleted user document
+ * @returns {Promise<void>}
+ */
+export const cascadeUserDeletion = async (user) => {
+    await deleteFile(user.avatarPublicId);
+    await deleteFile(user.coverImagePublicId);
+
+    const videos = await Video.find({ owner: user._id })
+        .withDeleted()
+        .select("thumbnailPublicId videoPublicId");
+    await Video.deleteMany({ owner: user._id });
+    await cascadeVideoDeletion(videos);
+
+    // Each comment is read again, as deleting a reply may have deleted its placeholder parent
+    const commentIds = await Comment.find({ owner: user._id })
+        .withDeleted()
+        .distinct("_id");
+    for (const _id of commentIds) {
+        const comment = await Comment.findById(_id).withDeleted();
+        await comment?.deleteKeepingReplies();
+    }
+
+    const tweetIds = await Tweet.find({ author: user._id })
+        .withDeleted()
+        .distinct("_id");
+
+    // The reactions of the user are removed from the counters of what they reacted to
+    await Like.deleteWithCounters({ likedBy: user._id });
+
+    await removeUploadParts(
+        await UploadSession.find({ owner: user._id }).select("_id")
+    );
+
+    await Promise.all([
+        Tweet.deleteMany({ _id: { $in: tweetIds } }),
+        Like.deleteMany({ target: { $in: tweetIds }, targetType: "Tweet" }),
+        Playlist.deleteMany({ owner: user._id }),
+        Subscription.deleteMany({
+            $or: [{ subscriber: user._id }, { channel: user._id }],
+        }),
+        Session.deleteMany({ user: user._id }),
+        ActionToken.deleteMany({ user: user._id }),
+        UploadSession.deleteMany({ owner: user._id }),
+        EngagementEvent.deleteMany({ channel: user._id }),
+        Notification.deleteMany({
+            $or: [{ recipient: user._id }, { actor: user._id }],
+        }),
+        WatchHistory.deleteMany({ user: user._id }),
+        UserRelation.deleteMany({
+            $or: [{ user: user._id }, { target: user._id }],
+        }),
+    ]);
+};
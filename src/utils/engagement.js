@@ -0,0 +1,34 @@
+import DATA from "../config.js";
+import { EngagementEvent } from "../models/engagementEvent.model.js";
+
+/**
+ * Reads the country of a request from the header set by the proxy or CDN in front of the API
+ * (DATA.trending.regionHeader, e.g. CF-IPCountry on Cloudflare)
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} - The ISO 3166-1 alpha-2 country code, undefined if unknown
+ */
+export const getRequestRegion = (req) => {
+    const region = String(req.get(DATA.trending.regionHeader) || "")
+        .trim()
+        .toUpperCase();
+    return /^[A-Z]{2}$/.test(region) ? region : undefined;
+};
+
+/**
+ * Records engagement events for the channel analytics.
+ * Failures are only logged, the analytics must never fail the action which is recorded.
+ * @param {Object|Object[]} events - The events ({ channel, video, actor, type, delta, region })
+ * @returns {Promise<void>}
+ */
+export const recordEngagement = async (events) => {
+    const list = (Array.isArray(events) ? events : [events]).filter(
+        (event) => event?.channel
+    );
+    if (!list.length) return;
+
+    try {
+        await EngagementEvent.insertMany(list, { ordered: false });
+    } catch (error) {
+        console.log("Failed to record the engagement events: ", error);
+    }
+};
@@ -0,0 +1,47 @@
+import { EventEmitter } from "events";
+
+/**
+ * Events published by the controllers and jobs, the listeners in src/listeners react to them
+ * - subscription.created: { subscriber, channel }
+ * - comment.created: { comment, video } (replies have comment.parentComment)
+ * - video.liked: { video, actor }
+ * - video.published: { video }
+ * - video.countersChanged: { videoId } (views, reactions or comments of the video changed)
+ * - video.statusChanged: { video } (processing or streaming status of an upload changed)
+ * - notification.created: { notifications }
+ */
+export const APP_EVENTS = {
+    SUBSCRIPTION_CREATED: "subscription.created",
+    COMMENT_CREATED: "comment.created",
+    VIDEO_LIKED: "video.liked",
+    VIDEO_PUBLISHED: "video.published",
+    VIDEO_COUNTERS_CHANGED: "video.countersChanged",
+    VIDEO_STATUS_CHANGED: "video.statusChanged",
+    NOTIFICATION_CREATED: "notification.created",
+};
+
+const emitter = new EventEmitter();
+
+/**
+ * Publishes an event. The listeners run after the current request, their failures do not affect it.
+ * @param {string} name - The event name, one of APP_EVENTS
+ * @param {Object} payload - The event data
+ */
+export const publishEvent = (name, payload) => {
+    emitter.emit(name, payload);
+};
+
+/**
+ * Registers a listener of an event, errors of the listener are logged
+ * @param {string} name - The event name, one of APP_EVENTS
+ * @param {Function} listener - Async function called with the payload
+ */
+export const onEvent = (name, listener) => {
+    emitter.on(name, async (payload) => {
+        try {
+            await listener(payload);
+        } catch (error) {
+            console.log(`Listener of ${name} failed: `, error);
+        }
+    });
+};
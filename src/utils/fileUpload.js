@@ -1,103 +1,118 @@
-import cloudinary from "cloudinary";
 import fs from "fs";
 import DATA from "../config.js";
+import cloudinaryStorage from "./storage/cloudinary.storage.js";
+import localStorage from "./storage/local.storage.js";
 
-// Configure Cloudinary
-cloudinary.v2.config({
-    cloud_name: DATA.cloudinary.cloud_name,
-    api_key: DATA.cloudinary.api_key,
-    api_secret: DATA.cloudinary.api_secret,
-});
+/**
+ * Available storage drivers. Every driver implements:
+ * - upload(localFilePath, folder) => { url, publicId, resourceType, duration, bytes }
+ * - remove(publicId, resourceType) => { result: "ok" } on success
+ * - removeFolder(folderPath)
+ * - getSignedUrl(publicId, { resourceType, expiresIn }) => string
+ */
+const drivers = {
+    cloudinary: cloudinaryStorage,
+    local: localStorage,
+};
+
+const storage = drivers[DATA.storage.driver];
+
+if (!storage) {
+    throw new Error(
+        `Unknown storage driver "${DATA.storage.driver}", expected one of: ${Object.keys(
+            drivers
+        ).join(", ")}`
+    );
+}
 
 /**
- * Uploads a file to Cloudinary
+ * Uploads a file to the configured storage
  * @param {string} localFilePath - The local path of the file to upload
  * @param {string} folderName - The name of the folder to upload the file to
- * @returns {Promise<Object|null>} - The uploaded file details or null if upload fails
+ * @param {Object} [options]
+ * @param {boolean} [options.keepOnFailure=false] - Keep the local file if the upload fails, so that it can be retried
+ * @returns {Promise<Object|null>} - The uploaded file details ({ url, publicId, resourceType, duration, bytes }) or null if upload fails
  */
-export const uploadOnCloudinary = async (localFilePath, folderName) => {
+export const uploadFile = async (
+    localFilePath,
+    folderName,
+    { keepOnFailure = false } = {}
+) => {
+    let uploadedFile = null;
     try {
         if (!localFilePath) return null; // If file does not exist, return null
 
-        const uploadedFile = await cloudinary.v2.uploader.upload(
+        uploadedFile = await storage.upload(
             localFilePath,
-            {
-                folder: `yt-clone-backend/${folderName}`,
-                resource_type: "auto",
-            }
-        ); // Upload file on cloudinary
-        // console.log(uploadedFile);
+            `${DATA.storage.rootFolder}/${folderName}`
+        ); // Upload file on the storage
 
-        fs.unlinkSync(localFilePath); // Delete file from local storage as it is uploaded on cloudinary
         return uploadedFile; // Return the uploaded file
     } catch (error) {
-        fs.unlinkSync(localFilePath); // Delete file from local storage as it is not uploaded on cloudinary
-        // console.log("Error while uploading file: ", error);
+        console.log("Error while uploading file: ", error);
+        return null;
+    } finally {
+        // Delete file from local temp storage once it is uploaded, or when it will not be retried
+        if (
+            (uploadedFile || !keepOnFailure) &&
+            localFilePath &&
+            fs.existsSync(localFilePath)
+        ) {
+            fs.unlinkSync(localFilePath);
+        }
     }
 };
 
 /**
- * Deletes a file from Cloudinary
+ * Deletes a file from the configured storage
  * @param {string} publicId - The public ID of the file to delete
+ * @param {string} [resourceType="image"] - The resource type of the file (image, video, raw)
  * @returns {Promise<Object|null>} - The result of the deletion or null if deletion fails
  */
-export const deleteFromCloudinary = async (publicId) => {
+export const deleteFile = async (publicId, resourceType = "image") => {
     try {
         if (!publicId) return null; // If publicId does not exist, return null
-        const deletedFile = await cloudinary.v2.uploader.destroy(publicId); // Delete file from cloudinary
+        const deletedFile = await storage.remove(publicId, resourceType); // Delete file from storage
         return deletedFile; // Return the deleted file
     } catch (error) {
         console.log("Error while deleting file: ", error);
+        return null;
     }
 };
 
 /**
- * Deletes a video file from Cloudinary
+ * Deletes a video file from the configured storage
  * @param {string} publicId - The public ID of the file to delete
  * @returns {Promise<Object|null>} - The result of the deletion or null if deletion fails
  */
-export const deleteVideoCloudinary = async (publicId) => {
-    try {
-        if (!publicId) return null; // If publicId does not exist, return null
-        const deletedFile = await cloudinary.v2.uploader.destroy(publicId, {
-            resource_type: "video",
-        }); // Delete file from cloudinary
-        return deletedFile; // Return the deleted file
-    } catch (error) {
-        console.log("Error while deleting file: ", error);
-    }
+export const deleteVideoFile = async (publicId) => {
+    return await deleteFile(publicId, "video");
 };
 
-// Recursively delete all files from a folder in Cloudinary
-export const deleteAllFilesFromCloudinary = async (
-    folderPath = "yt-clone-backend"
-) => {
+/**
+ * Recursively deletes all files from a folder in the configured storage
+ * @param {string} [folderPath] - The folder path to delete (default: the storage root folder)
+ * @returns {Promise<void>}
+ */
+export const deleteAllFiles = async (folderPath = DATA.storage.rootFolder) => {
     try {
-        // Remove all resource types
-        for (const rType of ["image", "video", "raw"]) {
-            const { resources } = await cloudinary.v2.api.resources({
-                type: "upload",
-                prefix: `${folderPath}/`,
-                resource_type: rType,
-            });
-            for (const resource of resources) {
-                await cloudinary.v2.uploader.destroy(resource.public_id, {
-                    resource_type: rType,
-                });
-            }
-        }
-
-        // Recursively delete any subfolders
-        const subFolders = await cloudinary.v2.api.sub_folders(folderPath);
-        for (const subFolder of subFolders.folders) {
-            await deleteAllFilesFromCloudinary(
-                `${folderPath}/${subFolder.name}`
-            );
-        }
-
-        // Finally remove the now-empty folder
-        await cloudinary.v2.api.delete_folder(folderPath);
+        await storage.removeFolder(folderPath);
     } catch (error) {
         console.log("Error while deleting files:", error);
     }
 };
+
+/**
+ * Generates a signed URL for a file in the configured storage
+ * @param {string} publicId - The public ID of the file
+ * @param {Object} [options]
+ * @param {string} [options.resourceType="image"] - The resource type of the file
+ * @param {number} [options.expiresIn=3600] - Seconds until the URL expires (where supported)
+ * @returns {string|null} - The signed URL or null if there is no public ID
+ */
+export const getSignedUrl = (publicId, options = {}) => {
+    if (!publicId) return null;
+    return storage.getSignedUrl(publicId, options);
+};
+
+export { storage };
@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+/**
+ * Prints an email to the console instead of sending it, for local runs
+ * @param {Object} message - The email ({ from, to, subject, text, html })
+ * @returns {Promise<Object>} - The delivery details ({ messageId })
+ */
+const send = async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    console.log(
+        `Email ${messageId} to ${message.to}: ${message.subject}\n${message.text}`
+    );
+    return { messageId };
+};
+
+export default {
+    name: "console",
+    send,
+};
@@ -0,0 +1,28 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import DATA from "../../config.js";
+
+/**
+ * Writes an email to the outbox directory as JSON instead of sending it, for local runs
+ * @param {Object} message - The email ({ from, to, subject, text, html })
+ * @returns {Promise<Object>} - The delivery details ({ messageId, filePath })
+ */
+const send = async (message) => {
+    const outboxDir = path.resolve(DATA.mail.outboxDir);
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(outboxDir, `${messageId}.json`);
+    await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, date: new Date() }, null, 4)
+    );
+
+    return { messageId, filePath };
+};
+
+export default {
+    name: "file",
+    send,
+};
@@ -0,0 +1,37 @@
+import nodemailer from "nodemailer";
+import DATA from "../../config.js";
+
+let transporter = null;
+
+/**
+ * Creates the SMTP connection pool on first use, so that the other transports do not need an SMTP server
+ * @returns {Object} - The nodemailer transporter
+ */
+const getTransporter = () => {
+    if (!transporter) {
+        const { host, port, secure, user, pass } = DATA.mail.smtp;
+        transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined,
+            pool: true,
+        });
+    }
+    return transporter;
+};
+
+/**
+ * Sends an email through the configured SMTP server
+ * @param {Object} message - The email ({ from, to, subject, text, html })
+ * @returns {Promise<Object>} - The delivery details ({ messageId })
+ */
+const send = async (message) => {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+};
+
+export default {
+    name: "smtp",
+    send,
+};
@@ -0,0 +1,104 @@
+import DATA from "../config.js";
+import smtpTransport from "./mail/smtp.transport.js";
+import fileTransport from "./mail/file.transport.js";
+import consoleTransport from "./mail/console.transport.js";
+
+/**
+ * Available mail transports. Every transport implements:
+ * - send({ from, to, subject, text, html }) => { messageId }
+ */
+const transports = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport,
+};
+
+const transport = transports[DATA.mail.transport];
+
+if (!transport) {
+    throw new Error(
+        `Unknown mail transport "${DATA.mail.transport}", expected one of: ${Object.keys(
+            transports
+        ).join(", ")}`
+    );
+}
+
+/**
+ * Escapes a value before it is put into the HTML of an email
+ * @param {string} value - The value to escape
+ * @returns {string} - The escaped value
+ */
+const escapeHtml = (value = "") =>
+    String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+/**
+ * Sends an email with the configured transport
+ * @param {Object} message
+ * @param {string} message.to - The recipient
+ * @param {string} message.subject - The subject
+ * @param {string} message.text - The plain text body
+ * @param {string} [message.html] - The HTML body
+ * @returns {Promise<Object>} - The delivery details ({ messageId })
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    return await transport.send({
+        from: DATA.mail.from,
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
+/**
+ * Builds and sends an email which asks the user to open a link
+ * @param {Object} user - The recipient user
+ * @param {Object} content
+ * @param {string} content.subject - The subject
+ * @param {string} content.intro - The sentence before the link
+ * @param {string} content.link - The link
+ * @param {string} content.outro - The sentence after the link
+ * @returns {Promise<Object>} - The delivery details ({ messageId })
+ */
+const sendLinkMail = async (user, { subject, intro, link, outro }) => {
+    return await sendMail({
+        to: user.email,
+        subject,
+        text: `Hi ${user.fullName},\n\n${intro}\n\n${link}\n\n${outro}`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>${intro}</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>${outro}</p>`,
+    });
+};
+
+/**
+ * Sends the email verification link to a user
+ * @param {Object} user - The user
+ * @param {string} token - The email verification token
+ * @returns {Promise<Object>} - The delivery details ({ messageId })
+ */
+export const sendVerificationEmail = async (user, token) => {
+    return await sendLinkMail(user, {
+        subject: "Verify your email address",
+        intro: "Please confirm your email address by opening this link:",
+        link: `${DATA.app_url}/verify-email?token=${encodeURIComponent(token)}`,
+        outro: `The link expires in ${DATA.tokens.emailVerificationExpiration}. If you did not create an account, you can ignore this email.`,
+    });
+};
+
+/**
+ * Sends the password reset link to a user
+ * @param {Object} user - The user
+ * @param {string} token - The password reset token
+ * @returns {Promise<Object>} - The delivery details ({ messageId })
+ */
+export const sendPasswordResetEmail = async (user, token) => {
+    return await sendLinkMail(user, {
+        subject: "Reset your password",
+        intro: "You can choose a new password by opening this link:",
+        link: `${DATA.app_url}/reset-password?token=${encodeURIComponent(token)}`,
+        outro: `The link expires in ${DATA.tokens.passwordResetExpiration} and can only be used once. If you did not ask for a password reset, you can ignore this email.`,
+    });
+};
@@ -0,0 +1,48 @@
+import { execFile } from "child_process";
+import DATA from "../config.js";
+
+/**
+ * Reads the duration and metadata of a media file with ffprobe
+ * @param {string} filePath - The local path (or URL) of the media file
+ * @returns {Promise<Object|null>} - The metadata ({ duration, width, height, codec, bitRate, format, size, hasAudio }) or null if ffprobe is not installed
+ * @throws {Error} - If ffprobe cannot read the file
+ */
+export const probeMedia = (filePath) => {
+    return new Promise((resolve, reject) => {
+        execFile(
+            DATA.media.ffprobePath,
+            [
+                "-v",
+                "error",
+                "-print_format",
+                "json",
+                "-show_format",
+                "-show_streams",
+                filePath,
+            ],
+            { maxBuffer: 10 * 1024 * 1024 },
+            (error, stdout) => {
+                if (error?.code === "ENOENT") return resolve(null); // ffprobe is not installed
+                if (error) return reject(error);
+
+                const { format = {}, streams = [] } = JSON.parse(stdout);
+                const videoStream = streams.find(
+                    (stream) => stream.codec_type === "video"
+                );
+
+                resolve({
+                    duration: Number(format.duration) || 0,
+                    width: videoStream?.width,
+                    height: videoStream?.height,
+                    codec: videoStream?.codec_name,
+                    bitRate: Number(format.bit_rate) || undefined,
+                    format: format.format_name,
+                    size: Number(format.size) || undefined,
+                    hasAudio: streams.some(
+                        (stream) => stream.codec_type === "audio"
+                    ),
+                });
+            }
+        );
+    });
+};
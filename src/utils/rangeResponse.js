@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+import ApiError from "./ApiError.js";
+
+const CONTENT_TYPES = {
+    ".mp4": "video/mp4",
+    ".m4v": "video/x-m4v",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".mkv": "video/x-matroska",
+    ".avi": "video/x-msvideo",
+};
+
+/**
+ * Parses a single `bytes=` range of a Range header
+ * @param {string} header - The Range header
+ * @param {number} size - The size of the file
+ * @returns {Object|null|undefined} - The range ({ start, end }), null if it cannot be satisfied or
+ *                                    undefined if the header should be ignored (invalid or multiple ranges)
+ */
+const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (!match[1] && !match[2])) return undefined;
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+
+    if (start >= size || start > end) return null;
+    return { start, end };
+};
+
+/**
+ * Checks whether the validator of an If-Range header still matches the file
+ * @param {string} ifRange - The If-Range header
+ * @param {string} etag - The current ETag of the file
+ * @param {Date} lastModified - The modification time of the file
+ * @returns {boolean} - True if the range can be served
+ */
+const isRangeFresh = (ifRange, etag, lastModified) => {
+    if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+        return ifRange === etag;
+    }
+    return Date.parse(ifRange) === Math.floor(lastModified / 1000) * 1000;
+};
+
+/**
+ * Sends a file with support for Range, If-Range, ETag and Last-Modified, answering with
+ * 206 Partial Content, 304 Not Modified or 416 Range Not Satisfiable where needed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} filePath - The absolute path of the file
+ * @param {Object} [options]
+ * @param {string} [options.cacheControl="no-cache"] - The Cache-Control header
+ * @returns {Promise<void>}
+ * @throws {ApiError} - If the file does not exist
+ */
+export const sendRangeResponse = async (
+    req,
+    res,
+    filePath,
+    { cacheControl = "no-cache" } = {}
+) => {
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (error) {
+        throw new ApiError(404, "Video file not found");
+    }
+
+    const { size, mtime } = stats;
+    const etag = `"${size.toString(16)}-${mtime.getTime().toString(16)}"`;
+    const lastModified = mtime.toUTCString();
+
+    res.set({
+        "Accept-Ranges": "bytes",
+        "Content-Type":
+            CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+            "application/octet-stream",
+        "Cache-Control": cacheControl,
+        ETag: etag,
+        "Last-Modified": lastModified,
+    });
+
+    // Conditional GET, If-None-Match takes precedence over If-Modified-Since
+    const ifNoneMatch = req.get("If-None-Match");
+    const ifModifiedSince = req.get("If-Modified-Since");
+    if (
+        ifNoneMatch
+            ? ifNoneMatch
+                  .split(",")
+                  .some((tag) => tag.trim().replace(/^W\//, "") === etag)
+            : ifModifiedSince &&
+              Math.floor(mtime / 1000) * 1000 <= Date.parse(ifModifiedSince)
+    ) {
+        return res.status(304).end();
+    }
+
+    let range;
+    const rangeHeader = req.get("Range");
+    const ifRange = req.get("If-Range");
+    if (rangeHeader && (!ifRange || isRangeFresh(ifRange, etag, mtime))) {
+        range = parseRange(rangeHeader, size);
+
+        if (range === null) {
+            return res
+                .status(416)
+                .set("Content-Range", `bytes */${size}`)
+                .end();
+        }
+    }
+
+    if (range) {
+        res.status(206).set({
+            "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+            "Content-Length": String(range.end - range.start + 1),
+        });
+    } else {
+        res.status(200).set("Content-Length", String(size));
+    }
+
+    if (req.method === "HEAD") {
+        return res.end();
+    }
+
+    await new Promise((resolve) => {
+        const stream = fs.createReadStream(filePath, range);
+        stream.on("error", (error) => {
+            res.destroy(error); // The headers are sent, so the response can only be aborted
+        });
+        res.on("close", () => {
+            stream.destroy(); // The client went away, e.g. the player seeked
+            resolve();
+        });
+        stream.pipe(res);
+    });
+};
@@ -0,0 +1,82 @@
+import DATA from "../config.js";
+
+/**
+ * Server-sent event streams, grouped by channel ("user:<id>" for the events of a user,
+ * "video:<id>" for the live counters of a video). The streams only live in this process,
+ * so every instance pushes the events it publishes to the clients connected to it.
+ */
+const channels = new Map();
+
+/**
+ * Writes an event to a stream
+ * @param {Object} res - Express response of the stream
+ * @param {string} event - The event name
+ * @param {Object} data - The event data, sent as JSON
+ */
+export const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Pushes an event to all the streams of a channel
+ * @param {string} channel - The channel, e.g. "user:<id>"
+ * @param {string} event - The event name
+ * @param {Object} data - The event data, sent as JSON
+ */
+export const pushEvent = (channel, event, data) => {
+    for (const res of channels.get(channel) || []) {
+        sendEvent(res, event, data);
+    }
+};
+
+/**
+ * Returns the number of streams open on a channel
+ * @param {string} channel - The channel
+ * @returns {number} - The number of streams
+ */
+export const countStreams = (channel) => channels.get(channel)?.size || 0;
+
+/**
+ * Turns a response into an event stream which receives the events of the given channels until
+ * the client disconnects. The stream is closed when the access token of the request expires,
+ * the client then reconnects with a new token.
+ * @param {Object} req - Express request object, with req.tokenExpiresAt set by verifyStreamJWT
+ * @param {Object} res - Express response object
+ * @param {string[]} streamChannels - The channels the stream receives the events of
+ */
+export const openEventStream = (req, res, streamChannels) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // Disable the response buffering of nginx
+    });
+    res.flushHeaders();
+
+    for (const channel of streamChannels) {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(res);
+    }
+
+    const heartbeat = setInterval(
+        () => res.write(": heartbeat\n\n"),
+        DATA.realtime.heartbeatSeconds * 1000
+    );
+    const expiry =
+        req.tokenExpiresAt &&
+        setTimeout(
+            () => res.end(),
+            // Longer delays overflow the timer
+            Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), 2 ** 31 - 1)
+        );
+
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        for (const channel of streamChannels) {
+            const streams = channels.get(channel);
+            streams?.delete(res);
+            if (!streams?.size) channels.delete(channel);
+        }
+    });
+};
@@ -0,0 +1,35 @@
+import DATA from "../../config.js";
+import { VIDEO_SEARCH_WEIGHTS } from "../../models/video.model.js";
+
+/**
+ * Searches with an Atlas Search index, which also matches misspelled terms.
+ * The index (DATA.search.atlasIndex) must map title, description and tags as strings.
+ * @param {string} query - The search terms
+ * @returns {Array<Object>} - The pipeline stages, the first one matches the videos
+ */
+const getSearchStages = (query) => [
+    {
+        $search: {
+            index: DATA.search.atlasIndex,
+            compound: {
+                should: Object.entries(VIDEO_SEARCH_WEIGHTS).map(
+                    ([path, weight]) => ({
+                        text: {
+                            query,
+                            path,
+                            fuzzy: { maxEdits: 1 },
+                            score: { boost: { value: weight } },
+                        },
+                    })
+                ),
+                minimumShouldMatch: 1,
+            },
+        },
+    },
+    { $addFields: { searchScore: { $meta: "searchScore" } } },
+];
+
+export default {
+    name: "atlas",
+    getSearchStages,
+};
@@ -0,0 +1,15 @@
+/**
+ * Searches with the MongoDB text index of the videos, works on any MongoDB server.
+ * The field weights are set on the index in video.model.js.
+ * @param {string} query - The search terms
+ * @returns {Array<Object>} - The pipeline stages, the first one matches the videos
+ */
+const getSearchStages = (query) => [
+    { $match: { $text: { $search: query } } },
+    { $addFields: { searchScore: { $meta: "textScore" } } },
+];
+
+export default {
+    name: "text",
+    getSearchStages,
+};
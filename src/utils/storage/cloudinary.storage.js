@@ -0,0 +1,114 @@
+import cloudinary from "cloudinary";
+import DATA from "../../config.js";
+
+// Configure Cloudinary
+cloudinary.v2.config({
+    cloud_name: DATA.cloudinary.cloud_name,
+    api_key: DATA.cloudinary.api_key,
+    api_secret: DATA.cloudinary.api_secret,
+});
+
+/**
+ * Uploads a file to Cloudinary
+ * @param {string} localFilePath - The local path of the file to upload
+ * @param {string} folder - The folder path to upload the file to
+ * @returns {Promise<Object>} - The stored file details
+ */
+const upload = async (localFilePath, folder) => {
+    const uploadedFile = await cloudinary.v2.uploader.upload(localFilePath, {
+        folder,
+        resource_type: "auto",
+    });
+
+    return {
+        url: uploadedFile.secure_url,
+        publicId: uploadedFile.public_id,
+        resourceType: uploadedFile.resource_type,
+        duration: uploadedFile.duration,
+        bytes: uploadedFile.bytes,
+    };
+};
+
+/**
+ * Deletes a file from Cloudinary
+ * @param {string} publicId - The public ID of the file to delete
+ * @param {string} [resourceType="image"] - The resource type of the file (image, video, raw)
+ * @returns {Promise<Object>} - The result of the deletion ({ result: "ok" } on success)
+ */
+const remove = async (publicId, resourceType = "image") => {
+    return await cloudinary.v2.uploader.destroy(publicId, {
+        resource_type: resourceType,
+    });
+};
+
+/**
+ * Recursively deletes all the files and sub folders of a folder in Cloudinary
+ * @param {string} folderPath - The folder path to delete
+ * @returns {Promise<void>}
+ */
+const removeFolder = async (folderPath) => {
+    // Remove all resource types
+    for (const rType of ["image", "video", "raw"]) {
+        const { resources } = await cloudinary.v2.api.resources({
+            type: "upload",
+            prefix: `${folderPath}/`,
+            resource_type: rType,
+        });
+        for (const resource of resources) {
+            await cloudinary.v2.uploader.destroy(resource.public_id, {
+                resource_type: rType,
+            });
+        }
+    }
+
+    // Recursively delete any subfolders
+    const subFolders = await cloudinary.v2.api.sub_folders(folderPath);
+    for (const subFolder of subFolders.folders) {
+        await removeFolder(`${folderPath}/${subFolder.name}`);
+    }
+
+    // Finally remove the now-empty folder
+    await cloudinary.v2.api.delete_folder(folderPath);
+};
+
+/**
+ * Generates a signed delivery URL for a file in Cloudinary.
+ * Cloudinary signatures do not expire, so `expiresIn` is ignored.
+ * @param {string} publicId - The public ID of the file
+ * @param {Object} [options]
+ * @param {string} [options.resourceType="image"] - The resource type of the file
+ * @returns {string} - The signed URL
+ */
+const getSignedUrl = (publicId, { resourceType = "image" } = {}) => {
+    return cloudinary.v2.url(publicId, {
+        resource_type: resourceType,
+        type: "upload",
+        secure: true,
+        sign_url: true,
+    });
+};
+
+/**
+ * Generates the URL of an adaptive streaming manifest for a video in Cloudinary.
+ * Cloudinary builds the renditions of the configured streaming profile from the public ID.
+ * @param {string} publicId - The public ID of the video
+ * @param {string} format - The manifest format (m3u8 for HLS, mpd for DASH)
+ * @returns {string} - The manifest URL
+ */
+const getStreamingUrl = (publicId, format) => {
+    return cloudinary.v2.url(publicId, {
+        resource_type: "video",
+        streaming_profile: DATA.streaming.profile,
+        format,
+        secure: true,
+    });
+};
+
+export default {
+    name: "cloudinary",
+    upload,
+    remove,
+    removeFolder,
+    getSignedUrl,
+    getStreamingUrl,
+};
@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import DATA from "../../config.js";
+
+// Kept out of the public folder, the files are served by serveLocalMedia in app.js
+const UPLOADS_DIR = path.resolve(DATA.storage.localDir);
+
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".mkv", ".webm", ".avi", ".m4v"];
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif"];
+
+// Folders (under the root folder) the avatars, cover images and thumbnails are uploaded to
+const PUBLIC_FOLDERS = ["avatar", "coverImage", "thumbnails"];
+
+/**
+ * Resolves a public ID to an absolute path inside the uploads directory
+ * @param {string} publicId - The public ID of the file
+ * @returns {string} - The absolute path of the file
+ * @throws {Error} - If the public ID points outside the uploads directory
+ */
+const resolvePath = (publicId) => {
+    const filePath = path.resolve(UPLOADS_DIR, publicId);
+    if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+        throw new Error(`Invalid public ID: ${publicId}`);
+    }
+    return filePath;
+};
+
+/**
+ * Builds the public URL of a stored file
+ * @param {string} publicId - The public ID of the file
+ * @returns {string} - The URL the file is served from
+ */
+const getUrl = (publicId) => `${DATA.server_url}/uploads/${publicId}`;
+
+/**
+ * Detects the resource type of a file from its extension
+ * @param {string} filePath - The path of the file
+ * @returns {string} - The resource type (image, video, raw)
+ */
+const getResourceType = (filePath) => {
+    const extension = path.extname(filePath).toLowerCase();
+    if (VIDEO_EXTENSIONS.includes(extension)) return "video";
+    if (IMAGE_EXTENSIONS.includes(extension)) return "image";
+    return "raw";
+};
+
+/**
+ * Returns whether a stored file can be served to anyone. Only the images in the folders of the
+ * avatars, cover images and thumbnails are, the videos are streamed through the API which checks
+ * who can watch them. The folder is checked as well, as the extension comes from the client.
+ * @param {string} publicId - The public ID of the file
+ * @returns {boolean}
+ */
+const isPublicFile = (publicId) =>
+    PUBLIC_FOLDERS.some(
+        (folder) =>
+            path.posix.dirname(publicId) ===
+            `${DATA.storage.rootFolder}/${folder}`
+    ) && getResourceType(publicId) === "image";
+
+/**
+ * Signs a public ID and expiry timestamp
+ * @param {string} publicId - The public ID of the file
+ * @param {number} expires - The expiry as a unix timestamp in seconds
+ * @returns {string} - The base64url encoded HMAC signature
+ */
+const sign = (publicId, expires) => {
+    return crypto
+        .createHmac("sha256", DATA.storage.signingSecret)
+        .update(`${publicId}:${expires}`)
+        .digest("base64url");
+};
+
+/**
+ * Moves a file into the uploads directory
+ * @param {string} localFilePath - The local path of the file to upload
+ * @param {string} folder - The folder path to move the file to
+ * @returns {Promise<Object>} - The stored file details
+ */
+const upload = async (localFilePath, folder) => {
+    const fileName = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${path
+        .extname(localFilePath)
+        .toLowerCase()}`;
+    const publicId = `${folder}/${fileName}`;
+    const destination = resolvePath(publicId);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    try {
+        await fs.promises.rename(localFilePath, destination);
+    } catch (error) {
+        // rename does not work across devices, fallback to copy and delete
+        if (error.code !== "EXDEV") throw error;
+        await fs.promises.copyFile(localFilePath, destination);
+        await fs.promises.unlink(localFilePath);
+    }
+
+    const { size } = await fs.promises.stat(destination);
+
+    return {
+        url: getUrl(publicId),
+        publicId,
+        resourceType: getResourceType(destination),
+        duration: undefined, // Local files are not probed
+        bytes: size,
+    };
+};
+
+/**
+ * Deletes a file from the uploads directory
+ * @param {string} publicId - The public ID of the file to delete
+ * @returns {Promise<Object>} - The result of the deletion ({ result: "ok" } on success)
+ */
+const remove = async (publicId) => {
+    try {
+        await fs.promises.unlink(resolvePath(publicId));
+        return { result: "ok" };
+    } catch (error) {
+        if (error.code === "ENOENT") return { result: "not found" };
+        throw error;
+    }
+};
+
+/**
+ * Deletes a folder and everything in it from the uploads directory
+ * @param {string} folderPath - The folder path to delete
+ * @returns {Promise<void>}
+ */
+const removeFolder = async (folderPath) => {
+    await fs.promises.rm(resolvePath(folderPath), {
+        recursive: true,
+        force: true,
+    });
+};
+
+/**
+ * Generates a URL for a stored file which carries an expiring signature
+ * @param {string} publicId - The public ID of the file
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn=3600] - Seconds until the URL expires
+ * @returns {string} - The signed URL
+ */
+const getSignedUrl = (publicId, { expiresIn = 3600 } = {}) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${getUrl(publicId)}?expires=${expires}&signature=${sign(
+        publicId,
+        expires
+    )}`;
+};
+
+/**
+ * Verifies the signature of a URL generated with getSignedUrl, checked by serveLocalMedia
+ * @param {string} publicId - The public ID of the file
+ * @param {number|string} expires - The expiry from the URL
+ * @param {string} signature - The signature from the URL
+ * @returns {boolean} - True if the signature is valid and has not expired
+ */
+const verifySignedUrl = (publicId, expires, signature) => {
+    if (!expires || !signature) return false;
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(sign(publicId, Number(expires)));
+    const received = Buffer.from(String(signature));
+    return (
+        expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received)
+    );
+};
+
+export default {
+    name: "local",
+    upload,
+    remove,
+    removeFolder,
+    getSignedUrl,
+    resolvePath,
+    isPublicFile,
+    verifySignedUrl,
+};
@@ -0,0 +1,225 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import DATA from "../config.js";
+
+const HLS_MASTER = "hls/master.m3u8";
+const DASH_MANIFEST = "dash/manifest.mpd";
+
+/**
+ * Returns the folder (relative to the local storage directory) the segments of a video are written to
+ * @param {string} videoId - The ID of the video
+ * @returns {string} - The folder path
+ */
+const getStreamsFolder = (videoId) =>
+    `${DATA.storage.rootFolder}/streams/${videoId}`;
+
+/**
+ * Returns the absolute directory the segments of a video are written to
+ * @param {string} videoId - The ID of the video
+ * @returns {string} - The directory path
+ */
+export const getStreamsDir = (videoId) =>
+    path.resolve(DATA.storage.localDir, getStreamsFolder(videoId));
+
+/**
+ * Returns the manifest URLs of the segments of a video. The segments are served by
+ * GET /api/v1/videos/:videoId/streams/*, which checks who can watch the video.
+ * @param {string} videoId - The ID of the video
+ * @returns {Object} - The manifest URLs ({ hls, dash })
+ */
+export const getStreamUrls = (videoId) => {
+    const baseUrl = `${DATA.server_url}/api/v1/videos/${videoId}/streams`;
+    return {
+        hls: `${baseUrl}/${HLS_MASTER}`,
+        dash: `${baseUrl}/${DASH_MANIFEST}`,
+    };
+};
+
+/**
+ * Runs ffmpeg with the given arguments
+ * @param {Array<string>} args - The ffmpeg arguments
+ * @returns {Promise<void>}
+ * @throws {Error} - If ffmpeg is not installed or exits with an error
+ */
+const runFfmpeg = (args) => {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(DATA.media.ffmpegPath, args, {
+            stdio: ["ignore", "ignore", "pipe"],
+        });
+
+        let stderr = "";
+        ffmpeg.stderr.on("data", (data) => {
+            stderr = (stderr + data).slice(-2000); // Keep the end of the log for the error message
+        });
+        ffmpeg.on("error", (error) => {
+            reject(
+                error.code === "ENOENT"
+                    ? new Error("ffmpeg is not installed")
+                    : error
+            );
+        });
+        ffmpeg.on("close", (code) => {
+            if (code === 0) return resolve();
+            reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
+        });
+    });
+};
+
+/**
+ * Picks the configured renditions which are not larger than the source video
+ * @param {number} [sourceHeight] - The height of the source video, if known
+ * @returns {Array<Object>} - The renditions to create
+ */
+const getRenditions = (sourceHeight) => {
+    const { renditions } = DATA.streaming;
+    const fitting = renditions.filter(
+        (rendition) => !sourceHeight || rendition.height <= sourceHeight
+    );
+    return fitting.length ? fitting : [renditions[renditions.length - 1]];
+};
+
+/**
+ * Builds the ffmpeg arguments which scale the source into every rendition and encode it
+ * @param {string} input - The path or URL of the source video
+ * @param {Array<Object>} renditions - The renditions to create
+ * @param {boolean} hasAudio - Whether the source has an audio stream
+ * @returns {Array<string>} - The ffmpeg arguments
+ */
+const buildEncodingArgs = (input, renditions, hasAudio) => {
+    const split = `[0:v]split=${renditions.length}${renditions
+        .map((_, i) => `[v${i}]`)
+        .join("")}`;
+    const scales = renditions.map(
+        (rendition, i) => `[v${i}]scale=w=-2:h=${rendition.height}[v${i}out]`
+    );
+
+    const args = [
+        "-y",
+        "-i",
+        input,
+        "-filter_complex",
+        [split, ...scales].join(";"),
+    ];
+
+    renditions.forEach((rendition, i) => {
+        args.push(
+            "-map",
+            `[v${i}out]`,
+            `-c:v:${i}`,
+            "libx264",
+            `-b:v:${i}`,
+            `${rendition.videoBitrate}k`,
+            `-maxrate:v:${i}`,
+            `${Math.round(rendition.videoBitrate * 1.07)}k`,
+            `-bufsize:v:${i}`,
+            `${rendition.videoBitrate * 2}k`
+        );
+    });
+
+    if (hasAudio) {
+        renditions.forEach((rendition, i) => {
+            args.push(
+                "-map",
+                "0:a:0",
+                `-c:a:${i}`,
+                "aac",
+                `-b:a:${i}`,
+                `${rendition.audioBitrate}k`
+            );
+        });
+    }
+
+    // Keyframes on segment boundaries so that every rendition can be switched between
+    const gop = String(DATA.streaming.segmentDuration * 30);
+    args.push(
+        "-preset",
+        "veryfast",
+        "-g",
+        gop,
+        "-keyint_min",
+        gop,
+        "-sc_threshold",
+        "0"
+    );
+
+    return args;
+};
+
+/**
+ * Segments a video into HLS and DASH renditions with ffmpeg
+ * @param {string} videoId - The ID of the video
+ * @param {string} input - The path or URL of the source video
+ * @param {Object} [options]
+ * @param {number} [options.height] - The height of the source video, if known
+ * @param {boolean} [options.hasAudio=true] - Whether the source has an audio stream
+ * @returns {Promise<Object>} - The manifest URLs ({ hls, dash })
+ */
+export const segmentVideo = async (
+    videoId,
+    input,
+    { height, hasAudio = true } = {}
+) => {
+    const outputDir = getStreamsDir(videoId);
+    const renditions = getRenditions(height);
+    const segmentDuration = String(DATA.streaming.segmentDuration);
+
+    // Start from an empty folder so that a retry does not mix old segments in
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    await fs.promises.mkdir(path.join(outputDir, "hls"), { recursive: true });
+    await fs.promises.mkdir(path.join(outputDir, "dash"), { recursive: true });
+
+    const streamMap = renditions
+        .map((rendition, i) =>
+            hasAudio
+                ? `v:${i},a:${i},name:${rendition.name}`
+                : `v:${i},name:${rendition.name}`
+        )
+        .join(" ");
+
+    await runFfmpeg([
+        ...buildEncodingArgs(input, renditions, hasAudio),
+        "-f",
+        "hls",
+        "-hls_time",
+        segmentDuration,
+        "-hls_playlist_type",
+        "vod",
+        "-hls_segment_filename",
+        path.join(outputDir, "hls", "%v_%03d.ts"),
+        "-master_pl_name",
+        path.basename(HLS_MASTER),
+        "-var_stream_map",
+        streamMap,
+        path.join(outputDir, "hls", "%v.m3u8"),
+    ]);
+
+    await runFfmpeg([
+        ...buildEncodingArgs(input, renditions, hasAudio),
+        "-f",
+        "dash",
+        "-seg_duration",
+        segmentDuration,
+        "-use_template",
+        "1",
+        "-use_timeline",
+        "1",
+        "-adaptation_sets",
+        hasAudio ? "id=0,streams=v id=1,streams=a" : "id=0,streams=v",
+        path.join(outputDir, DASH_MANIFEST),
+    ]);
+
+    return getStreamUrls(videoId);
+};
+
+/**
+ * Removes the segments created for a video
+ * @param {string} videoId - The ID of the video
+ * @returns {Promise<void>}
+ */
+export const removeVideoStreams = async (videoId) => {
+    await fs.promises.rm(getStreamsDir(videoId), {
+        recursive: true,
+        force: true,
+    });
+};
@@ -0,0 +1,134 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes bytes as base32 (RFC 4648, without padding), the format authenticator apps expect
+ * @param {Buffer} buffer - The bytes to encode
+ * @returns {string} - The base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decodes a base32 string, ignoring case, spaces and padding
+ * @param {string} input - The base32 string
+ * @returns {Buffer} - The decoded bytes
+ * @throws {Error} - If the string contains invalid characters
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Computes the HOTP code of a counter (RFC 4226)
+ * @param {Buffer} key - The shared secret
+ * @param {number} counter - The counter, the time step for TOTP
+ * @returns {string} - The zero padded code
+ */
+const generateHotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} - The base32 encoded secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the otpauth:// URI which authenticator apps import, usually from a QR code
+ * @param {string} secret - The base32 encoded secret
+ * @param {string} accountName - The account the secret belongs to, e.g. the email
+ * @param {string} issuer - The name of the service
+ * @returns {string} - The otpauth URI
+ */
+export const getTotpUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Verifies a TOTP code (RFC 6238), accepting the neighbouring time steps for clock drift
+ * @param {string} secret - The base32 encoded secret
+ * @param {string} code - The code entered by the user
+ * @param {number} [window=1] - How many time steps before and after the current one are accepted
+ * @returns {number|null} - The time step the code belongs to, or null if the code is wrong.
+ *                          Callers should reject steps which were already used, so that a code cannot be replayed.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+    const normalizedCode = String(code ?? "").replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalizedCode)) return null;
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+    for (
+        let step = currentStep - window;
+        step <= currentStep + window;
+        step++
+    ) {
+        const expected = generateHotp(key, step);
+        if (
+            crypto.timingSafeEqual(
+                Buffer.from(expected),
+                Buffer.from(normalizedCode)
+            )
+        ) {
+            return step;
+        }
+    }
+
+    return null;
+};
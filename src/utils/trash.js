@@ -0,0 +1,18 @@
+import DATA from "../config.js";
+
+const RETENTION_MS = DATA.trash.retentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Returns when a document in the trash is purged
+ * @param {Date} deletedAt - When the document was moved to the trash
+ * @returns {Date} - The purge date
+ */
+export const getPurgeDate = (deletedAt) =>
+    new Date(deletedAt.getTime() + RETENTION_MS);
+
+/**
+ * Returns the date before which the documents in the trash are purged
+ * @param {Date} now - The time the retention period is counted back from
+ * @returns {Date} - The cutoff date
+ */
+export const getPurgeCutoff = (now) => new Date(now.getTime() - RETENTION_MS);
@@ -0,0 +1,24 @@
+import fs from "fs";
+import path from "path";
+
+// Partially uploaded files, kept out of the public folder
+export const CHUNKS_DIR = path.resolve("temp/chunks");
+
+/**
+ * Returns the path of the partially uploaded file of an upload session
+ * @param {Object} session - The upload session ({ _id })
+ * @returns {string} - The path of the part file
+ */
+export const getPartPath = (session) =>
+    path.join(CHUNKS_DIR, `${session._id}.part`);
+
+/**
+ * Removes the partially uploaded files of upload sessions, the missing ones are ignored
+ * @param {Array<Object>} sessions - The upload sessions ({ _id })
+ * @returns {Promise<void>}
+ */
+export const removeUploadParts = async (sessions) => {
+    for (const session of sessions) {
+        await fs.promises.rm(getPartPath(session), { force: true });
+    }
+};
@@ -0,0 +1,30 @@
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+
+/**
+ * Returns the live counters of a video. The views which are not rolled up into Video.views yet
+ * are added, so that the count moves as soon as a view is registered.
+ * @param {string} videoId - The ID of the video
+ * @returns {Promise<Object|null>} - The counters ({ videoId, views, likes, dislikes, comments }), null if the video does not exist
+ */
+export const getVideoCounters = async (videoId) => {
+    const [video, pendingViews, comments] = await Promise.all([
+        Video.findById(videoId).select("views likesCount dislikesCount"),
+        ViewEvent.countDocuments({ video: videoId, rollupBatch: null }),
+        Comment.countDocuments({
+            video: videoId,
+            isDeleted: { $ne: true },
+            "takedown.takenDownAt": null,
+        }),
+    ]);
+    if (!video) return null;
+
+    return {
+        videoId: video._id,
+        views: video.views + pendingViews,
+        likes: video.likesCount,
+        dislikes: video.dislikesCount,
+        comments,
+    };
+};
@@ -0,0 +1,120 @@
+import ApiError from "./ApiError.js";
+import { VIDEO_CATEGORIES, VIDEO_VISIBILITIES } from "../models/video.model.js";
+
+const MAX_TAGS = 15;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalizes a tag: lowercase, without a leading "#", with dashes instead of spaces
+ * and without other punctuation
+ * @param {string} tag - The tag as entered
+ * @returns {string} - The normalized tag, empty if nothing is left
+ */
+export const normalizeTag = (tag) =>
+    String(tag)
+        .trim()
+        .toLowerCase()
+        .replace(/^#+/, "")
+        .replace(/\s+/g, "-")
+        .replace(/[^\p{L}\p{N}_-]/gu, "");
+
+/**
+ * Reads the tags of a video from a request body, either an array or a comma separated
+ * string as sent by multipart forms
+ * @param {string|Array<string>} input - The tags
+ * @returns {Array<string>} - The normalized tags without duplicates
+ * @throws {ApiError} - If there are too many tags or a tag is too long
+ */
+export const parseVideoTags = (input) => {
+    const list = Array.isArray(input) ? input : String(input).split(",");
+    const tags = [...new Set(list.map(normalizeTag).filter(Boolean))];
+
+    if (tags.length > MAX_TAGS) {
+        throw new ApiError(400, `A video can have at most ${MAX_TAGS} tags`);
+    }
+    if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+        throw new ApiError(
+            400,
+            `Tags can be at most ${MAX_TAG_LENGTH} characters long`
+        );
+    }
+
+    return tags;
+};
+
+/**
+ * Validates the category of a video
+ * @param {string} input - The category
+ * @returns {string} - The category
+ * @throws {ApiError} - If the category is unknown
+ */
+export const parseVideoCategory = (input) => {
+    const category = String(input).trim().toLowerCase();
+
+    if (!VIDEO_CATEGORIES.includes(category)) {
+        throw new ApiError(
+            400,
+            `Category must be one of: ${VIDEO_CATEGORIES.join(", ")}`
+        );
+    }
+
+    return category;
+};
+
+/**
+ * Reads the visibility and the scheduled publishing time of a video from a request body.
+ * The isPublished flag sent by older clients is mapped to public or private.
+ * Without a visibility, a new video is public and an updated one keeps its visibility.
+ * A scheduled video is private, or unlisted if asked, until its publishAt.
+ * @param {Object} body - The request body ({ visibility, publishAt, isPublished }), all optional
+ * @param {string} [currentVisibility] - The visibility of the video being updated, omitted for a new video
+ * @returns {Object} - The visibility and the publishAt date, null when the video is not scheduled
+ * @throws {ApiError} - If the visibility is unknown, or publishAt is not a future date or comes with the public visibility
+ */
+export const parseVideoVisibility = (
+    { visibility, publishAt, isPublished },
+    currentVisibility
+) => {
+    let scheduledAt = null;
+    if (publishAt !== undefined && publishAt !== null && publishAt !== "") {
+        scheduledAt = new Date(publishAt);
+        if (isNaN(scheduledAt)) {
+            throw new ApiError(400, "publishAt must be a date");
+        }
+        if (scheduledAt <= new Date()) {
+            throw new ApiError(400, "publishAt must be in the future");
+        }
+    }
+
+    let parsed;
+    if (visibility !== undefined && visibility !== "") {
+        parsed = String(visibility).trim().toLowerCase();
+    } else if (
+        scheduledAt ||
+        isPublished === false ||
+        isPublished === "false"
+    ) {
+        // An unlisted video stays unlisted until it is published
+        parsed =
+            currentVisibility === "unlisted" && scheduledAt
+                ? "unlisted"
+                : "private";
+    } else {
+        parsed = currentVisibility || "public";
+    }
+
+    if (!VIDEO_VISIBILITIES.includes(parsed)) {
+        throw new ApiError(
+            400,
+            `Visibility must be one of: ${VIDEO_VISIBILITIES.join(", ")}`
+        );
+    }
+    if (scheduledAt && parsed === "public") {
+        throw new ApiError(
+            400,
+            "A scheduled video is private or unlisted until it is published"
+        );
+    }
+
+    return { visibility: parsed, publishAt: scheduledAt };
+};
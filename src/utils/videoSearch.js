@@ -0,0 +1,241 @@
+import DATA from "../config.js";
+import { Video } from "../models/video.model.js";
+import textSearch from "./search/text.search.js";
+import atlasSearch from "./search/atlas.search.js";
+
+/**
+ * Available search drivers. Every driver implements:
+ * - getSearchStages(query) => the first pipeline stages, which match the videos and set searchScore
+ */
+const drivers = {
+    text: textSearch,
+    atlas: atlasSearch,
+};
+
+const search = drivers[DATA.search.driver];
+
+if (!search) {
+    throw new Error(
+        `Unknown search driver "${DATA.search.driver}", expected one of: ${Object.keys(
+            drivers
+        ).join(", ")}`
+    );
+}
+
+export const VIDEO_SEARCH_SORTS = {
+    relevance: { searchScore: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    older: { createdAt: 1 },
+    views: { views: -1, createdAt: -1 },
+};
+
+// How far back each upload date filter goes
+export const UPLOAD_DATE_WINDOWS = {
+    hour: 60 * 60 * 1000,
+    today: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000,
+};
+
+// Duration facets, a video belongs to the first one it is shorter than
+const DURATION_FACETS = [
+    { name: "short", maxSeconds: 4 * 60 },
+    { name: "medium", maxSeconds: 20 * 60 },
+    { name: "long", maxSeconds: Infinity },
+];
+
+/**
+ * Lists the tags used most by the videos published recently
+ * @param {Object} options
+ * @param {number} options.days - How many days back the videos are counted
+ * @param {number} options.limit - The number of tags
+ * @returns {Promise<Array<Object>>} - The tags ({ tag, videos, views }), most used first
+ */
+export const getTrendingTags = async ({ days, limit }) => {
+    return await Video.aggregate([
+        {
+            $match: {
+                visibility: "public",
+                status: { $in: ["ready", null] },
+                createdAt: {
+                    $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+                },
+                "tags.0": { $exists: true },
+            },
+        },
+        { $unwind: "$tags" },
+        {
+            $group: {
+                _id: "$tags",
+                videos: { $sum: 1 },
+                views: { $sum: "$views" },
+            },
+        },
+        { $sort: { videos: -1, views: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: "$_id", videos: 1, views: 1 } },
+    ]);
+};
+
+/**
+ * Searches the published videos and counts the results per facet
+ * @param {Object} options
+ * @param {string} [options.query] - The search terms, all the videos are listed without them
+ * @param {Object} [options.filters] - Filters ({ minDuration, maxDuration, uploadDate, owner, tag, category }), all optional
+ * @param {string} options.sortBy - The sort order (relevance, newest, older, views), relevance needs a query
+ * @param {number} options.page - The page number
+ * @param {number} options.limit - The number of videos per page
+ * @returns {Promise<Object>} - The videos, the facets ({ duration, channels }) and the pagination details
+ */
+export const searchVideos = async ({
+    query,
+    filters = {},
+    sortBy,
+    page,
+    limit,
+}) => {
+    // Videos created before the processing status existed have no status and are ready
+    const match = {
+        visibility: "public",
+        status: { $in: ["ready", null] },
+    };
+
+    if (
+        filters.minDuration !== undefined ||
+        filters.maxDuration !== undefined
+    ) {
+        match.duration = {};
+        if (filters.minDuration !== undefined) {
+            match.duration.$gte = filters.minDuration;
+        }
+        if (filters.maxDuration !== undefined) {
+            match.duration.$lte = filters.maxDuration;
+        }
+    }
+    if (filters.uploadDate) {
+        match.createdAt = {
+            $gte: new Date(
+                Date.now() - UPLOAD_DATE_WINDOWS[filters.uploadDate]
+            ),
+        };
+    }
+    if (filters.owner) {
+        match.owner = filters.owner;
+    }
+    if (filters.tag) {
+        match.tags = filters.tag;
+    }
+    if (filters.category) {
+        match.category = filters.category;
+    }
+
+    const sort =
+        VIDEO_SEARCH_SORTS[
+            sortBy === "relevance" && !query ? "newest" : sortBy
+        ];
+
+    const [result] = await Video.aggregate([
+        ...(query ? search.getSearchStages(query) : []),
+        { $match: match },
+        {
+            $facet: {
+                videos: [
+                    { $sort: sort },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1,
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                    { $addFields: { owner: { $first: "$owner" } } },
+                ],
+                total: [{ $count: "count" }],
+                duration: [
+                    {
+                        $group: {
+                            _id: {
+                                $switch: {
+                                    branches: DURATION_FACETS.slice(0, -1).map(
+                                        ({ name, maxSeconds }) => ({
+                                            case: {
+                                                $lt: ["$duration", maxSeconds],
+                                            },
+                                            then: name,
+                                        })
+                                    ),
+                                    default: DURATION_FACETS.at(-1).name,
+                                },
+                            },
+                            count: { $sum: 1 },
+                        },
+                    },
+                ],
+                channels: [
+                    { $group: { _id: "$owner", count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: 10 },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "_id",
+                            foreignField: "_id",
+                            as: "channel",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1,
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                    {
+                        $project: {
+                            _id: 0,
+                            channel: { $first: "$channel" },
+                            count: 1,
+                        },
+                    },
+                ],
+            },
+        },
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const durationCounts = Object.fromEntries(
+        result.duration.map(({ _id, count }) => [_id, count])
+    );
+
+    return {
+        videos: result.videos,
+        facets: {
+            duration: DURATION_FACETS.map(({ name }) => ({
+                value: name,
+                count: durationCounts[name] || 0,
+            })),
+            channels: result.channels,
+        },
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        },
+    };
+};
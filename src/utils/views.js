@@ -0,0 +1,89 @@
+import requestIp from "request-ip";
+import DATA from "../config.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { getRequestRegion, recordEngagement } from "./engagement.js";
+import { APP_EVENTS, publishEvent } from "./events.js";
+
+const DEDUP_WINDOW_MS = DATA.views.dedupWindowMinutes * 60 * 1000;
+
+/**
+ * Returns whether a view is the first of its viewer in the dedup window, so that of the views
+ * inserted by concurrent requests of the same viewer only one is kept
+ * @param {Object} view - The inserted view ({ _id, video, viewerKey, windowStart })
+ * @returns {Promise<boolean>}
+ */
+const isFirstViewInWindow = async (view) => {
+    const first = await ViewEvent.findOne({
+        video: view.video,
+        viewerKey: view.viewerKey,
+        windowStart: {
+            $gt: new Date(view.windowStart.getTime() - DEDUP_WINDOW_MS),
+        },
+    })
+        .sort({ windowStart: 1, _id: 1 })
+        .select("_id");
+    return !first || first._id.equals(view._id);
+};
+
+/**
+ * Registers a view of a video, or updates the watch duration of the view if the viewer
+ * already started one in the dedup window before.
+ * The view is added to Video.views by the view rollup job.
+ * @param {Object} req - The request, the viewer is req.user or else the client IP
+ * @param {Object} video - The video document, with its owner
+ * @param {number} [watchedSeconds=0] - The position the viewer reached
+ * @returns {Promise<boolean>} - Whether a new view was counted
+ */
+export const registerView = async (req, video, watchedSeconds = 0) => {
+    const ip = requestIp.getClientIp(req);
+    const viewerKey = req.user?._id ? `user:${req.user._id}` : `ip:${ip}`;
+    const now = new Date();
+    // The window runs from the last view of the viewer, not from fixed boundaries
+    const key = {
+        video: video._id,
+        viewerKey,
+        windowStart: { $gt: new Date(now.getTime() - DEDUP_WINDOW_MS) },
+    };
+    const update = {
+        $setOnInsert: { viewer: req.user?._id, ip, windowStart: now },
+        $max: { watchedSeconds },
+    };
+
+    let counted;
+    try {
+        const result = await ViewEvent.updateOne(key, update, { upsert: true });
+        counted = result.upsertedCount > 0;
+
+        if (
+            counted &&
+            !(await isFirstViewInWindow({
+                _id: result.upsertedId,
+                video: video._id,
+                viewerKey,
+                windowStart: now,
+            }))
+        ) {
+            // A concurrent request of the same viewer inserted its view first
+            await ViewEvent.deleteOne({ _id: result.upsertedId });
+            await ViewEvent.updateOne(key, { $max: { watchedSeconds } });
+            counted = false;
+        }
+    } catch (error) {
+        // A concurrent request of the same viewer inserted the view first
+        if (error?.code !== 11000) throw error;
+        await ViewEvent.updateOne(key, { $max: { watchedSeconds } });
+        counted = false;
+    }
+
+    if (counted) {
+        await recordEngagement({
+            channel: video.owner,
+            video: video._id,
+            actor: req.user?._id,
+            type: "view",
+            region: getRequestRegion(req),
+        });
+        publishEvent(APP_EVENTS.VIDEO_COUNTERS_CHANGED, { videoId: video._id });
+    }
+    return counted;
+};